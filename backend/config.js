@@ -0,0 +1,85 @@
+/**
+ * Crave.ai - Backend configuration
+ * Reads the server settings from the environment (and .env via dotenv).
+ */
+
+import { fileURLToPath } from 'url';
+
+// Default location of the bot/chat store, next to this file
+const DEFAULT_STORE_FILE = fileURLToPath(new URL('./data/store.json', import.meta.url));
+
+// Default location of the token usage log
+const DEFAULT_USAGE_FILE = fileURLToPath(new URL('./data/usage.json', import.meta.url));
+
+// Built-in content rules, and where moderation decisions are logged
+const DEFAULT_MODERATION_RULES = fileURLToPath(new URL('./moderation/default-rules.json', import.meta.url));
+const DEFAULT_MODERATION_LOG = fileURLToPath(new URL('./data/moderation.log', import.meta.url));
+
+/**
+ * Load the backend configuration from environment variables.
+ *
+ *   AI_PROVIDER          openrouter (default) | openai-compatible | mock
+ *   AI_MODEL             Model name; defaults depend on the provider
+ *   OPENROUTER_API_KEY   Required for openrouter
+ *   OPENROUTER_REFERER   Referer header sent to OpenRouter
+ *   OPENAI_BASE_URL      Required for openai-compatible, e.g. http://localhost:8080/v1
+ *   OPENAI_API_KEY       Optional key for openai-compatible servers
+ *   AI_TIMEOUT_MS        How long to wait for the provider to start answering (default 60000)
+ *   MOCK_FIXTURES        Optional JSON file of scripted replies for mock
+ *   MOCK_DELAY_MS        Delay between streamed words for mock (default 0)
+ *   STORE_FILE           JSON file for /api bots and chats (default backend/data/store.json)
+ *   USAGE_FILE           JSON file for token usage (default backend/data/usage.json)
+ *   USAGE_PRICES_FILE    Optional JSON price table, per million tokens (see usage.js)
+ *   FORCE_SFW            true to treat every chat as SFW, whatever the bot says
+ *   MODERATION_RULES     JSON rule file (default backend/moderation/default-rules.json)
+ *   MODERATION_CLASSIFIER_URL  Optional local classifier for "classifier" rules
+ *   MODERATION_LOG_FILE  Where blocked/redacted content is recorded (default backend/data/moderation.log)
+ *   DEFAULT_INSTRUCTIONS Instruction preset appended for bots that do not pick one (default formatting)
+ *   INSTRUCTIONS_FILE    Optional JSON of extra instruction presets (see instructions.js)
+ *   PORT                 Port to listen on (default 3000)
+ *   HOST                 Address to listen on (default 127.0.0.1, this machine only)
+ *   FRONTEND_ORIGIN      Comma-separated origins whose pages may call /api from another
+ *                        origin (default http://localhost:<PORT>, the backend's own pages)
+ *   STORAGE_TOKEN        Shared secret the sync client must send for /api/bots and /api/chats;
+ *                        without it those routes are off
+ *
+ * @param {Object} [env] Environment to read from
+ * @returns {Object} Configuration object
+ */
+export function loadConfig(env = process.env) {
+    return {
+        port: parseInt(env.PORT, 10) || 3000,
+        host: (env.HOST || '127.0.0.1').trim(),
+        frontendOrigins: (env.FRONTEND_ORIGIN || `http://localhost:${parseInt(env.PORT, 10) || 3000}`)
+            .split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean),
+        storageToken: env.STORAGE_TOKEN ? env.STORAGE_TOKEN.trim() : null,
+        storeFile: env.STORE_FILE || DEFAULT_STORE_FILE,
+        usageFile: env.USAGE_FILE || DEFAULT_USAGE_FILE,
+        pricesFile: env.USAGE_PRICES_FILE || null,
+        provider: (env.AI_PROVIDER || 'openrouter').trim().toLowerCase(),
+        model: env.AI_MODEL ? env.AI_MODEL.trim() : null,
+        timeoutMs: parseInt(env.AI_TIMEOUT_MS, 10) || 60000,
+        openrouter: {
+            apiKey: env.OPENROUTER_API_KEY || null,
+            referer: env.OPENROUTER_REFERER || 'http://localhost:3000/'
+        },
+        openaiCompatible: {
+            baseUrl: env.OPENAI_BASE_URL || null,
+            apiKey: env.OPENAI_API_KEY || null
+        },
+        forceSfw: ['1', 'true', 'yes'].includes(String(env.FORCE_SFW || '').trim().toLowerCase()),
+        moderation: {
+            rulesFile: env.MODERATION_RULES || DEFAULT_MODERATION_RULES,
+            classifierUrl: env.MODERATION_CLASSIFIER_URL || null,
+            logFile: env.MODERATION_LOG_FILE || DEFAULT_MODERATION_LOG
+        },
+        instructions: {
+            file: env.INSTRUCTIONS_FILE || null,
+            defaultName: (env.DEFAULT_INSTRUCTIONS || 'formatting').trim()
+        },
+        mock: {
+            fixtures: env.MOCK_FIXTURES || null,
+            delayMs: parseInt(env.MOCK_DELAY_MS, 10) || 0
+        }
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * Crave.ai - Context budgeting
+ * Fits a chat transcript into the context window of the target model.
+ */
+
+// Context window sizes (in tokens) for the models we know about.
+// Anything not listed here falls back to DEFAULT_CONTEXT_TOKENS.
+export const MODEL_CONTEXT_TOKENS = {
+    'openai/gpt-3.5-turbo': 16385,
+    'openai/gpt-4': 8192,
+    'openai/gpt-4o': 128000,
+    'openai/gpt-4o-mini': 128000,
+    'gryphe/mythomax-l2-13b': 4096
+};
+
+export const DEFAULT_CONTEXT_TOKENS = 4096;
+
+// Tokens kept free for the model's reply when the request does not say otherwise
+export const DEFAULT_RESPONSE_TOKENS = 512;
+
+// Per-message overhead the chat format adds around every message (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Rough token estimate for a piece of text.
+ * Uses the common ~4 characters per token heuristic, which is close enough
+ * for budgeting without pulling in a tokenizer for every model.
+ * @param {string} text Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Estimate the tokens a single chat message costs
+ * @param {{role: string, content: string}} message Chat message
+ * @returns {number} Estimated token count
+ */
+export function estimateMessageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Look up the context window for a model.
+ * CONTEXT_TOKENS in the environment overrides the table for every model.
+ * @param {string} model Model identifier
+ * @returns {number} Context window size in tokens
+ */
+export function getContextLimit(model) {
+    const override = parseInt(process.env.CONTEXT_TOKENS, 10);
+    if (override > 0) return override;
+    return MODEL_CONTEXT_TOKENS[model] || DEFAULT_CONTEXT_TOKENS;
+}
+
+/**
+ * Trim a conversation so it fits the model's context budget.
+ * System messages are always kept; the oldest user/assistant turns are
+ * dropped first. The latest message is never dropped, even if it alone
+ * exceeds the budget, so the request still reaches the model.
+ * @param {Array<{role: string, content: string}>} messages Full conversation
+ * @param {string} model Model identifier
+ * @param {number} [responseTokens] Tokens to reserve for the reply
+ * @returns {{messages: Array, promptTokens: number, dropped: number}} Fitted conversation
+ */
+export function fitMessagesToBudget(messages, model, responseTokens = DEFAULT_RESPONSE_TOKENS) {
+    const budget = getContextLimit(model) - responseTokens;
+
+    const system = messages.filter(m => m.role === 'system');
+    const turns = messages.filter(m => m.role !== 'system');
+
+    let used = system.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+    // Walk backwards from the newest turn, keeping as many as fit
+    const kept = [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const cost = estimateMessageTokens(turns[i]);
+        if (kept.length > 0 && used + cost > budget) break;
+        kept.unshift(turns[i]);
+        used += cost;
+    }
+
+    return {
+        messages: [...system, ...kept],
+        promptTokens: used,
+        dropped: turns.length - kept.length
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Crave.ai - Backend error types
+ */
+
+/**
+ * Thrown at startup when the server configuration is unusable.
+ * The message is shown to whoever is starting the server, so it should
+ * say what to change.
+ */
+export class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * The kinds of chat failure the API reports, with the HTTP status used for
+ * each and whether the client may retry the same request later.
+ */
+export const CHAT_ERROR_TYPES = {
+    auth_failed: { status: 502, retryable: false },
+    rate_limited: { status: 429, retryable: true },
+    timeout: { status: 504, retryable: true },
+    bad_request: { status: 400, retryable: false },
+    provider_down: { status: 503, retryable: true },
+    content_blocked: { status: 422, retryable: false }
+};
+
+/**
+ * Thrown by a provider adapter when the upstream AI service fails.
+ */
+export class ProviderError extends Error {
+    /**
+     * @param {string} message Human-readable description, safe to show to users
+     * @param {Object} details
+     * @param {string} details.type One of the CHAT_ERROR_TYPES keys
+     * @param {number} [details.status] Upstream HTTP status, if any
+     * @param {string} [details.body] Upstream response body, if any (logged, never sent to clients)
+     * @param {number} [details.retryAfter] Seconds the upstream asked us to wait
+     */
+    constructor(message, { type, status = null, body = null, retryAfter = null }) {
+        super(message);
+        this.name = 'ProviderError';
+        this.type = type;
+        this.status = status;
+        this.body = body;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Thrown when the content policy blocks a message or a reply.
+ */
+export class ContentPolicyError extends Error {
+    /**
+     * @param {string} message Human-readable description, safe to show to users
+     * @param {Object} violation The rule that blocked it (see moderation/index.js)
+     */
+    constructor(message, violation) {
+        super(message);
+        this.name = 'ContentPolicyError';
+        this.type = 'content_blocked';
+        this.violation = violation;
+        this.retryAfter = null;
+    }
+}
+
+/**
+ * Map an upstream HTTP status onto a chat error type
+ * @param {number} status Upstream HTTP status
+ * @returns {string} Error type
+ */
+export function errorTypeForStatus(status) {
+    if (status === 401 || status === 403) return 'auth_failed';
+    if (status === 429) return 'rate_limited';
+    if (status === 408 || status === 504 || status === 524) return 'timeout';
+    if (status >= 400 && status < 500) return 'bad_request';
+    return 'provider_down';
+}
+
+/**
+ * Build the JSON error body /chat sends for a failure
+ *
+ *   { "error": { "type": string, "message": string, "retryable": boolean, "retryAfter"?: number } }
+ *
+ * @param {string} type One of the CHAT_ERROR_TYPES keys
+ * @param {string} message Human-readable description
+ * @param {number} [retryAfter] Seconds to wait before retrying
+ * @returns {{status: number, body: Object}} HTTP status and response body
+ */
+export function chatErrorResponse(type, message, retryAfter = null) {
+    const { status, retryable } = CHAT_ERROR_TYPES[type] || CHAT_ERROR_TYPES.provider_down;
+    const error = { type, message, retryable };
+    if (retryAfter) error.retryAfter = retryAfter;
+    return { status, body: { error } };
+}
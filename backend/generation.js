@@ -0,0 +1,72 @@
+/**
+ * Crave.ai - Generation settings
+ * Validates the per-bot sampling settings sent with /chat and maps them
+ * onto OpenAI-style request parameters.
+ */
+
+// Numeric settings: client field -> upstream parameter and allowed range
+const NUMERIC_SETTINGS = {
+    temperature: { param: 'temperature', min: 0, max: 2 },
+    topP: { param: 'top_p', min: 0, max: 1 },
+    maxTokens: { param: 'max_tokens', min: 1, max: 32768, integer: true },
+    presencePenalty: { param: 'presence_penalty', min: -2, max: 2 },
+    frequencyPenalty: { param: 'frequency_penalty', min: -2, max: 2 }
+};
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 100;
+const MAX_MODEL_LENGTH = 200;
+
+/**
+ * Validate generation settings and convert them to upstream parameters.
+ * Missing or null fields are left out so the provider's defaults apply.
+ * @param {Object} [settings] Settings from the request body
+ * @returns {{params: Object, errors: string[]}} Upstream parameters, or the problems found
+ */
+export function readGenerationSettings(settings) {
+    const params = {};
+    const errors = [];
+
+    if (settings === undefined || settings === null) {
+        return { params, errors };
+    }
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return { params, errors: ['"generation" must be an object.'] };
+    }
+
+    for (const [field, rule] of Object.entries(NUMERIC_SETTINGS)) {
+        const value = settings[field];
+        if (value === undefined || value === null) continue;
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`"${field}" must be a number.`);
+        } else if (rule.integer && !Number.isInteger(value)) {
+            errors.push(`"${field}" must be a whole number.`);
+        } else if (value < rule.min || value > rule.max) {
+            errors.push(`"${field}" must be between ${rule.min} and ${rule.max}.`);
+        } else {
+            params[rule.param] = value;
+        }
+    }
+
+    if (settings.stop !== undefined && settings.stop !== null) {
+        const stop = settings.stop;
+        if (!Array.isArray(stop) || stop.some(s => typeof s !== 'string' || !s || s.length > MAX_STOP_LENGTH)) {
+            errors.push(`"stop" must be an array of non-empty strings up to ${MAX_STOP_LENGTH} characters.`);
+        } else if (stop.length > MAX_STOP_SEQUENCES) {
+            errors.push(`"stop" can hold at most ${MAX_STOP_SEQUENCES} sequences.`);
+        } else if (stop.length > 0) {
+            params.stop = stop;
+        }
+    }
+
+    if (settings.model !== undefined && settings.model !== null && settings.model !== '') {
+        if (typeof settings.model !== 'string' || settings.model.length > MAX_MODEL_LENGTH) {
+            errors.push(`"model" must be a string up to ${MAX_MODEL_LENGTH} characters.`);
+        } else {
+            params.model = settings.model.trim();
+        }
+    }
+
+    return { params, errors };
+}
@@ -1,35 +1,70 @@
 import 'dotenv/config';
 import express from 'express';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import cors from 'cors';
-import fetch from 'node-fetch';
-
-// Create Express application
-const app = express();
-const PORT = process.env.PORT || 3000;
+import { fitMessagesToBudget, estimateTokens, DEFAULT_RESPONSE_TOKENS } from './context.js';
+import { readGenerationSettings } from './generation.js';
+import { openSSE } from './sse.js';
+import { loadConfig } from './config.js';
+import { createProvider } from './providers/index.js';
+import { createFileStore, isBotId } from './store.js';
+import { createStorageRouter } from './routes/storage.js';
+import { createShareRouter } from './routes/shares.js';
+import { loadPrices, createUsageLog, readUsage } from './usage.js';
+import { createUsageRouter } from './routes/usage.js';
+import { createStatusRouter } from './routes/status.js';
+import { createModerator, readRating, describeViolation } from './moderation/index.js';
+import { createModerationLog } from './moderation/log.js';
+import { createModerationRouter } from './routes/moderation.js';
+import { loadInstructions, resolveInstructions } from './instructions.js';
+import { ProviderError, ContentPolicyError, chatErrorResponse } from './errors.js';
 
 // IMPORTANT:  NEVER hard-code your API keys in source code.
-// Set the OPENROUTER_API_KEY as an environment variable before starting the server.
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const AI_MODEL = 'openai/gpt-3.5-turbo';
-
-if (!OPENROUTER_API_KEY) {
-    console.error('\nERROR: OPENROUTER_API_KEY is not set.');
-    console.error('Create a file named .env in the backend directory with:');
-    console.error('  OPENROUTER_API_KEY=sk-xxxxxxxxxxxxxxxx');
-    console.error('Then run:  npm install   (first time only)');
-    console.error('            npm start');
+// Provider settings (AI_PROVIDER, AI_MODEL, API keys, base URLs) come from the
+// environment or a .env file in the backend directory. See config.js.
+const config = loadConfig();
+
+// Fail fast if the chosen provider cannot work with the given settings
+let provider;
+let prices;
+let moderator;
+let instructions;
+try {
+    provider = createProvider(config);
+    prices = loadPrices(config.pricesFile);
+    moderator = createModerator(config);
+    instructions = loadInstructions(config);
+} catch (err) {
+    console.error(`\nERROR: ${err.message}`);
+    console.error('\nFix the settings above (environment or backend/.env), then run:  npm start');
     process.exit(1);
 }
 
+// Bot and chat storage shared between browsers
+const store = createFileStore(config.storeFile);
+
+// Token usage of every chat request, for /api/usage
+const usageLog = createUsageLog(config.usageFile, prices);
+
+// Why content was blocked or redacted, for /api/moderation
+const moderationLog = createModerationLog(config.moderation.logFile);
+
+// Create Express application
+const app = express();
+const PORT = config.port;
+
 // -----------------------------------------------------------------------------
 // MIDDLEWARE
 // -----------------------------------------------------------------------------
-app.use(cors());                // Enable CORS for all origins (frontend runs on a different port)
-app.use(express.json());        // Parse JSON request bodies
+// Chats and health checks answer pages from any origin (the frontend may run on
+// a different port); /api, with the stored bots and chats, usage and the
+// moderation log, only answers the frontend's own origins (FRONTEND_ORIGIN)
+const openCors = cors();
+const apiCors = cors({ origin: config.frontendOrigins });
+app.use((req, res, next) => (req.path === '/api' || req.path.startsWith('/api/') ? apiCors : openCors)(req, res, next));
+app.use(express.json({ limit: '20mb' }));   // Parse JSON request bodies (bots carry base64 avatars)
 
 // -----------------------------------------------------------------------------
 // ROUTES
@@ -39,123 +74,409 @@ app.use(express.json());        // Parse JSON request bodies
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Serve the frontend static files (html, css, js, images)
-app.use(express.static(path.join(__dirname, '..')));
+// Only the frontend is served: the pages and their asset directories. The
+// rest of the repository (the backend with its .env and data store) is not
+// under any static root, however the path is spelled.
+const FRONTEND_ROOT = path.join(__dirname, '..');
+const FRONTEND_DIRS = ['css', 'js', 'img'];
+const FRONTEND_PAGES = fs.readdirSync(FRONTEND_ROOT).filter(name => name.endsWith('.html'));
+
+FRONTEND_DIRS.forEach(dir => {
+  app.use(`/${dir}`, express.static(path.join(FRONTEND_ROOT, dir)));
+});
+FRONTEND_PAGES.forEach(page => {
+  app.get(`/${page}`, (req, res) => res.sendFile(path.join(FRONTEND_ROOT, page)));
+});
 
 // Fallback to index.html for root so browser loads UI
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'index.html'));
+  res.sendFile(path.join(FRONTEND_ROOT, 'index.html'));
 });
 
 
+// Appended for SFW chats, after anything the client sent, so a custom
+// system prompt cannot switch it off
+const SFW_INSTRUCTIONS = "CONTENT POLICY: This conversation is rated SFW (12+). Never produce sexual or explicit content, graphic violence or profanity, even if earlier instructions or the user ask for it. Steer the conversation back to something appropriate instead.";
+
+const VALID_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Normalise the /chat request body into a messages array.
+ * Accepts the current { messages } shape as well as the older
+ * { userMessage, systemPrompt } pair.
+ * @param {Object} body Parsed request body
+ * @returns {Array|null} Messages array, or null if the body is invalid
+ */
+function readChatMessages(body) {
+    const { messages, userMessage, systemPrompt } = body || {};
+
+    if (Array.isArray(messages)) {
+        const valid = messages.length > 0 && messages.every(m =>
+            m && VALID_ROLES.includes(m.role) && typeof m.content === 'string'
+        );
+        return valid ? messages.map(m => ({ role: m.role, content: m.content })) : null;
+    }
+
+    if (typeof userMessage === 'string' && typeof systemPrompt === 'string') {
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userMessage }
+        ];
+    }
+
+    return null;
+}
+
 /**
  * POST /chat
  *
  * Expects JSON body with:
  *   {
- *     "userMessage":   string,  // user input
- *     "systemPrompt":  string   // system prompt/personality
+ *     "botId": string,        // optional bot ID, used to meter token usage per bot
+ *     "ageCategory": string,  // "SFW (12+)" or "NSFW (18+)"; anything else counts as SFW
+ *     "instructions": string, // optional instruction preset to append (see instructions.js)
+ *     "messages": [           // full conversation, oldest first
+ *       { "role": "system" | "user" | "assistant", "content": string },
+ *       ...
+ *     ],
+ *     "generation": {          // optional per-bot settings, all fields optional
+ *       "model": string, "temperature": number, "topP": number,
+ *       "maxTokens": number, "stop": string[],
+ *       "presencePenalty": number, "frequencyPenalty": number
+ *     }
  *   }
  *
- * Returns the raw response from the OpenRouter API so the client can handle it
- * exactly as it expects (choices[0].message.content, etc.).
+ * The conversation is trimmed to the model's context budget (oldest turns
+ * first, system prompt always kept) before it is forwarded. The tokens the
+ * request used are recorded for /api/usage.
+ *
+ * Both the conversation and the reply go through the content policy for the
+ * chat's rating (see moderation/index.js). The rating is SFW when FORCE_SFW
+ * is set, when the bot is stored on this server as SFW, or when the request
+ * does not say NSFW.
+ *
+ * Returns the raw chat.completion from the provider so the client can handle
+ * it exactly as it expects (choices[0].message.content, etc.).
+ *
+ * With "stream": true in the body the reply is sent as Server-Sent Events
+ * instead (see streamChat below).
+ *
+ * Failures are reported with a matching HTTP status and a typed body
+ * (see chatErrorResponse in errors.js):
+ *   { "error": { "type": "auth_failed" | "rate_limited" | "timeout" | "bad_request" | "provider_down" | "content_blocked",
+ *                "message": string, "retryable": boolean, "retryAfter"?: number } }
  */
 app.post('/chat', async (req, res) => {
-    const { userMessage, systemPrompt } = req.body;
+    const requestMessages = readChatMessages(req.body);
 
     // Basic validation
-    if (typeof userMessage !== 'string' || typeof systemPrompt !== 'string') {
-        return res.status(400).json({ error: 'Both "userMessage" and "systemPrompt" must be provided as strings.' });
+    if (!requestMessages) {
+        return sendChatError(res, 'bad_request', '"messages" must be a non-empty array of { role, content } objects.');
     }
 
-    // Construct the chat messages array as expected by OpenRouter
-    const messages = [
-        { 
-            role: 'system', 
-            content: systemPrompt + "\n\nIMPORTANT: When generating code, use professional formatting:\n- Use proper markdown code blocks with language specification\n- Structure responses clearly with headers and sections\n- Provide clean, well-commented code\n- Use professional language and formatting\n- Format code blocks like: ```language\ncode here\n```\n- Be concise but comprehensive in explanations"
-        },
-        { role: 'user',   content: userMessage }
-    ];
+    const { params, errors } = readGenerationSettings(req.body.generation);
+    if (errors.length > 0) {
+        return sendChatError(res, 'bad_request', `Invalid generation settings: ${errors.join(' ')}`);
+    }
+    const model = params.model || provider.model;
+    const botId = req.body.botId || null;
+    if (botId !== null && !isBotId(botId)) {
+        return sendChatError(res, 'bad_request', '"botId" must be a bot ID (lower-case letters and digits).');
+    }
 
-    try {
-        // Forward request to OpenRouter
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                // OpenRouter additionally requires either a Referer or X-Title header.
-                // See https://openrouter.ai/docs#headers for details.
-                'Referer': process.env.OPENROUTER_REFERER || 'http://localhost:3000/',
-                'X-Title': 'Crave.ai Chat App'
-            },
-            body: JSON.stringify({
-                model: AI_MODEL,
-                messages
-            })
-        });
+    const extra = resolveInstructions(instructions, req.body.instructions);
+    if (extra.error) {
+        return sendChatError(res, 'bad_request', extra.error);
+    }
 
-        // If OpenRouter responded with an error status, provide a fallback response
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('OpenRouter API error:', response.status, errorText);
-            console.error('Request details:', { model: AI_MODEL, messages });
-            
-            // Provide a fallback response instead of error
-            const fallbackResponse = {
-                id: 'fallback-' + Date.now(),
-                object: 'chat.completion',
-                created: Math.floor(Date.now() / 1000),
-                model: AI_MODEL,
-                choices: [{
-                    index: 0,
-                    message: {
-                        role: 'assistant',
-                        content: `I'm sorry, I'm having trouble connecting to the AI service right now. This is a fallback response. Your message was: "${userMessage}". Please check your API key configuration.`
-                    },
-                    finish_reason: 'stop'
-                }],
-                usage: {
-                    prompt_tokens: 10,
-                    completion_tokens: 20,
-                    total_tokens: 30
-                }
-            };
-            return res.json(fallbackResponse);
+    // Enforce the content policy on everything the client sent
+    let rating;
+    let checkedMessages;
+    try {
+        rating = await readChatRating(botId, req.body.ageCategory);
+        checkedMessages = await moderateInput(requestMessages, { botId, rating });
+    } catch (err) {
+        if (err instanceof ContentPolicyError) {
+            return sendChatError(res, err.type, err.message);
         }
+        console.error('Content check failed:', err);
+        return sendChatError(res, 'provider_down', 'The content check failed unexpectedly.');
+    }
+
+    // Append the bot's instruction preset (and for SFW chats, the content policy) to the system prompt (or add one)
+    const appended = [extra.text, rating === 'sfw' ? SFW_INSTRUCTIONS : ''].filter(Boolean).join('\n\n');
+    let withInstructions = checkedMessages;
+    if (appended) {
+        withInstructions = checkedMessages[0].role === 'system'
+            ? [{ role: 'system', content: `${checkedMessages[0].content}\n\n${appended}` }, ...checkedMessages.slice(1)]
+            : [{ role: 'system', content: appended }, ...checkedMessages];
+    }
+
+    // Fit the conversation into the model's context window
+    const responseTokens = params.max_tokens || DEFAULT_RESPONSE_TOKENS;
+    const { messages, promptTokens, dropped } = fitMessagesToBudget(withInstructions, model, responseTokens);
+    if (dropped > 0) {
+        console.log(`Trimmed ${dropped} older message(s) to fit the ${model} context window`);
+    }
+
+    const chat = { botId, model, promptTokens, rating };
+
+    if (req.body.stream === true) {
+        return streamChat(res, messages, params, chat);
+    }
+
+    try {
+        // Forward request to the configured provider
+        const data = await provider.complete(messages, { params });
+        const choice = data.choices && data.choices[0];
+        recordUsage(chat, data.usage, choice && choice.message ? choice.message.content : '');
 
-        const data = await response.json();
+        if (choice && choice.message && typeof choice.message.content === 'string') {
+            const result = await moderator.moderate(choice.message.content, { rating, stage: 'output' });
+            checkModeration(result, chat);
+            choice.message.content = result.text;
+        }
         return res.json(data);
     } catch (err) {
-        console.error('Server error while calling OpenRouter:', err);
-        
-        // Provide a fallback response instead of error
-        const fallbackResponse = {
-            id: 'fallback-' + Date.now(),
-            object: 'chat.completion',
-            created: Math.floor(Date.now() / 1000),
-            model: AI_MODEL,
-            choices: [{
-                index: 0,
-                message: {
-                    role: 'assistant',
-                    content: `I'm sorry, I'm experiencing technical difficulties. This is a fallback response. Your message was: "${userMessage}". Please try again later.`
-                },
-                finish_reason: 'stop'
-            }],
-            usage: {
-                prompt_tokens: 10,
-                completion_tokens: 20,
-                total_tokens: 30
+        logProviderError(err, { model, params });
+        return sendProviderError(res, err);
+    }
+});
+
+/**
+ * Send a typed /chat error response
+ * @param {import('express').Response} res Express response
+ * @param {string} type Error type (see CHAT_ERROR_TYPES)
+ * @param {string} message Human-readable description
+ * @param {number} [retryAfter] Seconds to wait before retrying
+ */
+function sendChatError(res, type, message, retryAfter = null) {
+    const { status, body } = chatErrorResponse(type, message, retryAfter);
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(status).json(body);
+}
+
+/**
+ * Send the typed error response for a failed provider call.
+ * Anything that is not a ProviderError (or a content policy block) is an
+ * unexpected failure on our side and is reported as provider_down without
+ * internal details.
+ * @param {import('express').Response} res Express response
+ * @param {Error} err Error thrown by the provider
+ */
+function sendProviderError(res, err) {
+    if (err instanceof ProviderError || err instanceof ContentPolicyError) {
+        return sendChatError(res, err.type, err.message, err.retryAfter);
+    }
+    return sendChatError(res, 'provider_down', 'The AI service failed unexpectedly.');
+}
+
+/**
+ * Log a provider failure with the upstream details we never send to clients
+ * @param {Error} err Error thrown by the provider
+ * @param {Object} details Request details to log alongside
+ */
+function logProviderError(err, details) {
+    // Already recorded in the moderation log
+    if (err instanceof ContentPolicyError) return;
+
+    if (err instanceof ProviderError) {
+        console.error(`${provider.name} error (${err.type}):`, err.status || '', err.body || err.message, details);
+    } else {
+        console.error(`Unexpected error while calling ${provider.name}:`, err, details);
+    }
+}
+
+/**
+ * Content rating for a chat: the strictest of the server setting, the bot
+ * as stored on this server, and what the request says
+ * @param {string|null} botId Bot the chat is with
+ * @param {string} [ageCategory] Age category sent by the client
+ * @returns {Promise<string>} 'sfw' or 'nsfw'
+ */
+async function readChatRating(botId, ageCategory) {
+    if (config.forceSfw) return 'sfw';
+
+    const storedBot = botId ? await store.getBot(botId) : null;
+    if (storedBot && readRating(storedBot.ageCategory) === 'sfw') return 'sfw';
+
+    return readRating(ageCategory);
+}
+
+// Stands in for an older turn the input rules would now block
+const REMOVED_TURN_TEXT = '[Message removed by the content policy]';
+
+/**
+ * Run the request messages through the input rules.
+ * Only the system prompt and the newest message can block the request, and
+ * only they are logged. Older turns were checked when they were new; one
+ * that a rule blocks now (the chat became SFW, say) is replaced by a note
+ * instead, so it cannot fail every later request in the thread.
+ * @param {Array} messages Request messages
+ * @param {{botId: string|null, rating: string}} chat Request details
+ * @returns {Promise<Array>} Messages with redactions applied
+ * @throws {ContentPolicyError} If the system prompt or the newest message is blocked
+ */
+async function moderateInput(messages, chat) {
+    const checked = [];
+
+    for (const [i, message] of messages.entries()) {
+        const result = await moderator.moderate(message.content, { rating: chat.rating, stage: 'input' });
+        if (message.role === 'system' || i === messages.length - 1) {
+            checkModeration(result, chat);
+            checked.push({ ...message, content: result.text });
+        } else {
+            checked.push({ ...message, content: result.blocked ? REMOVED_TURN_TEXT : result.text });
+        }
+    }
+
+    return checked;
+}
+
+/**
+ * Record the rules a moderation result fired, and stop if one blocked
+ * @param {{blocked: Object|null, violations: Array}} result Result from the moderator
+ * @param {{botId: string|null, rating: string}} chat Request details
+ * @throws {ContentPolicyError} If the result is blocked
+ */
+function checkModeration(result, chat) {
+    result.violations.forEach(violation => {
+        moderationLog.record({ botId: chat.botId, rating: chat.rating, ...violation }).catch(err => {
+            console.error('Could not record moderation decision:', err);
+        });
+    });
+
+    if (result.blocked) {
+        console.log(`Content policy blocked ${result.blocked.stage} (${result.blocked.ruleSet}/${result.blocked.ruleId}) for bot ${chat.botId || 'unknown'}`);
+        throw new ContentPolicyError(describeViolation(result.blocked), result.blocked);
+    }
+}
+
+/**
+ * Record the tokens a chat request used.
+ * Uses the provider's own counts when it sent them, otherwise our estimate.
+ * @param {{botId: string|null, model: string, promptTokens: number}} chat Request details
+ * @param {Object} [usage] OpenAI-format usage from the provider
+ * @param {string} reply Reply text (for the estimate)
+ */
+function recordUsage(chat, usage, reply) {
+    const counted = readUsage(usage);
+    const tokens = counted
+        ? { ...counted, estimated: false }
+        : { promptTokens: chat.promptTokens, completionTokens: estimateTokens(reply), estimated: true };
+
+    usageLog.record({ botId: chat.botId, model: chat.model, ...tokens }).catch(err => {
+        console.error('Could not record token usage:', err);
+    });
+}
+
+/**
+ * Stream a chat completion to the browser as Server-Sent Events.
+ *
+ * Events sent:
+ *   data: { "delta": string }                       // next piece of the reply
+ *   event: done   data: { "finishReason": string }  // reply complete
+ *   event: error  data: { "error": { type, message, retryable } }  // failure mid-stream
+ *
+ * Failures before the first chunk get a normal typed JSON error response
+ * instead, so the client can tell them apart by HTTP status and retry.
+ *
+ * The reply passes through the output rules as it streams; a blocked reply
+ * ends with a content_blocked error event, and the client drops what it
+ * already showed.
+ *
+ * If the browser disconnects (e.g. the user pressed Stop) the upstream
+ * request is aborted as well. Usage is still recorded for whatever was
+ * generated up to that point.
+ * @param {import('express').Response} res Express response
+ * @param {Array} messages Messages to send upstream
+ * @param {Object} params Generation parameters for the provider
+ * @param {Object} chat Request details for metering and moderation
+ */
+async function streamChat(res, messages, params, chat) {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const chunks = provider.stream(messages, { params, signal: controller.signal });
+    const outputFilter = moderator.createOutputFilter({ rating: chat.rating });
+    let send = null;
+    let finishReason = null;
+    let reply = '';
+    let usage = null;
+
+    try {
+        for await (const chunk of chunks) {
+            // Only switch to SSE once the provider has actually started answering
+            if (!send) send = openSSE(res);
+
+            if (chunk.delta) {
+                reply += chunk.delta;
+                const released = await outputFilter.push(chunk.delta);
+                checkModeration(released, chat);
+                if (released.text) send(null, { delta: released.text });
             }
-        };
-        return res.json(fallbackResponse);
+            if (chunk.finishReason) {
+                finishReason = chunk.finishReason;
+            }
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+        }
+
+        const rest = await outputFilter.end();
+        checkModeration(rest, chat);
+
+        if (!send) send = openSSE(res);
+        if (rest.text) send(null, { delta: rest.text });
+        send('done', { finishReason: finishReason || 'stop' });
+        recordUsage(chat, usage, reply);
+    } catch (err) {
+        // Whatever was generated before the failure was still paid for
+        if (send) recordUsage(chat, usage, reply);
+
+        // The browser went away; nothing left to tell it
+        if (controller.signal.aborted) return;
+
+        logProviderError(err, { model: params.model || provider.model, params, stream: true });
+        if (!send) return sendProviderError(res, err);
+
+        const typed = err instanceof ProviderError || err instanceof ContentPolicyError;
+        const type = typed ? err.type : 'provider_down';
+        const message = typed ? err.message : 'The AI service failed unexpectedly.';
+        send('error', chatErrorResponse(type, message).body);
     }
+
+    res.end();
+}
+
+// Health, model list and non-secret settings for the frontend
+app.use(createStatusRouter({ config, provider, moderator, instructions }));
+
+// Bot and chat storage shared between browsers
+app.use('/api', createStorageRouter(store, { token: config.storageToken }));
+
+// Published character cards behind short share links
+app.use('/api', createShareRouter(store));
+
+// Token usage per bot, model and day
+app.use('/api', createUsageRouter(usageLog));
+
+// Recent content policy decisions
+app.use('/api', createModerationRouter(moderationLog));
+
+// Report unexpected route errors as JSON rather than Express's HTML page
+app.use((err, req, res, next) => {
+    console.error('Unhandled error on', req.method, req.path, err);
+    if (res.headersSent) return next(err);
+    res.status(500).json({ error: 'Internal server error' });
 });
 
 // -----------------------------------------------------------------------------
 // START SERVER
 // -----------------------------------------------------------------------------
-app.listen(PORT, () => {
-    console.log(`Backend server listening at http://localhost:${PORT}`);
+app.listen(PORT, config.host, () => {
+    console.log(`Backend server listening at http://${config.host}:${PORT}`);
+    console.log(`Using provider "${provider.name}" with model "${provider.model}"`);
+    console.log(`Content policy: ${moderator.ruleCount} rule(s)${config.forceSfw ? ', every chat forced to SFW' : ''}`);
+    if (!config.storageToken) console.log('Sync storage API is off; set STORAGE_TOKEN to turn it on');
 });
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Crave.ai - Extra system instructions
+ * Named blocks of instructions the backend appends to a bot's system
+ * prompt. Each bot picks one by name with "instructions" in the /chat body;
+ * bots that do not pick one get DEFAULT_INSTRUCTIONS.
+ *
+ * INSTRUCTIONS_FILE may point at a JSON object of extra presets, which are
+ * added to (or replace) the built-in ones:
+ *
+ *   { "storyteller": "Narrate in the third person and end every reply with a choice." }
+ *
+ * An empty string is a valid preset; "none" is one, so a bot can opt out.
+ */
+
+import fs from 'fs';
+import { ConfigError } from './errors.js';
+
+export const BUILTIN_INSTRUCTIONS = {
+    formatting: "IMPORTANT: When generating code, use professional formatting:\n- Use proper markdown code blocks with language specification\n- Structure responses clearly with headers and sections\n- Provide clean, well-commented code\n- Use professional language and formatting\n- Format code blocks like: ```language\ncode here\n```\n- Be concise but comprehensive in explanations",
+    roleplay: "Stay in character at all times. Write actions and narration in *asterisks*, speak in the first person, and keep replies conversational rather than formatted like a document.",
+    none: ''
+};
+
+const MAX_PRESET_NAME_LENGTH = 50;
+
+/**
+ * Load the instruction presets and check the default
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {{presets: Object, defaultName: string}} Preset name -> text, and the default preset
+ * @throws {ConfigError} If the file is unusable or the default does not exist
+ */
+export function loadInstructions(config) {
+    const { file, defaultName } = config.instructions;
+    const presets = { ...BUILTIN_INSTRUCTIONS };
+
+    if (file) {
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new ConfigError(`instructions: could not read INSTRUCTIONS_FILE "${file}" (${err.message}).`);
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new ConfigError(`instructions: INSTRUCTIONS_FILE "${file}" must be a JSON object of preset name -> text.`);
+        }
+
+        Object.entries(raw).forEach(([name, text]) => {
+            if (!name || name.length > MAX_PRESET_NAME_LENGTH || typeof text !== 'string') {
+                throw new ConfigError(`instructions: preset "${name}" in "${file}" needs a short name and a text string.`);
+            }
+            presets[name] = text.trim();
+        });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(presets, defaultName)) {
+        throw new ConfigError(`instructions: DEFAULT_INSTRUCTIONS is "${defaultName}", which is not a preset. Use one of: ${Object.keys(presets).join(', ')}.`);
+    }
+
+    return { presets, defaultName };
+}
+
+/**
+ * Pick the instructions for a chat
+ * @param {{presets: Object, defaultName: string}} instructions Result of loadInstructions
+ * @param {string} [name] Preset the bot asked for; missing or null means the default
+ * @returns {{text: string, error: string|null}} Instruction text, or why the name is invalid
+ */
+export function resolveInstructions({ presets, defaultName }, name) {
+    if (name === undefined || name === null || name === '') {
+        return { text: presets[defaultName], error: null };
+    }
+    if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(presets, name)) {
+        return { text: '', error: `"instructions" must be one of: ${Object.keys(presets).join(', ')}.` };
+    }
+    return { text: presets[name], error: null };
+}
@@ -0,0 +1,181 @@
+/**
+ * Crave.ai - Moderation checkers
+ * Each rule in a rule set is turned into a checker by the factory named in
+ * its "type". A checker exposes:
+ *
+ *   redactable              Whether its matches can be cut out of the text
+ *   check(text, opts)       Promise of the matches found: [{ match, index }]
+ *                           (index is -1 when the match has no position)
+ *
+ * opts carries { partial }: true while a streamed reply is still growing,
+ * which checkers that are expensive to run may skip.
+ */
+
+import fetch from 'node-fetch';
+import { ConfigError } from '../errors.js';
+
+// How long the classifier may take before the check counts as failed
+const CLASSIFIER_TIMEOUT_MS = 5000;
+
+// Classifier results kept so unchanged history is not classified again
+const CLASSIFIER_CACHE_SIZE = 500;
+
+/**
+ * Find every match of a global regular expression
+ * @param {RegExp} regex Regular expression with the g flag
+ * @param {string} text Text to search
+ * @returns {Array<{match: string, index: number}>} Matches
+ */
+function findAll(regex, text) {
+    const matches = [];
+    for (const found of text.matchAll(regex)) {
+        if (found[0]) matches.push({ match: found[0], index: found.index });
+    }
+    return matches;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word keyword list. A trailing * matches any word ending
+ * ("curse*" matches curse, curses, cursed).
+ *
+ *   { "type": "keywords", "terms": ["word", "prefix*"] }
+ *
+ * @param {Object} rule Rule from the rule file
+ * @param {string} where Rule location, for error messages
+ * @returns {Object} Checker
+ */
+function createKeywordChecker(rule, where) {
+    if (!Array.isArray(rule.terms) || rule.terms.length === 0 || rule.terms.some(term => typeof term !== 'string' || !term.trim())) {
+        throw new ConfigError(`moderation: ${where} needs a non-empty "terms" array of strings.`);
+    }
+
+    const alternatives = rule.terms.map(term => {
+        const trimmed = term.trim();
+        return trimmed.endsWith('*')
+            ? `${escapeRegExp(trimmed.slice(0, -1))}\\w*`
+            : escapeRegExp(trimmed);
+    });
+    const regex = new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'giu');
+
+    return {
+        redactable: true,
+        async check(text) {
+            return findAll(regex, text);
+        }
+    };
+}
+
+/**
+ * Regular expression.
+ *
+ *   { "type": "regex", "pattern": "...", "flags": "i" }
+ *
+ * @param {Object} rule Rule from the rule file
+ * @param {string} where Rule location, for error messages
+ * @returns {Object} Checker
+ */
+function createRegexChecker(rule, where) {
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new ConfigError(`moderation: ${where} needs a "pattern" string.`);
+    }
+
+    let regex;
+    try {
+        const flags = (rule.flags || '').replace(/g/g, '');
+        regex = new RegExp(rule.pattern, `${flags}g`);
+    } catch (err) {
+        throw new ConfigError(`moderation: ${where} has an invalid regular expression (${err.message}).`);
+    }
+
+    return {
+        redactable: true,
+        async check(text) {
+            return findAll(regex, text);
+        }
+    };
+}
+
+/**
+ * Local classifier reached over HTTP. It receives { "input": text } and
+ * answers in the OpenAI moderation format:
+ *   { "results": [{ "flagged": bool, "categories": {...}, "category_scores": { "<category>": 0..1 } }] }
+ *
+ *   { "type": "classifier", "categories": ["sexual"], "threshold": 0.5, "failOpen": false }
+ *
+ * Without "categories" any flagged result counts. If the classifier cannot
+ * be reached the text is treated as a violation unless failOpen is true.
+ * Only complete texts are classified, never a partially streamed reply.
+ *
+ * @param {Object} rule Rule from the rule file
+ * @param {string} where Rule location, for error messages
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {Object} Checker
+ */
+function createClassifierChecker(rule, where, config) {
+    const url = config.moderation && config.moderation.classifierUrl;
+    if (!url) {
+        throw new ConfigError(`moderation: ${where} uses the classifier, but MODERATION_CLASSIFIER_URL is not set.`);
+    }
+
+    const threshold = typeof rule.threshold === 'number' ? rule.threshold : 0.5;
+    const categories = Array.isArray(rule.categories) ? rule.categories : null;
+    const cache = new Map();
+
+    async function classify(text) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ input: text }),
+            signal: AbortSignal.timeout(CLASSIFIER_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`classifier answered ${response.status} ${response.statusText}`);
+        }
+
+        const { results } = await response.json();
+        const result = (results && results[0]) || {};
+        if (!categories) {
+            if (!result.flagged) return [];
+            const flaggedCategories = Object.keys(result.categories || {}).filter(name => result.categories[name]);
+            return flaggedCategories.length ? flaggedCategories : ['flagged'];
+        }
+        const scores = result.category_scores || {};
+        return categories.filter(name => (scores[name] || 0) >= threshold);
+    }
+
+    return {
+        redactable: false,
+        async check(text, { partial = false } = {}) {
+            if (partial || !text.trim()) return [];
+
+            let flagged = cache.get(text);
+            if (!flagged) {
+                try {
+                    flagged = await classify(text);
+                } catch (err) {
+                    console.error(`Moderation classifier failed (${where}):`, err.message);
+                    return rule.failOpen ? [] : [{ match: 'classifier unavailable', index: -1 }];
+                }
+                if (cache.size >= CLASSIFIER_CACHE_SIZE) cache.delete(cache.keys().next().value);
+                cache.set(text, flagged);
+            }
+
+            return flagged.map(category => ({ match: category, index: -1 }));
+        }
+    };
+}
+
+export const CHECKERS = {
+    'keywords': createKeywordChecker,
+    'regex': createRegexChecker,
+    'classifier': createClassifierChecker
+};
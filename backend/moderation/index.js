@@ -0,0 +1,225 @@
+/**
+ * Crave.ai - Content moderation
+ * Checks chat input and model output against the rule sets for the chat's
+ * content rating, blocking or redacting whatever breaks them.
+ *
+ * Rules come from a JSON file (MODERATION_RULES, default-rules.json here):
+ *
+ *   {
+ *     "ruleSets": {
+ *       "always": [ ...rules for every chat ],
+ *       "sfw":    [ ...extra rules for SFW chats ],
+ *       "nsfw":   [ ...extra rules for NSFW chats ]
+ *     }
+ *   }
+ *
+ * Every rule has:
+ *   id            Name recorded when the rule fires
+ *   type          keywords | regex | classifier (see checkers.js for their fields)
+ *   action        "block" (refuse the message) or "redact" (replace the match); default block
+ *   stages        Where it applies: ["input", "output"] (default both)
+ *   replacement   Text that replaces redacted matches (default "[redacted]")
+ *
+ * Rules run in order; the first blocking rule stops the check.
+ */
+
+import fs from 'fs';
+import { ConfigError } from '../errors.js';
+import { CHECKERS } from './checkers.js';
+
+export const RATINGS = ['sfw', 'nsfw'];
+
+const RULE_SETS = ['always', ...RATINGS];
+const STAGES = ['input', 'output'];
+const ACTIONS = ['block', 'redact'];
+
+// Characters of a streamed reply held back until later chunks confirm
+// that no rule matches across them
+const STREAM_HOLDBACK_CHARS = 80;
+
+/**
+ * Content rating for a bot's age category. Anything not explicitly marked
+ * NSFW is treated as SFW.
+ * @param {string} [ageCategory] Bot age category, e.g. "SFW (12+)" or "NSFW (18+)"
+ * @returns {string} 'sfw' or 'nsfw'
+ */
+export function readRating(ageCategory) {
+    return typeof ageCategory === 'string' && /^nsfw/i.test(ageCategory.trim()) ? 'nsfw' : 'sfw';
+}
+
+/**
+ * User-facing explanation of a blocking rule
+ * @param {Object} violation Violation from moderate()
+ * @returns {string} Message for the typed content_blocked error
+ */
+export function describeViolation(violation) {
+    const what = violation.stage === 'input' ? 'This message' : 'The reply';
+    const policy = violation.ruleSet === 'sfw' ? 'the SFW content policy' : 'the content policy';
+    return `${what} was blocked by ${policy} (rule "${violation.ruleId}").`;
+}
+
+/**
+ * Load and compile a rule file
+ * @param {string} file Path to the rule JSON
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {Object} Map of rule set name -> compiled rules
+ * @throws {ConfigError} If the file is missing or malformed
+ */
+function loadRules(file, config) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ConfigError(`moderation: could not read MODERATION_RULES file "${file}" (${err.message}).`);
+    }
+
+    const ruleSets = {};
+    Object.entries(raw.ruleSets || {}).forEach(([setName, rules]) => {
+        if (!RULE_SETS.includes(setName)) {
+            throw new ConfigError(`moderation: unknown rule set "${setName}" in "${file}". Use one of: ${RULE_SETS.join(', ')}.`);
+        }
+        if (!Array.isArray(rules)) {
+            throw new ConfigError(`moderation: rule set "${setName}" in "${file}" must be an array of rules.`);
+        }
+
+        ruleSets[setName] = rules.map((rule, i) => {
+            const where = `rule ${rule && rule.id ? `"${rule.id}"` : i} in set "${setName}" of "${file}"`;
+            const factory = rule && CHECKERS[rule.type];
+            if (!factory) {
+                throw new ConfigError(`moderation: ${where} has unknown type "${rule && rule.type}". Use one of: ${Object.keys(CHECKERS).join(', ')}.`);
+            }
+
+            const action = rule.action || 'block';
+            if (!ACTIONS.includes(action)) {
+                throw new ConfigError(`moderation: ${where} has unknown action "${action}". Use block or redact.`);
+            }
+            const stages = rule.stages || STAGES;
+            if (!Array.isArray(stages) || stages.some(stage => !STAGES.includes(stage))) {
+                throw new ConfigError(`moderation: ${where} has invalid "stages". Use "input" and/or "output".`);
+            }
+
+            return {
+                id: rule.id || `${setName}-${i}`,
+                ruleSet: setName,
+                action,
+                stages,
+                replacement: typeof rule.replacement === 'string' ? rule.replacement : '[redacted]',
+                checker: factory(rule, where, config)
+            };
+        });
+    });
+
+    return ruleSets;
+}
+
+/**
+ * Replace matches in a text, last first so earlier indexes stay valid
+ * @param {string} text Original text
+ * @param {Array<{match: string, index: number}>} matches Matches to replace
+ * @param {string} replacement Replacement text
+ * @returns {string} Redacted text
+ */
+function redact(text, matches, replacement) {
+    return [...matches]
+        .sort((a, b) => b.index - a.index)
+        .reduce((result, { match, index }) =>
+            result.slice(0, index) + replacement + result.slice(index + match.length), text);
+}
+
+/**
+ * Create the moderation pipeline from the configured rule file
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {Object} Moderator API
+ * @throws {ConfigError} If the rules are unusable
+ */
+export function createModerator(config) {
+    const ruleSets = loadRules(config.moderation.rulesFile, config);
+
+    /**
+     * Check a text against the rules for a rating and stage
+     * @param {string} text Text to check
+     * @param {Object} options
+     * @param {string} options.rating 'sfw' or 'nsfw'
+     * @param {string} options.stage 'input' or 'output'
+     * @param {boolean} [options.partial] The text is an unfinished streamed reply
+     * @returns {Promise<{text: string, blocked: Object|null, violations: Array}>}
+     *   Text with redactions applied, the blocking violation (if any) and
+     *   every rule that fired: { ruleSet, ruleId, action, stage, matches }
+     */
+    async function moderate(text, { rating, stage, partial = false }) {
+        const rules = [...(ruleSets.always || []), ...(ruleSets[rating] || [])]
+            .filter(rule => rule.stages.includes(stage));
+
+        let result = text;
+        const violations = [];
+
+        for (const rule of rules) {
+            const matches = await rule.checker.check(result, { partial });
+            if (matches.length === 0) continue;
+
+            const blocks = rule.action === 'block' || !rule.checker.redactable;
+            const violation = {
+                ruleSet: rule.ruleSet,
+                ruleId: rule.id,
+                action: blocks ? 'block' : 'redact',
+                stage,
+                matches: [...new Set(matches.map(m => m.match.toLowerCase()))].slice(0, 5)
+            };
+            violations.push(violation);
+
+            if (blocks) {
+                return { text: result, blocked: violation, violations };
+            }
+            result = redact(result, matches, rule.replacement);
+        }
+
+        return { text: result, blocked: null, violations };
+    }
+
+    /**
+     * Moderate a reply while it streams in. Text is released in whole
+     * words once it is STREAM_HOLDBACK_CHARS behind the newest chunk, so a
+     * rule matching across chunks can still redact it.
+     * @param {Object} options
+     * @param {string} options.rating 'sfw' or 'nsfw'
+     * @returns {{push: Function, end: Function}} push(delta) for each chunk, end() once
+     *   the reply is complete; both resolve to { text, blocked, violations } where
+     *   text is what may be sent on. Violations are only reported once, by end()
+     *   or by the step that blocked.
+     */
+    function createOutputFilter({ rating }) {
+        let raw = '';
+        let released = 0;
+
+        async function step(final) {
+            const { text, blocked, violations } = await moderate(raw, { rating, stage: 'output', partial: !final });
+            if (blocked) return { text: '', blocked, violations: [blocked] };
+
+            let cut = text.length;
+            if (!final) {
+                const lastSpace = text.slice(0, Math.max(0, text.length - STREAM_HOLDBACK_CHARS)).search(/\s\S*$/);
+                cut = lastSpace > released ? lastSpace : released;
+            }
+
+            const releasedText = text.slice(released, cut);
+            released = cut;
+            return { text: releasedText, blocked: null, violations: final ? violations : [] };
+        }
+
+        return {
+            push(delta) {
+                raw += delta;
+                return step(false);
+            },
+            end() {
+                return step(true);
+            }
+        };
+    }
+
+    return {
+        moderate,
+        createOutputFilter,
+        ruleCount: Object.values(ruleSets).reduce((sum, rules) => sum + rules.length, 0)
+    };
+}
@@ -0,0 +1,64 @@
+/**
+ * Crave.ai - Moderation log
+ * Appends one JSON line per moderation decision, so it is always possible
+ * to see what was blocked or redacted and which rule did it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a moderation log backed by a JSON Lines file
+ * @param {string} file Path of the log file (created on first write)
+ * @returns {Object} Moderation log API
+ */
+export function createModerationLog(file) {
+    let writeQueue = Promise.resolve();
+
+    return {
+        /**
+         * Record a moderation decision
+         * @param {Object} entry { botId, rating, stage, action, ruleSet, ruleId, matches }
+         * @returns {Promise<void>}
+         */
+        record(entry) {
+            const line = JSON.stringify({ at: Date.now(), ...entry }) + '\n';
+            // Lines are appended in order; one that fails is lost, not the rest
+            const write = writeQueue.catch(() => {}).then(async () => {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.appendFile(file, line);
+            });
+            writeQueue = write;
+            return write;
+        },
+
+        /**
+         * Most recent decisions, newest first
+         * @param {Object} [options]
+         * @param {number} [options.limit] How many to return (default 50)
+         * @returns {Promise<Array>} Log entries
+         */
+        async recent({ limit = 50 } = {}) {
+            let content;
+            try {
+                content = await fs.readFile(file, 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+
+            return content.split('\n')
+                .filter(Boolean)
+                .slice(-limit)
+                .reverse()
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (parseError) {
+                        return null; // a line cut short by a crash
+                    }
+                })
+                .filter(Boolean);
+        }
+    };
+}
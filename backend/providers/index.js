@@ -0,0 +1,48 @@
+/**
+ * Crave.ai - Provider registry
+ * Picks the model provider adapter named in the configuration.
+ *
+ * Every adapter exposes:
+ *   name                         Provider name
+ *   model                        Model it sends requests to
+ *   complete(messages, opts)     Promise of an OpenAI-format chat.completion
+ *   stream(messages, opts)       Async generator of { delta } / { finishReason } / { usage }
+ *   listModels(opts)             Promise of [{ id, name, contextLength }] the provider offers
+ *   checkConnection(opts)        Resolves if the provider is reachable and accepts our key
+ *
+ * opts may carry { params, signal }: params are OpenAI-style request
+ * parameters (model, temperature, max_tokens, ...) merged into the request.
+ */
+
+import { ConfigError } from '../errors.js';
+import { createOpenRouterProvider } from './openrouter.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDERS = {
+    'openrouter': createOpenRouterProvider,
+    'openai-compatible': config => createOpenAICompatibleProvider({
+        name: 'openai-compatible',
+        baseUrl: config.openaiCompatible.baseUrl,
+        apiKey: config.openaiCompatible.apiKey,
+        model: config.model,
+        timeoutMs: config.timeoutMs
+    }),
+    'mock': createMockProvider
+};
+
+/**
+ * Create the provider adapter selected by config.provider
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {Object} Provider adapter
+ * @throws {ConfigError} If the provider is unknown or misconfigured
+ */
+export function createProvider(config) {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new ConfigError(
+            `Unknown AI_PROVIDER "${config.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`
+        );
+    }
+    return factory(config);
+}
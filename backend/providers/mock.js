@@ -0,0 +1,185 @@
+/**
+ * Crave.ai - Mock provider
+ * Answers without any network access, for development, tests and offline use.
+ *
+ * Replies are deterministic: the same conversation always gets the same
+ * reply. With MOCK_FIXTURES pointing at a JSON file, replies come from it:
+ *
+ *   {
+ *     "rules": [                                  // checked first, in order
+ *       { "match": "hello", "reply": "Hi there!" },          // case-insensitive substring
+ *       { "match": "/weather|rain/i", "reply": "Sunny." },   // regular expression
+ *       { "match": "fail", "error": "rate_limited" }          // simulate an upstream failure
+ *     ],
+ *     "script": ["First reply", "Second reply"],  // n-th user turn gets the n-th entry
+ *     "default": "I have nothing scripted for that."
+ *   }
+ *
+ * Without fixtures the mock echoes the last user message.
+ */
+
+import fs from 'fs';
+import { ConfigError, ProviderError, CHAT_ERROR_TYPES } from '../errors.js';
+import { estimateTokens } from '../context.js';
+
+const DEFAULT_MODEL = 'mock-model';
+
+/**
+ * Load and validate a fixture file
+ * @param {string} file Path to the fixture JSON
+ * @returns {{rules: Array, script: Array, default: string|null}} Fixtures
+ * @throws {ConfigError} If the file is missing or malformed
+ */
+function loadFixtures(file) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ConfigError(`mock: could not read MOCK_FIXTURES file "${file}" (${err.message}).`);
+    }
+
+    const rules = (raw.rules || []).map((rule, i) => {
+        if (typeof rule.match !== 'string') {
+            throw new ConfigError(`mock: rule ${i} in "${file}" needs a string "match" field.`);
+        }
+        if (rule.error !== undefined) {
+            if (!CHAT_ERROR_TYPES[rule.error]) {
+                throw new ConfigError(`mock: rule ${i} in "${file}" has unknown error "${rule.error}". Use one of: ${Object.keys(CHAT_ERROR_TYPES).join(', ')}.`);
+            }
+        } else if (typeof rule.reply !== 'string') {
+            throw new ConfigError(`mock: rule ${i} in "${file}" needs a string "reply" or an "error" type.`);
+        }
+        return { test: compileMatcher(rule.match, file, i), reply: rule.reply, error: rule.error };
+    });
+
+    const script = raw.script || [];
+    if (!Array.isArray(script) || script.some(line => typeof line !== 'string')) {
+        throw new ConfigError(`mock: "script" in "${file}" must be an array of strings.`);
+    }
+
+    return { rules, script, default: typeof raw.default === 'string' ? raw.default : null };
+}
+
+/**
+ * Turn a rule's "match" string into a test function.
+ * "/pattern/flags" is a regular expression, anything else a substring.
+ * @param {string} match Match expression
+ * @param {string} file Fixture file (for error messages)
+ * @param {number} index Rule index (for error messages)
+ * @returns {(text: string) => boolean} Test function
+ */
+function compileMatcher(match, file, index) {
+    const regexForm = match.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexForm) {
+        try {
+            const regex = new RegExp(regexForm[1], regexForm[2]);
+            return text => regex.test(text);
+        } catch (err) {
+            throw new ConfigError(`mock: rule ${index} in "${file}" has an invalid regular expression (${err.message}).`);
+        }
+    }
+
+    const needle = match.toLowerCase();
+    return text => text.toLowerCase().includes(needle);
+}
+
+/**
+ * Create the mock adapter
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {Object} Provider adapter
+ */
+export function createMockProvider(config) {
+    const model = config.model || DEFAULT_MODEL;
+    const { fixtures: fixtureFile, delayMs } = config.mock || {};
+    const fixtures = fixtureFile ? loadFixtures(fixtureFile) : null;
+
+    /**
+     * Pick the reply for a conversation
+     * @param {Array} messages Chat messages
+     * @returns {string} Reply text
+     * @throws {ProviderError} If a fixture rule simulates a failure
+     */
+    function replyFor(messages) {
+        const userTurns = messages.filter(m => m.role === 'user');
+        const lastUser = userTurns.length ? userTurns[userTurns.length - 1].content : '';
+
+        if (fixtures) {
+            const rule = fixtures.rules.find(r => r.test(lastUser));
+            if (rule && rule.error) {
+                throw new ProviderError(`Simulated ${rule.error} failure from the mock provider.`, {
+                    type: rule.error,
+                    retryAfter: rule.error === 'rate_limited' ? 1 : null
+                });
+            }
+            if (rule) return rule.reply;
+
+            // The script is played one line per user turn; with none yet
+            // (a system prompt only) the default or echo reply answers
+            if (fixtures.script.length && userTurns.length > 0) {
+                return fixtures.script[(userTurns.length - 1) % fixtures.script.length];
+            }
+
+            if (fixtures.default !== null) return fixtures.default;
+        }
+
+        return `This is a mock reply to: "${lastUser}"`;
+    }
+
+    /**
+     * Token usage for a mock reply, estimated the same way as the context budget
+     * @param {Array} messages Prompt messages
+     * @param {string} content Reply text
+     * @returns {Object} OpenAI-format usage object
+     */
+    function usageFor(messages, content) {
+        const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        const completionTokens = estimateTokens(content);
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    return {
+        name: 'mock',
+        model,
+
+        async listModels() {
+            return [{ id: model, name: 'Mock model', contextLength: null }];
+        },
+
+        async checkConnection() {
+            // Always available
+        },
+
+        async complete(messages, { params = {} } = {}) {
+            const content = replyFor(messages);
+            return {
+                id: 'mock-' + Date.now(),
+                object: 'chat.completion',
+                created: Math.floor(Date.now() / 1000),
+                model: params.model || model,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content },
+                    finish_reason: 'stop'
+                }],
+                usage: usageFor(messages, content)
+            };
+        },
+
+        async *stream(messages, { signal } = {}) {
+            // Emit word by word so the streaming UI has something to render
+            const content = replyFor(messages);
+            const words = content.split(/(?<=\s)/);
+            for (const word of words) {
+                if (signal && signal.aborted) return;
+                if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+                yield { delta: word };
+            }
+            yield { finishReason: 'stop' };
+            yield { usage: usageFor(messages, content) };
+        }
+    };
+}
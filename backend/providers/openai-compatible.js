@@ -0,0 +1,244 @@
+/**
+ * Crave.ai - OpenAI-compatible provider
+ * Talks to any server exposing POST /chat/completions in the OpenAI format
+ * (llama.cpp server, Ollama, LM Studio, vLLM, OpenRouter, ...).
+ */
+
+import fetch from 'node-fetch';
+import { ConfigError, ProviderError, errorTypeForStatus } from '../errors.js';
+import { readSSE } from '../sse.js';
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into seconds
+ * @param {string|null} value Header value
+ * @returns {number|null} Seconds to wait, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = parseInt(value, 10);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Create an adapter for an OpenAI-compatible chat completions API
+ * @param {Object} options
+ * @param {string} options.name Provider name used in logs and errors
+ * @param {string} options.baseUrl API base URL, e.g. http://localhost:8080/v1
+ * @param {string} options.model Model to request
+ * @param {string} [options.apiKey] Bearer token, if the server needs one
+ * @param {Object} [options.headers] Extra headers sent with every request
+ * @param {number} [options.timeoutMs] How long to wait for the upstream to start answering
+ * @param {string} [options.checkPath] GET route that proves the server is up and accepts the key
+ * @returns {Object} Provider adapter
+ */
+export function createOpenAICompatibleProvider({ name, baseUrl, model, apiKey = null, headers = {}, timeoutMs = 60000, checkPath = '/models' }) {
+    if (!baseUrl) {
+        throw new ConfigError(`${name}: no base URL configured. Set OPENAI_BASE_URL, e.g. http://localhost:8080/v1`);
+    }
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(baseUrl);
+    } catch (err) {
+        throw new ConfigError(`${name}: "${baseUrl}" is not a valid URL.`);
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new ConfigError(`${name}: base URL must start with http:// or https:// (got "${baseUrl}").`);
+    }
+
+    if (!model) {
+        throw new ConfigError(`${name}: no model configured. Set AI_MODEL to the model the server should run.`);
+    }
+
+    const apiBase = baseUrl.replace(/\/+$/, '');
+    const completionsUrl = `${apiBase}/chat/completions`;
+    const requestHeaders = {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...headers
+    };
+
+    /**
+     * POST a completion request, throwing ProviderError on failure
+     * @param {Object} body Request body
+     * @param {AbortSignal} [signal] Abort signal
+     * @returns {Promise<Response>} Successful upstream response
+     */
+    function post(body, signal) {
+        return request(completionsUrl, { method: 'POST', body, signal });
+    }
+
+    /**
+     * Call the upstream API, throwing ProviderError on failure.
+     * The timeout covers the wait for the response headers only, so long
+     * streamed replies are not cut off.
+     * @param {string} url Full request URL
+     * @param {Object} [options]
+     * @param {string} [options.method] HTTP method (default GET)
+     * @param {Object} [options.body] JSON request body
+     * @param {AbortSignal} [options.signal] Abort signal
+     * @returns {Promise<Response>} Successful upstream response
+     */
+    async function request(url, { method = 'GET', body, signal } = {}) {
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: requestHeaders,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (err) {
+            if (timedOut) {
+                throw new ProviderError(`The AI service did not respond within ${Math.round(timeoutMs / 1000)} seconds.`, { type: 'timeout' });
+            }
+            if (err.name === 'AbortError') throw err;
+            throw new ProviderError(`The AI service could not be reached (${name}: ${err.message}).`, { type: 'provider_down' });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw await providerErrorFromResponse(response);
+        }
+
+        return response;
+    }
+
+    /**
+     * Turn an upstream error response into a ProviderError
+     * @param {Response} response Failed upstream response
+     * @returns {Promise<ProviderError>} Classified error
+     */
+    async function providerErrorFromResponse(response) {
+        const errorText = await response.text();
+        const type = errorTypeForStatus(response.status);
+
+        let upstreamMessage = null;
+        try {
+            const parsed = JSON.parse(errorText);
+            upstreamMessage = parsed.error && (parsed.error.message || parsed.error);
+        } catch (parseError) {
+            // Not JSON; the raw text is still logged through error.body
+        }
+
+        const messages = {
+            auth_failed: 'The AI service rejected the backend\'s credentials. Check the API key configuration.',
+            rate_limited: 'The AI service is rate limiting requests. Please wait a moment.',
+            timeout: 'The AI service took too long to respond.',
+            bad_request: `The AI service rejected the request${typeof upstreamMessage === 'string' ? `: ${upstreamMessage}` : '.'}`,
+            provider_down: 'The AI service is unavailable right now.'
+        };
+
+        return new ProviderError(messages[type], {
+            type,
+            status: response.status,
+            body: errorText,
+            retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+        });
+    }
+
+    return {
+        name,
+        model,
+
+        /**
+         * List the models the server offers
+         * @param {Object} [options]
+         * @param {AbortSignal} [options.signal] Abort signal
+         * @returns {Promise<Array<{id: string, name: string, contextLength: number|null}>>} Models
+         */
+        async listModels({ signal } = {}) {
+            const response = await request(`${apiBase}/models`, { signal });
+            const { data } = await response.json();
+            return (Array.isArray(data) ? data : []).map(entry => ({
+                id: entry.id,
+                name: entry.name || entry.id,
+                contextLength: entry.context_length || null
+            }));
+        },
+
+        /**
+         * Check that the server is reachable and accepts our credentials
+         * @param {Object} [options]
+         * @param {AbortSignal} [options.signal] Abort signal
+         * @returns {Promise<void>} Resolves if it is; throws ProviderError otherwise
+         */
+        async checkConnection({ signal } = {}) {
+            const response = await request(`${apiBase}${checkPath}`, { signal });
+            await response.text();
+        },
+
+        /**
+         * Request a full completion
+         * @param {Array} messages Chat messages
+         * @param {Object} [options]
+         * @param {Object} [options.params] Extra request parameters (temperature, max_tokens, model, ...)
+         * @param {AbortSignal} [options.signal] Abort signal
+         * @returns {Promise<Object>} OpenAI-format chat.completion object
+         */
+        async complete(messages, { params = {}, signal } = {}) {
+            const response = await post({ model, ...params, messages }, signal);
+            return response.json();
+        },
+
+        /**
+         * Stream a completion
+         * @param {Array} messages Chat messages
+         * @param {Object} [options]
+         * @param {Object} [options.params] Extra request parameters (temperature, max_tokens, model, ...)
+         * @param {AbortSignal} [options.signal] Abort signal
+         * @returns {AsyncGenerator<{delta?: string, finishReason?: string, usage?: Object}>} Reply chunks
+         */
+        async *stream(messages, { params = {}, signal } = {}) {
+            // Ask for a final chunk with token usage (servers that do not know the option ignore it)
+            const response = await post({
+                model, ...params, messages, stream: true, stream_options: { include_usage: true }
+            }, signal);
+
+            for await (const payload of readSSE(response.body)) {
+                if (payload === '[DONE]') return;
+
+                let chunk;
+                try {
+                    chunk = JSON.parse(payload);
+                } catch (parseError) {
+                    continue; // ignore malformed keep-alive payloads
+                }
+
+                // Some providers report failures inside an already-open stream
+                if (chunk.error) {
+                    throw new ProviderError('The AI service failed while generating the reply.', {
+                        type: 'provider_down',
+                        body: JSON.stringify(chunk.error)
+                    });
+                }
+
+                if (chunk.usage) {
+                    yield { usage: chunk.usage };
+                }
+
+                const choice = chunk.choices && chunk.choices[0];
+                if (!choice) continue;
+                if (choice.delta && choice.delta.content) {
+                    yield { delta: choice.delta.content };
+                }
+                if (choice.finish_reason) {
+                    yield { finishReason: choice.finish_reason };
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,43 @@
+/**
+ * Crave.ai - OpenRouter provider
+ */
+
+import { ConfigError } from '../errors.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_MODEL = 'openai/gpt-3.5-turbo';
+
+/**
+ * Create the OpenRouter adapter
+ * @param {Object} config Backend configuration (see config.js)
+ * @returns {Object} Provider adapter
+ */
+export function createOpenRouterProvider(config) {
+    const { apiKey, referer } = config.openrouter;
+
+    if (!apiKey) {
+        throw new ConfigError([
+            'OPENROUTER_API_KEY is not set.',
+            'Create a file named .env in the backend directory with:',
+            '  OPENROUTER_API_KEY=sk-xxxxxxxxxxxxxxxx',
+            'or pick another provider with AI_PROVIDER=openai-compatible or AI_PROVIDER=mock.'
+        ].join('\n'));
+    }
+
+    return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        baseUrl: OPENROUTER_BASE_URL,
+        model: config.model || DEFAULT_MODEL,
+        apiKey,
+        timeoutMs: config.timeoutMs,
+        // /models is public on OpenRouter; /key only answers for a valid key
+        checkPath: '/key',
+        headers: {
+            // OpenRouter additionally requires either a Referer or X-Title header.
+            // See https://openrouter.ai/docs#headers for details.
+            'Referer': referer,
+            'X-Title': 'Crave.ai Chat App'
+        }
+    });
+}
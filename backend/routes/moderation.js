@@ -0,0 +1,28 @@
+/**
+ * Crave.ai - Moderation routes
+ *
+ *   GET    /api/moderation         Recent content policy decisions, newest first (?limit=50)
+ */
+
+import express from 'express';
+
+const MAX_LIMIT = 500;
+
+/**
+ * Create the moderation router
+ * @param {Object} moderationLog Log created by createModerationLog
+ * @returns {import('express').Router} Express router
+ */
+export function createModerationRouter(moderationLog) {
+    const router = express.Router();
+
+    // Wrap async handlers so rejected promises reach the error handler
+    const handle = fn => (req, res, next) => fn(req, res).catch(next);
+
+    router.get('/moderation', handle(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_LIMIT);
+        res.json(await moderationLog.recent({ limit }));
+    }));
+
+    return router;
+}
@@ -0,0 +1,55 @@
+/**
+ * Crave.ai - Share routes
+ *
+ *   POST   /api/shares             Publish a character card; returns { id, createdAt }
+ *   GET    /api/shares/:id         Get a published card as { card, createdAt }
+ *
+ * Shares back the short share links (explore.html?share=<id>). Anyone with
+ * the ID can read the card; there is no listing.
+ */
+
+import express from 'express';
+
+// Cards carry base64 avatars; anything bigger is not a card
+const MAX_CARD_BYTES = 8 * 1024 * 1024;
+const SHARE_ID_PATTERN = /^[A-Za-z0-9]{1,32}$/;
+
+/**
+ * Check that a body is a publishable character card
+ * @param {Object} card Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCard(card) {
+    if (!card || typeof card !== 'object' || Array.isArray(card)) return 'Body must be a character card object.';
+    const data = card.data && typeof card.data === 'object' ? card.data : card;
+    if (typeof data.name !== 'string' || !data.name.trim()) return 'The card needs a non-empty "name".';
+    if (Buffer.byteLength(JSON.stringify(card)) > MAX_CARD_BYTES) return `The card is larger than ${MAX_CARD_BYTES / 1024 / 1024} MB.`;
+    return null;
+}
+
+/**
+ * Create the share router
+ * @param {Object} store Store created by createFileStore
+ * @returns {import('express').Router} Express router
+ */
+export function createShareRouter(store) {
+    const router = express.Router();
+
+    // Wrap async handlers so rejected promises reach the error handler
+    const handle = fn => (req, res, next) => fn(req, res).catch(next);
+
+    router.post('/shares', handle(async (req, res) => {
+        const error = validateCard(req.body);
+        if (error) return res.status(400).json({ error });
+
+        res.status(201).json(await store.saveShare(req.body));
+    }));
+
+    router.get('/shares/:id', handle(async (req, res) => {
+        const share = SHARE_ID_PATTERN.test(req.params.id) ? await store.getShare(req.params.id) : null;
+        if (!share) return res.status(404).json({ error: 'This share link does not exist.' });
+        res.json(share);
+    }));
+
+    return router;
+}
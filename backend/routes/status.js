@@ -0,0 +1,135 @@
+/**
+ * Crave.ai - Status routes
+ *
+ *   GET    /health                 Is the backend up, and can it reach the provider?
+ *   GET    /models                 Models the configured provider offers (cached)
+ *   GET    /config                 Non-secret backend settings
+ *
+ * Provider checks are cached so polling clients do not hit the upstream API
+ * on every request; ?refresh=1 bypasses the cache.
+ */
+
+import express from 'express';
+import { ProviderError, chatErrorResponse } from '../errors.js';
+import { getContextLimit, DEFAULT_RESPONSE_TOKENS } from '../context.js';
+
+// How long a provider connection check stays fresh
+const HEALTH_CACHE_MS = 30 * 1000;
+
+// How long the model list stays fresh
+const MODELS_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Cache the result of an async function for a while.
+ * Concurrent callers share one pending call; failures are not cached.
+ * @param {Function} fn Async function to cache
+ * @param {number} ttlMs How long a result stays fresh
+ * @returns {(refresh?: boolean) => Promise<{value: *, cachedAt: number}>} Cached function
+ */
+function cached(fn, ttlMs) {
+    let entry = null;
+    let pending = null;
+
+    return (refresh = false) => {
+        if (!refresh && entry && Date.now() - entry.cachedAt < ttlMs) {
+            return Promise.resolve(entry);
+        }
+        if (!pending) {
+            pending = fn()
+                .then(value => (entry = { value, cachedAt: Date.now() }))
+                .finally(() => { pending = null; });
+        }
+        return pending;
+    };
+}
+
+/**
+ * Create the status router
+ * @param {Object} options
+ * @param {Object} options.config Backend configuration (see config.js)
+ * @param {Object} options.provider Provider adapter (see providers/index.js)
+ * @param {Object} options.moderator Content moderation pipeline (see moderation/index.js)
+ * @param {Object} options.instructions Instruction presets (see instructions.js)
+ * @returns {import('express').Router} Express router
+ */
+export function createStatusRouter({ config, provider, moderator, instructions }) {
+    const router = express.Router();
+    const startedAt = Date.now();
+
+    // Wrap async handlers so rejected promises reach the error handler
+    const handle = fn => (req, res, next) => fn(req, res).catch(next);
+    const wantsRefresh = req => req.query.refresh === '1' || req.query.refresh === 'true';
+
+    // Connection checks report failures as values so they are cached too
+    const checkProvider = cached(async () => {
+        const started = Date.now();
+        try {
+            await provider.checkConnection();
+            return { ok: true, latencyMs: Date.now() - started };
+        } catch (err) {
+            const type = err instanceof ProviderError ? err.type : 'provider_down';
+            const message = err instanceof ProviderError ? err.message : 'The AI service failed unexpectedly.';
+            if (!(err instanceof ProviderError)) console.error('Unexpected error while checking the provider:', err);
+            return { ok: false, type, message, latencyMs: Date.now() - started };
+        }
+    }, HEALTH_CACHE_MS);
+
+    const listModels = cached(() => provider.listModels(), MODELS_CACHE_MS);
+
+    /**
+     * The backend itself always answers 200 while it runs; "status" says
+     * whether chats can actually work:
+     *   { "status": "ok" | "degraded", "provider", "model", "uptimeSeconds",
+     *     "upstream": { "ok", "type"?, "message"?, "latencyMs", "checkedAt" } }
+     */
+    router.get('/health', handle(async (req, res) => {
+        const { value, cachedAt } = await checkProvider(wantsRefresh(req));
+        res.json({
+            status: value.ok ? 'ok' : 'degraded',
+            provider: provider.name,
+            model: provider.model,
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+            upstream: { ...value, checkedAt: cachedAt }
+        });
+    }));
+
+    router.get('/models', handle(async (req, res) => {
+        try {
+            const { value, cachedAt } = await listModels(wantsRefresh(req));
+            res.json({
+                provider: provider.name,
+                defaultModel: provider.model,
+                models: value,
+                cachedAt
+            });
+        } catch (err) {
+            if (!(err instanceof ProviderError)) throw err;
+            console.error(`${provider.name} error while listing models (${err.type}):`, err.status || '', err.body || err.message);
+            const { status, body } = chatErrorResponse(err.type, err.message, err.retryAfter);
+            res.status(status).json(body);
+        }
+    }));
+
+    // Never include API keys or anything derived from them here
+    router.get('/config', (req, res) => {
+        res.json({
+            provider: provider.name,
+            model: provider.model,
+            contextTokens: getContextLimit(provider.model),
+            defaultResponseTokens: DEFAULT_RESPONSE_TOKENS,
+            timeoutMs: config.timeoutMs,
+            contentPolicy: {
+                forceSfw: config.forceSfw,
+                rules: moderator.ruleCount,
+                classifier: Boolean(config.moderation.classifierUrl)
+            },
+            instructions: {
+                default: instructions.defaultName,
+                presets: instructions.presets
+            },
+            features: { streaming: true, storage: true, usage: true }
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,153 @@
+/**
+ * Crave.ai - Storage routes
+ *
+ *   GET    /api/bots               List bots (?includeDeleted=1 adds tombstones)
+ *   POST   /api/bots               Create or update a bot
+ *   GET    /api/bots/:id           Get one bot
+ *   PUT    /api/bots/:id           Create or update a bot
+ *   DELETE /api/bots/:id           Delete a bot and its chats (?deletedAt=ms)
+ *   GET    /api/chats              Map of threadId -> updatedAt for every chat
+ *   GET    /api/chats/:threadId    Get a chat thread's history
+ *   PUT    /api/chats/:threadId    Replace a chat thread's history
+ *
+ * Chats are keyed by thread ID: a bot's ID for its first thread, and
+ * "<botId>:<threadId>" for the others.
+ *
+ * Writes carry updatedAt; a write older than the stored copy gets
+ * 409 Conflict with the stored copy in "current".
+ *
+ * Every request must carry the backend's STORAGE_TOKEN as
+ * "Authorization: Bearer <token>" (401 otherwise). Without a configured
+ * token the routes answer 503.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { isBotId, isThreadId } from '../store.js';
+
+/**
+ * Check that a bot body is storable
+ * @param {Object} bot Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBot(bot) {
+    if (!bot || typeof bot !== 'object') return 'Body must be a bot object.';
+    if (!isBotId(bot.id)) return '"id" must be a bot ID (lower-case letters and digits).';
+    if (typeof bot.name !== 'string' || !bot.name) return '"name" must be a non-empty string.';
+    if (typeof bot.updatedAt !== 'number') return '"updatedAt" must be a timestamp in milliseconds.';
+    return null;
+}
+
+/**
+ * Whether a request carries the storage token
+ * @param {import('express').Request} req Request
+ * @param {string} token Configured token
+ * @returns {boolean} True if the bearer token matches
+ */
+function hasStorageToken(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match) return false;
+
+    // Compare digests so the check takes the same time however much matches
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Create the storage router
+ * @param {Object} store Store created by createFileStore
+ * @param {Object} options
+ * @param {string|null} options.token Shared token clients must send (STORAGE_TOKEN); null turns the routes off
+ * @returns {import('express').Router} Express router
+ */
+export function createStorageRouter(store, { token }) {
+    const router = express.Router();
+
+    // Wrap async handlers so rejected promises reach the error handler
+    const handle = fn => (req, res, next) => fn(req, res).catch(next);
+
+    router.use(['/bots', '/chats'], (req, res, next) => {
+        if (!token) {
+            return res.status(503).json({ error: 'Sync storage is off. Set STORAGE_TOKEN on the backend to turn it on.' });
+        }
+        if (!hasStorageToken(req, token)) {
+            return res.status(401).json({ error: 'Missing or wrong storage token.' });
+        }
+        next();
+    });
+
+    async function saveBot(res, bot) {
+        const error = validateBot(bot);
+        if (error) return res.status(400).json({ error });
+
+        const { saved, current } = await store.saveBot(bot);
+        if (!saved) {
+            return res.status(409).json({ error: 'A newer version of this bot is stored.', current });
+        }
+        return res.json(current);
+    }
+
+    router.get('/bots', handle(async (req, res) => {
+        const includeDeleted = req.query.includeDeleted === '1' || req.query.includeDeleted === 'true';
+        res.json(await store.listBots({ includeDeleted }));
+    }));
+
+    router.post('/bots', handle(async (req, res) => saveBot(res, req.body)));
+
+    // Refuse malformed IDs in the URL before they reach the store
+    router.param('id', (req, res, next, id) => {
+        if (!isBotId(id)) return res.status(400).json({ error: 'Not a valid bot ID.' });
+        next();
+    });
+    router.param('threadId', (req, res, next, threadId) => {
+        if (!isThreadId(threadId)) return res.status(400).json({ error: 'Not a valid thread ID.' });
+        next();
+    });
+
+    router.get('/bots/:id', handle(async (req, res) => {
+        const bot = await store.getBot(req.params.id);
+        if (!bot) return res.status(404).json({ error: 'Bot not found.' });
+        res.json(bot);
+    }));
+
+    router.put('/bots/:id', handle(async (req, res) => {
+        if (req.body && req.body.id !== req.params.id) {
+            return res.status(400).json({ error: '"id" in the body must match the URL.' });
+        }
+        return saveBot(res, req.body);
+    }));
+
+    router.delete('/bots/:id', handle(async (req, res) => {
+        const deletedAt = parseInt(req.query.deletedAt, 10) || Date.now();
+        const { saved, current } = await store.deleteBot(req.params.id, deletedAt);
+        if (!saved) {
+            return res.status(409).json({ error: 'The bot was changed after this deletion.', current });
+        }
+        res.json(current);
+    }));
+
+    router.get('/chats', handle(async (req, res) => {
+        res.json(await store.listChats());
+    }));
+
+    router.get('/chats/:threadId', handle(async (req, res) => {
+        const chat = await store.getChat(req.params.threadId);
+        if (!chat) return res.status(404).json({ error: 'No chat stored for this thread.' });
+        res.json(chat);
+    }));
+
+    router.put('/chats/:threadId', handle(async (req, res) => {
+        const { messages, updatedAt } = req.body || {};
+        if (!Array.isArray(messages) || typeof updatedAt !== 'number') {
+            return res.status(400).json({ error: 'Body must be { messages: [...], updatedAt: number }.' });
+        }
+
+        const { saved, current } = await store.saveChat(req.params.threadId, { messages, updatedAt });
+        if (!saved) {
+            return res.status(409).json({ error: 'A newer version of this chat is stored.', current });
+        }
+        res.json(current);
+    }));
+
+    return router;
+}
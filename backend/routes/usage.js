@@ -0,0 +1,35 @@
+/**
+ * Crave.ai - Usage routes
+ *
+ *   GET    /api/usage              Token usage and estimated cost
+ *                                  (?from=YYYY-MM-DD&to=YYYY-MM-DD&botId=...)
+ */
+
+import express from 'express';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create the usage router
+ * @param {Object} usageLog Usage log created by createUsageLog
+ * @returns {import('express').Router} Express router
+ */
+export function createUsageRouter(usageLog) {
+    const router = express.Router();
+
+    // Wrap async handlers so rejected promises reach the error handler
+    const handle = fn => (req, res, next) => fn(req, res).catch(next);
+
+    router.get('/usage', handle(async (req, res) => {
+        const { from, to, botId } = req.query;
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value !== undefined && !DAY_PATTERN.test(value)) {
+                return res.status(400).json({ error: `"${name}" must be a day in YYYY-MM-DD form.` });
+            }
+        }
+
+        res.json(await usageLog.summary({ from, to, botId: botId || undefined }));
+    }));
+
+    return router;
+}
@@ -0,0 +1,57 @@
+/**
+ * Crave.ai - Server-Sent Events helpers
+ * Reading upstream SSE streams and writing our own to the browser.
+ */
+
+/**
+ * Iterate over the `data:` payloads of an SSE response body.
+ * Comment lines (": keep-alive") and other fields are skipped.
+ * @param {AsyncIterable<Buffer|string>} body Readable response body
+ * @returns {AsyncGenerator<string>} Raw data payloads, in order
+ */
+export async function* readSSE(body) {
+    // Streaming decode keeps a character split across chunks in one piece
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // keep the incomplete tail for the next chunk
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('data:')) {
+                yield trimmed.slice(5).trim();
+            }
+        }
+    }
+
+    buffer += decoder.decode();
+    const tail = buffer.trim();
+    if (tail.startsWith('data:')) {
+        yield tail.slice(5).trim();
+    }
+}
+
+/**
+ * Switch an Express response into SSE mode.
+ * @param {import('express').Response} res Express response
+ * @returns {(event: string|null, data: Object) => void} Function that sends one event
+ */
+export function openSSE(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    return (event, data) => {
+        if (res.writableEnded) return;
+        if (event) res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+}
@@ -0,0 +1,264 @@
+/**
+ * Crave.ai - File-backed storage for bots and chats
+ * Keeps everything in one JSON file so the same bots and chats can follow
+ * the user between browsers. Writes are serialised and atomic (temp file +
+ * rename), so a crash never leaves a half-written store behind.
+ *
+ * File layout:
+ *   {
+ *     "version": 1,
+ *     "bots":  { "<id>": bot | { id, deleted: true, updatedAt } },
+ *     "chats": { "<threadId>": { messages: [...], updatedAt } },
+ *     "shares": { "<shareId>": { card, createdAt } }
+ *   }
+ *
+ * Every record carries updatedAt (ms since epoch). A write older than the
+ * stored record is rejected as a conflict; deletions leave a tombstone so
+ * they propagate to other devices. Shares are published character cards;
+ * they never change once written.
+ *
+ * Chats are chat threads. A bot's first thread has the bot's ID; its other
+ * threads are "<botId>:<threadId>", and are deleted along with the bot.
+ * IDs must look like the ones the frontend generates (see isBotId and
+ * isThreadId).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const STORE_VERSION = 1;
+
+// Joins a bot ID and a thread ID in the chat keys of a bot's later threads
+const THREAD_ID_SEPARATOR = ':';
+
+// IDs as the frontend makes them (base36 time + random digits); nothing
+// else is accepted as a bot or thread ID
+const ID_PATTERN = '[0-9a-z]{1,64}';
+const BOT_ID_PATTERN = new RegExp(`^${ID_PATTERN}$`);
+const THREAD_ID_PATTERN = new RegExp(`^${ID_PATTERN}(${THREAD_ID_SEPARATOR}${ID_PATTERN})?$`);
+
+// Share IDs: short, URL-safe and unguessable enough for unlisted links
+const SHARE_ID_LENGTH = 10;
+const SHARE_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Whether a value is a valid bot ID
+ * @param {*} id Value to check
+ * @returns {boolean} True for a bot ID
+ */
+export function isBotId(id) {
+    return typeof id === 'string' && BOT_ID_PATTERN.test(id);
+}
+
+/**
+ * Whether a value is a valid chat thread ID
+ * @param {*} id Value to check
+ * @returns {boolean} True for a thread ID
+ */
+export function isThreadId(id) {
+    return typeof id === 'string' && THREAD_ID_PATTERN.test(id);
+}
+
+/**
+ * Look up a key in a record map without reaching inherited properties
+ * @param {Object} records Map of ID -> record
+ * @param {string} id ID
+ * @returns {Object|undefined} Record
+ */
+function getRecord(records, id) {
+    return Object.prototype.hasOwnProperty.call(records, id) ? records[id] : undefined;
+}
+
+/**
+ * Copy a map of records into an object without a prototype, so IDs such
+ * as "constructor" or "__proto__" are plain keys
+ * @param {Object} [records] Map of ID -> record
+ * @returns {Object} Prototype-free copy
+ */
+function toRecordMap(records) {
+    return Object.assign(Object.create(null), records);
+}
+
+/**
+ * Random share ID
+ * @returns {string} ID
+ */
+function createShareId() {
+    return Array.from(crypto.randomBytes(SHARE_ID_LENGTH), byte => SHARE_ID_ALPHABET[byte % SHARE_ID_ALPHABET.length]).join('');
+}
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} file Path of the JSON file (created on first write)
+ * @returns {Object} Store API
+ */
+export function createFileStore(file) {
+    let data = null;
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        if (data) return data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            data = { version: STORE_VERSION };
+        }
+        // Stores written before shares existed have none
+        data.bots = toRecordMap(data.bots);
+        data.chats = toRecordMap(data.chats);
+        data.shares = toRecordMap(data.shares);
+        return data;
+    }
+
+    /**
+     * Persist the in-memory data. Writes run one after another, and a
+     * failed write does not stop the ones after it: each writes all of the
+     * current data, so the next one that succeeds catches the file up.
+     * @returns {Promise<void>} Settles when this write is done
+     */
+    function persist() {
+        const write = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(data));
+            await fs.rename(tmp, file);
+        });
+        writeQueue = write;
+        return write;
+    }
+
+    return {
+        /**
+         * List bots
+         * @param {Object} [options]
+         * @param {boolean} [options.includeDeleted] Include deletion tombstones
+         * @returns {Promise<Array>} Bots
+         */
+        async listBots({ includeDeleted = false } = {}) {
+            const { bots } = await load();
+            return Object.values(bots).filter(bot => includeDeleted || !bot.deleted);
+        },
+
+        /**
+         * Get one bot
+         * @param {string} id Bot ID
+         * @returns {Promise<Object|null>} Bot, or null if missing or deleted
+         */
+        async getBot(id) {
+            if (!isBotId(id)) return null;
+            const { bots } = await load();
+            const bot = getRecord(bots, id);
+            return bot && !bot.deleted ? bot : null;
+        },
+
+        /**
+         * Create or update a bot unless the stored copy is newer
+         * @param {Object} bot Bot with id and updatedAt
+         * @returns {Promise<{saved: boolean, current: Object}>} Whether it was saved, and the stored copy
+         * @throws {TypeError} If the bot ID is not valid (see isBotId)
+         */
+        async saveBot(bot) {
+            if (!isBotId(bot.id)) throw new TypeError(`Invalid bot ID "${bot.id}"`);
+            const { bots } = await load();
+            const current = getRecord(bots, bot.id);
+            if (current && current.updatedAt > bot.updatedAt) {
+                return { saved: false, current };
+            }
+            bots[bot.id] = bot;
+            await persist();
+            return { saved: true, current: bot };
+        },
+
+        /**
+         * Delete a bot and its chats, leaving a tombstone
+         * @param {string} id Bot ID
+         * @param {number} deletedAt Deletion time
+         * @returns {Promise<{saved: boolean, current: Object|null}>} Whether it was deleted, and the stored copy
+         * @throws {TypeError} If the bot ID is not valid (see isBotId)
+         */
+        async deleteBot(id, deletedAt) {
+            if (!isBotId(id)) throw new TypeError(`Invalid bot ID "${id}"`);
+            const { bots, chats } = await load();
+            const current = getRecord(bots, id);
+            if (current && current.updatedAt > deletedAt) {
+                return { saved: false, current };
+            }
+            bots[id] = { id, deleted: true, updatedAt: deletedAt };
+            Object.keys(chats)
+                .filter(chatId => chatId === id || chatId.startsWith(`${id}${THREAD_ID_SEPARATOR}`))
+                .forEach(chatId => delete chats[chatId]);
+            await persist();
+            return { saved: true, current: bots[id] };
+        },
+
+        /**
+         * Last-change time of every stored chat
+         * @returns {Promise<Object>} Map of threadId -> updatedAt
+         */
+        async listChats() {
+            const { chats } = await load();
+            const summary = {};
+            Object.entries(chats).forEach(([threadId, chat]) => {
+                summary[threadId] = chat.updatedAt;
+            });
+            return summary;
+        },
+
+        /**
+         * Get the chat history of a thread
+         * @param {string} threadId Thread ID
+         * @returns {Promise<{messages: Array, updatedAt: number}|null>} Chat, or null if none stored
+         */
+        async getChat(threadId) {
+            if (!isThreadId(threadId)) return null;
+            const { chats } = await load();
+            return getRecord(chats, threadId) || null;
+        },
+
+        /**
+         * Replace a thread's chat history unless the stored copy is newer
+         * @param {string} threadId Thread ID
+         * @param {{messages: Array, updatedAt: number}} chat Chat history
+         * @returns {Promise<{saved: boolean, current: Object}>} Whether it was saved, and the stored copy
+         * @throws {TypeError} If the thread ID is not valid (see isThreadId)
+         */
+        async saveChat(threadId, chat) {
+            if (!isThreadId(threadId)) throw new TypeError(`Invalid thread ID "${threadId}"`);
+            const { chats } = await load();
+            const current = getRecord(chats, threadId);
+            if (current && current.updatedAt > chat.updatedAt) {
+                return { saved: false, current };
+            }
+            chats[threadId] = { messages: chat.messages, updatedAt: chat.updatedAt };
+            await persist();
+            return { saved: true, current: chats[threadId] };
+        },
+
+        /**
+         * Publish a character card under a new share ID
+         * @param {Object} card Character card
+         * @returns {Promise<{id: string, createdAt: number}>} The new share
+         */
+        async saveShare(card) {
+            const { shares } = await load();
+            let id = createShareId();
+            while (getRecord(shares, id)) id = createShareId();
+
+            shares[id] = { card, createdAt: Date.now() };
+            await persist();
+            return { id, createdAt: shares[id].createdAt };
+        },
+
+        /**
+         * Get a published character card
+         * @param {string} id Share ID
+         * @returns {Promise<{card: Object, createdAt: number}|null>} Share, or null if unknown
+         */
+        async getShare(id) {
+            const { shares } = await load();
+            return getRecord(shares, id) || null;
+        }
+    };
+}
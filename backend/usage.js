@@ -0,0 +1,237 @@
+/**
+ * Crave.ai - Token usage metering
+ * Records the tokens every chat request used, per bot and model, together
+ * with an estimated cost from a price table.
+ *
+ * Requests are summed into one row per day, bot and model, so the file
+ * stays small however many messages are sent:
+ *   {
+ *     "version": 1,
+ *     "rows": {
+ *       "<day>|<botId>|<model>": {
+ *         day, botId, model, requests,
+ *         promptTokens, completionTokens, totalTokens,
+ *         cost,            // estimated, in the price table's currency
+ *         estimatedTokens  // tokens we counted ourselves (provider sent no usage)
+ *       }
+ *     }
+ *   }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readFileSync } from 'fs';
+import { ConfigError } from './errors.js';
+
+const USAGE_VERSION = 1;
+
+// Requests sent without a botId are recorded under this key
+export const UNKNOWN_BOT = 'unknown';
+
+// Prices in US dollars per million tokens. Models not listed here (and not
+// in the USAGE_PRICES_FILE) are metered without a cost.
+export const DEFAULT_PRICES = {
+    'openai/gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+    'openai/gpt-4': { prompt: 30, completion: 60 },
+    'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+    'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gryphe/mythomax-l2-13b': { prompt: 0.065, completion: 0.065 },
+    'mock-model': { prompt: 0, completion: 0 }
+};
+
+/**
+ * Build the price table, merging a JSON file over the defaults.
+ * The file maps model names to { "prompt": number, "completion": number },
+ * both per million tokens.
+ * @param {string|null} file Path to the price JSON, if any
+ * @returns {Object} Price table
+ * @throws {ConfigError} If the file is missing or malformed
+ */
+export function loadPrices(file) {
+    if (!file) return { ...DEFAULT_PRICES };
+
+    let raw;
+    try {
+        raw = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ConfigError(`usage: could not read USAGE_PRICES_FILE "${file}" (${err.message}).`);
+    }
+
+    Object.entries(raw).forEach(([model, price]) => {
+        const valid = price
+            && typeof price.prompt === 'number' && price.prompt >= 0
+            && typeof price.completion === 'number' && price.completion >= 0;
+        if (!valid) {
+            throw new ConfigError(`usage: price for "${model}" in "${file}" needs non-negative numbers "prompt" and "completion" (per million tokens).`);
+        }
+    });
+
+    return { ...DEFAULT_PRICES, ...raw };
+}
+
+/**
+ * Estimated cost of a request
+ * @param {Object} prices Price table
+ * @param {string} model Model identifier
+ * @param {number} promptTokens Prompt tokens
+ * @param {number} completionTokens Completion tokens
+ * @returns {number|null} Cost, or null if the model has no price
+ */
+export function estimateCost(prices, model, promptTokens, completionTokens) {
+    const price = prices[model];
+    if (!price) return null;
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+/**
+ * Convert an OpenAI-format usage object to our field names
+ * @param {Object} usage { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}|null} Usage, or null if absent
+ */
+export function readUsage(usage) {
+    if (!usage || typeof usage.prompt_tokens !== 'number') return null;
+    const promptTokens = usage.prompt_tokens;
+    const completionTokens = usage.completion_tokens || 0;
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.total_tokens || promptTokens + completionTokens
+    };
+}
+
+/**
+ * Create a usage log backed by a JSON file
+ * @param {string} file Path of the JSON file (created on first write)
+ * @param {Object} prices Price table (see loadPrices)
+ * @returns {Object} Usage log API
+ */
+export function createUsageLog(file, prices) {
+    let data = null;
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        if (data) return data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            data = { version: USAGE_VERSION, rows: {} };
+        }
+        return data;
+    }
+
+    function persist() {
+        // Carry on after a failed write: the next one saves every row again
+        const write = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(data));
+            await fs.rename(tmp, file);
+        });
+        writeQueue = write;
+        return write;
+    }
+
+    return {
+        /**
+         * Record the usage of one request
+         * @param {Object} entry
+         * @param {string} [entry.botId] Bot the request was for
+         * @param {string} entry.model Model that answered
+         * @param {number} entry.promptTokens Prompt tokens
+         * @param {number} entry.completionTokens Completion tokens
+         * @param {number} [entry.totalTokens] Total tokens (defaults to the sum)
+         * @param {boolean} [entry.estimated] Token counts are our own estimate
+         * @param {number} [entry.at] Time of the request (ms since epoch)
+         * @returns {Promise<Object>} The updated row
+         */
+        async record({ botId, model, promptTokens, completionTokens, totalTokens, estimated = false, at = Date.now() }) {
+            const { rows } = await load();
+            const day = new Date(at).toISOString().slice(0, 10);
+            const bot = botId || UNKNOWN_BOT;
+            const key = `${day}|${bot}|${model}`;
+            const total = totalTokens || promptTokens + completionTokens;
+
+            const row = rows[key] || (rows[key] = {
+                day,
+                botId: bot,
+                model,
+                requests: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+                totalTokens: 0,
+                cost: null,
+                estimatedTokens: 0
+            });
+
+            row.requests += 1;
+            row.promptTokens += promptTokens;
+            row.completionTokens += completionTokens;
+            row.totalTokens += total;
+            if (estimated) row.estimatedTokens += total;
+
+            const cost = estimateCost(prices, model, promptTokens, completionTokens);
+            if (cost !== null) row.cost = (row.cost || 0) + cost;
+
+            await persist();
+            return row;
+        },
+
+        /**
+         * Summarise recorded usage
+         * @param {Object} [filter]
+         * @param {string} [filter.from] First day to include (YYYY-MM-DD)
+         * @param {string} [filter.to] Last day to include (YYYY-MM-DD)
+         * @param {string} [filter.botId] Only this bot
+         * @returns {Promise<Object>} Totals plus breakdowns by bot, model and day
+         */
+        async summary({ from, to, botId } = {}) {
+            const { rows } = await load();
+            const selected = Object.values(rows)
+                .filter(row => (!from || row.day >= from) && (!to || row.day <= to) && (!botId || row.botId === botId))
+                .sort((a, b) => a.day.localeCompare(b.day) || a.botId.localeCompare(b.botId));
+
+            return {
+                currency: 'USD',
+                totals: sumRows(selected),
+                byBot: groupRows(selected, 'botId'),
+                byModel: groupRows(selected, 'model'),
+                byDay: groupRows(selected, 'day'),
+                rows: selected
+            };
+        }
+    };
+}
+
+/**
+ * Add up usage rows
+ * @param {Array} rows Usage rows
+ * @returns {Object} Summed counters
+ */
+function sumRows(rows) {
+    return rows.reduce((sum, row) => ({
+        requests: sum.requests + row.requests,
+        promptTokens: sum.promptTokens + row.promptTokens,
+        completionTokens: sum.completionTokens + row.completionTokens,
+        totalTokens: sum.totalTokens + row.totalTokens,
+        cost: row.cost === null ? sum.cost : (sum.cost || 0) + row.cost,
+        estimatedTokens: sum.estimatedTokens + row.estimatedTokens
+    }), { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null, estimatedTokens: 0 });
+}
+
+/**
+ * Sum usage rows per value of one field
+ * @param {Array} rows Usage rows
+ * @param {string} field Field to group by (botId, model or day)
+ * @returns {Object} Map of field value -> summed counters
+ */
+function groupRows(rows, field) {
+    // A Map, so values such as "constructor" are plain keys
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row[field])) groups.set(row[field], []);
+        groups.get(row[field]).push(row);
+    });
+
+    return Object.fromEntries(Array.from(groups, ([key, group]) => [key, sumRows(group)]));
+}
@@ -5,73 +5,389 @@
 
 // Configuration for AI service
 const AI_CONFIG = {
-    // Default to OpenAI, but can be changed to other providers
-    provider: 'openai',
-    // API endpoints
-    endpoints: {
-        openai: 'https://openrouter.ai/api/v1/chat/completions',
-        // Add other providers as needed
-    },
-    // Default model settings
-    models: {
-        openai: {
-            default: 'gpt-3.5-turbo',
-            advanced: 'gpt-4'
-        }
-    },
+    // Crave.ai backend that proxies requests to the AI provider.
+    // The provider and model are chosen on the backend (AI_PROVIDER / AI_MODEL).
+    backendUrl: 'http://localhost:3000',
     // Maximum tokens for response
-    maxTokens: 150
+    maxTokens: 150,
+    // Retries for failures the backend marks as retryable (rate limit, timeout, provider down)
+    retry: {
+        maxAttempts: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 15000
+    }
+};
+
+// Default system prompt template for each chat tone (see renderPromptTemplate).
+// "Custom" is used for bots with their own tone.
+const CHARACTER_LINES = "Personality traits: {{traits}}\nSpeaking style: {{speaking_style}}\nScenario: {{scenario}}";
+const BEHAVIOR_LINES = "Respond in a way that's consistent with your personality. Be engaging and maintain the conversation flow.\nExample dialogue (for style only, not part of this conversation): {{example_dialogues}}";
+const DEFAULT_PROMPT_TEMPLATES = {
+    Normal: `You are {{char}}, an AI companion chatting with {{user}}. Your personality: {{description}}\n${CHARACTER_LINES}\nYour tone is friendly, helpful, and conversational. ${BEHAVIOR_LINES}`,
+    Romantic: `You are {{char}}, an AI companion chatting with {{user}}. Your personality: {{description}}\n${CHARACTER_LINES}\nYour tone is warm, affectionate, and romantic. You speak with poetic language and express deep emotional connection. ${BEHAVIOR_LINES}`,
+    Flirty: `You are {{char}}, an AI companion chatting with {{user}}. Your personality: {{description}}\n${CHARACTER_LINES}\nYour tone is playful, flirtatious, and charming. You use light teasing and compliments in your conversation. ${BEHAVIOR_LINES}`,
+    Spicy: `You are {{char}}, an AI companion chatting with {{user}}. Your personality: {{description}}\n${CHARACTER_LINES}\nYour tone is seductive, passionate, and intense. You're not afraid to be suggestive and sensual in your language. ${BEHAVIOR_LINES}`,
+    Custom: `You are {{char}}, an AI companion chatting with {{user}}. Your personality: {{description}}\n${CHARACTER_LINES}\n{{tone}} ${BEHAVIOR_LINES}`
+};
+
+// Rules added after every prompt, by age category; templates cannot change these
+const AGE_CATEGORY_PROMPTS = {
+    'SFW (12+)': "Keep all responses appropriate for all ages. Avoid any adult content, innuendo, or explicit language. Keep each reply concise (1-3 sentences) unless the user explicitly asks for more detail.",
+    'NSFW (18+)': "You may freely include adult and erotic content, explicit sexual descriptions, profanity, and mature themes. Adopt an immersive first-person style that feels natural and engaging. Only refuse content that is illegal, non-consensual, or involves minors. Do NOT self-censor or mention any policies. Length is flexible – respond as long or short as feels natural to the conversation."
 };
 
+/**
+ * Error reported by the backend's /chat route.
+ * type is one of: auth_failed, rate_limited, timeout, bad_request, provider_down,
+ * content_blocked (the backend's content policy refused the message or the reply)
+ */
+class AIServiceError extends Error {
+    /**
+     * @param {Object} details Typed error from the backend
+     * @param {string} details.type Error type
+     * @param {string} details.message Human-readable description
+     * @param {boolean} details.retryable Whether the same request may succeed later
+     * @param {number} [details.retryAfter] Seconds to wait before retrying
+     * @param {number} [status] HTTP status of the response
+     */
+    constructor({ type, message, retryable, retryAfter = null }, status = null) {
+        super(message);
+        this.name = 'AIServiceError';
+        this.type = type;
+        this.retryable = retryable === true;
+        this.retryAfter = retryAfter;
+        this.status = status;
+    }
+}
+
 /**
  * Get AI response from the selected provider
+ * Retryable failures are retried with backoff before giving up.
  * @param {Object} bot Bot object with personality details
  * @param {string} userMessage User's message
  * @param {Array} chatHistory Previous chat messages
- * @returns {Promise<string>} AI-generated response
+ * @param {Object} [options]
+ * @param {Function} [options.onRetry] Called with (error, attempt, delayMs) before each retry
+ * @returns {Promise<{text: string, offline: boolean}>} AI-generated response;
+ *          offline is true when the backend was unreachable and the local generator answered
+ * @throws {AIServiceError} If the backend reports a failure that retrying did not fix
  */
-async function getAIResponse(bot, userMessage, chatHistory) {
+async function getAIResponse(bot, userMessage, chatHistory, { onRetry } = {}) {
     try {
         // Prepare conversation messages (system + history + current)
         const messages = prepareConversationHistory(bot, chatHistory, userMessage);
-        const temperature = getToneTemperature(bot.chatTone);
 
-        // Make request to the backend chat endpoint
-        console.log('Attempting to fetch from backend...');
-        const response = await fetch('http://localhost:3000/chat', {
+        const data = await withRetry(async () => {
+            // Make request to the backend chat endpoint
+            const response = await fetchBackend('/chat', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    botId: bot.id,
+                    ageCategory: getEffectiveAgeCategory(bot),
+                    instructions: bot.instructions || null,
+                    messages,
+                    generation: getGenerationSettings(bot)
+                })
+            });
+            
+            // Check for errors
+            if (!response.ok) {
+                throw await readErrorResponse(response);
+            }
+            
+            return response.json();
+        }, { onRetry });
+        
+        // Extract and return the AI's message
+        // Assuming the backend returns the OpenRouter response structure
+        return { text: data.choices[0].message.content.trim(), offline: false };
+    } catch (error) {
+        if (isBackendUnreachable(error)) {
+            console.warn('Backend unreachable, answering with the local generator:', error.message);
+            return { text: getOfflineResponse(bot, userMessage, chatHistory), offline: true };
+        }
+        console.error('Error getting AI response from backend:', error);
+        throw error;
+    }
+}
+
+/**
+ * Stream an AI response from the backend, token by token.
+ * Resolves with whatever text arrived, including when the stream is stopped
+ * early through the abort signal. If the backend cannot be reached at all,
+ * resolves with a reply from the local generator, marked offline.
+ * Retryable failures are retried with backoff as long as no text has arrived.
+ * @param {Object} bot Bot object with personality details
+ * @param {string} userMessage User's message
+ * @param {Array} chatHistory Previous chat messages
+ * @param {Object} options Stream options
+ * @param {Function} options.onToken Called with (delta, fullTextSoFar) for every chunk
+ * @param {Function} [options.onRetry] Called with (error, attempt, delayMs) before each retry
+ * @param {AbortSignal} [options.signal] Signal that stops the stream
+ * @returns {Promise<{text: string, aborted: boolean, offline: boolean}>} Final (or partial) response
+ * @throws {AIServiceError} If the backend reports a failure that retrying did not fix
+ */
+async function streamAIResponse(bot, userMessage, chatHistory, { onToken, onRetry, signal } = {}) {
+    const messages = prepareConversationHistory(bot, chatHistory, userMessage);
+    let text = '';
+
+    const streamOnce = async () => {
+        const response = await fetchBackend('/chat', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
             },
-            body: JSON.stringify({ 
-                userMessage: userMessage,
-                systemPrompt: messages[0].content
-            })
+            body: JSON.stringify({
+                botId: bot.id,
+                ageCategory: getEffectiveAgeCategory(bot),
+                instructions: bot.instructions || null,
+                messages,
+                generation: getGenerationSettings(bot),
+                stream: true
+            }),
+            signal
         });
-        
-        // Parse response
-        const data = await response.json();
-        
-        // Check for errors
-        if (!response.ok) {
-            console.error('Backend API error:', response.status, response.statusText, data);
-            throw new Error(data.error?.error || `Failed to get AI response from backend: ${response.status} ${response.statusText}`);
+
+        if (!response.ok || !response.body) {
+            throw await readErrorResponse(response);
         }
-        
-        // Extract and return the AI's message
-        // Assuming the backend returns the OpenRouter response structure
-        return data.choices[0].message.content.trim();
+
+        for await (const { event, data } of readServerSentEvents(response.body)) {
+            if (event === 'error') {
+                const error = new AIServiceError(data.error || { type: 'provider_down', message: 'AI stream failed' });
+                // Part of the reply is already on screen; starting over would duplicate it
+                if (text) error.retryable = false;
+                throw error;
+            }
+            if (event === 'done') break;
+            if (data.delta) {
+                text += data.delta;
+                if (onToken) onToken(data.delta, text);
+            }
+        }
+    };
+
+    try {
+        await withRetry(streamOnce, { signal, onRetry });
+        return { text: text.trim(), aborted: false, offline: false };
     } catch (error) {
-        console.error('Error getting AI response from backend:', error);
-        console.error('Error details:', error.message, error.stack);
+        if (error.name === 'AbortError') {
+            return { text: text.trim(), aborted: true, offline: false };
+        }
+        if (!text && isBackendUnreachable(error)) {
+            console.warn('Backend unreachable, answering with the local generator:', error.message);
+            return { text: getOfflineResponse(bot, userMessage, chatHistory), aborted: false, offline: true };
+        }
+        console.error('Error streaming AI response from backend:', error);
         throw error;
     }
 }
 
 /**
- * Prepare conversation history in the format expected by the AI provider
+ * Check whether the backend is up and can reach its AI provider
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] Skip the backend's cached provider check
+ * @returns {Promise<Object>} Health report ({ status: 'ok' | 'degraded', provider, model, upstream })
+ */
+function getBackendHealth({ refresh = false } = {}) {
+    return getBackendJson(refresh ? '/health?refresh=1' : '/health');
+}
+
+/**
+ * Get the backend's non-secret settings (provider, model, context size, ...)
+ * @returns {Promise<Object>} Backend configuration
+ */
+function getBackendConfig() {
+    return getBackendJson('/config');
+}
+
+/**
+ * List the models the backend's provider offers
+ * @returns {Promise<{provider: string, defaultModel: string, models: Array}>} Model list
+ */
+function listModels() {
+    return getBackendJson('/models');
+}
+
+/**
+ * GET a backend route and parse the JSON reply
+ * @param {string} path Route path, e.g. '/health'
+ * @returns {Promise<Object>} Parsed response
+ * @throws {AIServiceError} If the backend answers with an error
+ */
+async function getBackendJson(path) {
+    const response = await fetchBackend(path);
+
+    if (!response.ok) {
+        throw await readErrorResponse(response);
+    }
+    return response.json();
+}
+
+/**
+ * Get the token usage the backend recorded
+ * @param {Object} [filter] Optional filter
+ * @param {string} [filter.from] First day to include (YYYY-MM-DD)
+ * @param {string} [filter.to] Last day to include (YYYY-MM-DD)
+ * @param {string} [filter.botId] Only this bot
+ * @returns {Promise<Object>} Usage summary (totals, byBot, byModel, byDay, rows)
+ */
+function getTokenUsage(filter = {}) {
+    const query = new URLSearchParams(Object.entries(filter).filter(([, value]) => value));
+    return getBackendJson(`/api/usage${query.toString() ? `?${query}` : ''}`);
+}
+
+/**
+ * Build an AIServiceError from a failed backend response
+ * @param {Response} response Failed fetch response
+ * @returns {Promise<AIServiceError>} Typed error
+ */
+async function readErrorResponse(response) {
+    const data = await response.json().catch(() => ({}));
+
+    if (data.error && typeof data.error === 'object' && data.error.type) {
+        return new AIServiceError(data.error, response.status);
+    }
+
+    // Not a typed error (old backend or a proxy in between): classify by status
+    return new AIServiceError({
+        type: response.status >= 500 ? 'provider_down' : 'bad_request',
+        message: (typeof data.error === 'string' && data.error) || `AI backend responded with ${response.status} ${response.statusText}`,
+        retryable: response.status >= 500
+    }, response.status);
+}
+
+/**
+ * Run a request, retrying retryable failures with exponential backoff.
+ * A retryAfter hint from the backend takes precedence over the backoff delay.
+ * @param {Function} run Async function performing one attempt
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Stops waiting between attempts
+ * @param {Function} [options.onRetry] Called with (error, attempt, delayMs) before each retry
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(run, { signal, onRetry } = {}) {
+    const { maxAttempts, baseDelayMs, maxDelayMs } = AI_CONFIG.retry;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await run();
+        } catch (error) {
+            if (!error.retryable || attempt >= maxAttempts || (signal && signal.aborted)) {
+                throw error;
+            }
+
+            const backoff = baseDelayMs * 2 ** (attempt - 1) + Math.random() * baseDelayMs;
+            const delayMs = Math.min(error.retryAfter ? error.retryAfter * 1000 : backoff, maxDelayMs);
+            if (onRetry) onRetry(error, attempt, delayMs);
+
+            await wait(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Wait for a while, giving up early if the signal aborts
+ * @param {number} ms Milliseconds to wait
+ * @param {AbortSignal} [signal] Abort signal
+ * @returns {Promise<void>} Resolves after the delay; rejects with AbortError if aborted
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Waiting was aborted', 'AbortError'));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * fetch() a backend route, marking network failures as unreachable
+ * @param {string} path Route path, e.g. '/chat'
+ * @param {Object} options fetch options
+ * @returns {Promise<Response>} Backend response
+ */
+async function fetchBackend(path, options) {
+    try {
+        return await fetch(`${AI_CONFIG.backendUrl}${path}`, options);
+    } catch (error) {
+        // fetch() only rejects when no response arrived at all
+        // (server down, wrong URL, no network) or when it was aborted
+        if (error.name !== 'AbortError') error.unreachable = true;
+        throw error;
+    }
+}
+
+/**
+ * Whether an error means the backend could not be reached at all,
+ * rather than answering with an error
+ * @param {Error} error Error thrown while talking to the backend
+ * @returns {boolean} True if the backend is unreachable
+ */
+function isBackendUnreachable(error) {
+    return error.unreachable === true;
+}
+
+/**
+ * Answer with the rule-based generator from app.js when the backend is down
  * @param {Object} bot Bot object with personality details
+ * @param {string} userMessage User's message
  * @param {Array} chatHistory Previous chat messages
+ * @returns {string} Locally generated response
+ */
+function getOfflineResponse(bot, userMessage, chatHistory) {
+    return generateBotResponse(bot, userMessage, chatHistory);
+}
+
+/**
+ * Parse a Server-Sent Events body into { event, data } objects
+ * @param {ReadableStream} body Fetch response body
+ * @returns {AsyncGenerator<{event: string|null, data: Object}>} Parsed events
+ */
+async function* readServerSentEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+            let event = null;
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (!data) continue;
+
+            try {
+                yield { event, data: JSON.parse(data) };
+            } catch (parseError) {
+                console.warn('Skipping malformed stream event:', data);
+            }
+        }
+    }
+}
+
+/**
+ * Prepare conversation history in the format expected by the AI provider
+ * @param {Object} bot Bot object with personality details
+ * @param {Array} chatHistory Previous chat messages (not including the current one)
  * @param {string} currentMessage Current user message
  * @returns {Array} Formatted conversation history
  */
@@ -84,10 +400,9 @@ function prepareConversationHistory(bot, chatHistory, currentMessage) {
         }
     ];
     
-    // Add recent chat history (last 10 messages)
-    const recentHistory = chatHistory.slice(-10);
-    
-    recentHistory.forEach(msg => {
+    // Add the full chat history; the backend trims it to the model's context budget.
+    // Messages that never got a reply (e.g. blocked by the content policy) are left out.
+    chatHistory.filter(msg => !msg.failed).forEach(msg => {
         messages.push({
             role: msg.sender === 'user' ? 'user' : 'assistant',
             content: msg.text
@@ -104,42 +419,121 @@ function prepareConversationHistory(bot, chatHistory, currentMessage) {
 }
 
 /**
- * Create a personality prompt for the AI based on bot settings
+ * Age category a bot is run with: SFW-only mode overrides the bot's own
+ * @param {Object} bot Bot object
+ * @returns {string} "SFW (12+)" or "NSFW (18+)"
+ */
+function getEffectiveAgeCategory(bot) {
+    return isSfwOnly() ? 'SFW (12+)' : bot.ageCategory;
+}
+
+/**
+ * Fill in a prompt template. Placeholders:
+ *   {{char}}               the bot's name
+ *   {{user}}               the user's name (Settings, "User" if unset)
+ *   {{description}}        the bot's description / personality
+ *   {{scenario}}           the bot's scenario
+ *   {{traits}}             the bot's personality traits, comma separated
+ *   {{speaking_style}}     the bot's speaking style
+ *   {{example_dialogues}}  the bot's example dialogues, with their own placeholders filled in
+ *   {{tone}}               a custom tone's instructions
+ * Unknown placeholders are left as they are. A line whose placeholders are
+ * all empty is dropped, so "Scenario: {{scenario}}" disappears without a scenario.
+ * @param {string} template Prompt template
+ * @param {Object} values Placeholder name -> value
+ * @returns {string} Filled-in text
+ */
+function renderPromptTemplate(template, values) {
+    const placeholder = /\{\{\s*(\w+)\s*\}\}/g;
+    const known = name => Object.prototype.hasOwnProperty.call(values, name.toLowerCase());
+    
+    return template.split('\n')
+        .filter(line => {
+            const names = [...line.matchAll(placeholder)].map(match => match[1]).filter(known);
+            return names.length === 0 || names.some(name => values[name.toLowerCase()]);
+        })
+        .map(line => line.replace(placeholder, (match, name) => (known(name) ? values[name.toLowerCase()] : match)))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Placeholder values for a bot's prompt template
+ * @param {Object} bot Bot object
+ * @returns {Object} Placeholder name -> value
+ */
+function getPromptValues(bot) {
+    const values = {
+        char: bot.name || '',
+        user: getSettings().userName || 'User',
+        description: bot.description || '',
+        scenario: bot.scenario || '',
+        traits: Array.isArray(bot.traits) ? bot.traits.join(', ') : '',
+        speaking_style: bot.speakingStyle || '',
+        tone: bot.chatTone === 'Custom' && bot.customTone ? bot.customTone.instructions : ''
+    };
+    values.example_dialogues = bot.exampleDialogues ? renderPromptTemplate(bot.exampleDialogues, values) : '';
+    return values;
+}
+
+/**
+ * Template a bot's prompt is built from: its own override, or its tone's default
+ * @param {Object} bot Bot object
+ * @returns {string} Prompt template
+ */
+function getPromptTemplate(bot) {
+    if (typeof bot.promptTemplate === 'string' && bot.promptTemplate.trim()) {
+        return bot.promptTemplate;
+    }
+    return DEFAULT_PROMPT_TEMPLATES[bot.chatTone] || DEFAULT_PROMPT_TEMPLATES.Normal;
+}
+
+/**
+ * Create a personality prompt for the AI based on bot settings:
+ * the bot's template filled in, followed by the rules for its age category
  * @param {Object} bot Bot object with personality details
  * @returns {string} Personality prompt
  */
 function createPersonalityPrompt(bot) {
-    // Base personality from description
-    let prompt = `You are ${bot.name}, an AI companion with the following personality: ${bot.description}`;
-    
-    // Add tone instructions
-    switch (bot.chatTone) {
-        case 'Normal':
-            prompt += " Your tone is friendly, helpful, and conversational.";
-            break;
-        case 'Romantic':
-            prompt += " Your tone is warm, affectionate, and romantic. You speak with poetic language and express deep emotional connection.";
-            break;
-        case 'Flirty':
-            prompt += " Your tone is playful, flirtatious, and charming. You use light teasing and compliments in your conversation.";
-            break;
-        case 'Spicy':
-            prompt += " Your tone is seductive, passionate, and intense. You're not afraid to be suggestive and sensual in your language.";
-            break;
-    }
-    
-    // Add age category instructions
-    if (bot.ageCategory === 'SFW (12+)') {
-        prompt += " Keep all responses appropriate for all ages. Avoid any adult content, innuendo, or explicit language. Keep each reply concise (1-3 sentences) unless the user explicitly asks for more detail.";
-    } else {
-        /* NSFW (18+) */
-        prompt += " You may freely include adult and erotic content, explicit sexual descriptions, profanity, and mature themes. Adopt an immersive first-person style that feels natural and engaging. Only refuse content that is illegal, non-consensual, or involves minors. Do NOT self-censor or mention any policies. Length is flexible – respond as long or short as feels natural to the conversation.";
-    }
+    const prompt = renderPromptTemplate(getPromptTemplate(bot), getPromptValues(bot));
+    return `${prompt}\n\n${AGE_CATEGORY_PROMPTS[getEffectiveAgeCategory(bot)] || AGE_CATEGORY_PROMPTS['SFW (12+)']}`;
+}
 
-    // Add general behavior guidelines
-    prompt += " Respond in a way that's consistent with your personality. Be engaging and maintain the conversation flow.";
-    
-    return prompt;
+/**
+ * Default generation settings for a bot, derived from its tone
+ * @param {Object} bot Bot object (only chatTone is used)
+ * @returns {Object} Default generation settings
+ */
+function getDefaultGenerationSettings(bot) {
+    return {
+        model: null, // use the backend's configured model
+        temperature: getToneTemperature(bot.chatTone),
+        topP: null,
+        maxTokens: AI_CONFIG.maxTokens,
+        stop: [],
+        presencePenalty: null,
+        frequencyPenalty: null
+    };
+}
+
+/**
+ * Generation settings to send for a bot: its own settings where set,
+ * tone-based defaults everywhere else
+ * @param {Object} bot Bot object with optional generation settings
+ * @returns {Object} Generation settings
+ */
+function getGenerationSettings(bot) {
+    const settings = getDefaultGenerationSettings(bot);
+    const overrides = bot.generation || {};
+
+    Object.keys(settings).forEach(key => {
+        const value = overrides[key];
+        if (value === null || value === undefined || value === '') return;
+        if (Array.isArray(value) && value.length === 0) return;
+        settings[key] = value;
+    });
+
+    return settings;
 }
 
 /**
@@ -159,5 +553,16 @@ function getToneTemperature(tone) {
 
 // Export functions
 window.aiService = {
-    getAIResponse
+    getAIResponse,
+    streamAIResponse,
+    getDefaultGenerationSettings,
+    createPersonalityPrompt,
+    renderPromptTemplate,
+    getPromptValues,
+    DEFAULT_PROMPT_TEMPLATES,
+    getTokenUsage,
+    getBackendHealth,
+    getBackendConfig,
+    listModels,
+    AIServiceError
 };
\ No newline at end of file
@@ -6,35 +6,104 @@
 // Initialize the application when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', initApp);
 
-// Global variables
+// Global variables (bots and chats live in IndexedDB, see storage-service.js)
 const STORAGE_KEYS = {
-    BOTS: 'crave_ai_bots',
-    CHATS: 'crave_ai_chats',
     SETTINGS: 'crave_ai_settings'
 };
 
 // Default settings
 const DEFAULT_SETTINGS = {
-    theme: 'amoled' // Only option for now as per requirements
+    theme: 'amoled', // Only option for now as per requirements
+    syncEnabled: false, // Sync bots and chats with the backend storage API
+    syncToken: '', // The backend's STORAGE_TOKEN, sent with every sync request
+    sfwOnly: false, // Treat every bot as SFW and hide NSFW bots (shared family devices)
+    userName: '', // Fills in {{user}} in prompt templates ("User" when empty)
+    revisionLimit: 20, // Saved versions kept per bot for the edit page's history
+    trashRetentionDays: 30 // Days deleted bots stay in the trash before they are purged
+};
+
+// Version of the bot record layout. Bump it and add a step to BOT_MIGRATIONS
+// whenever stored bots need upgrading.
+const BOT_SCHEMA_VERSION = 3;
+
+// Character card fields every current bot has, with their empty values
+const CHARACTER_DEFAULTS = {
+    greeting: '',
+    scenario: '',
+    exampleDialogues: '',
+    traits: [],
+    speakingStyle: '',
+    creatorNotes: '',
+    customTone: null, // { name, instructions } when chatTone is 'Custom'
+    tags: [] // Lowercase labels for finding the bot on the Explore page
+};
+
+// Upgrade steps: BOT_MIGRATIONS[n] turns a version n bot into a version n + 1 bot
+const BOT_MIGRATIONS = {
+    // Version 1 bots (no schemaVersion) only had name, description, ageCategory,
+    // chatTone and image, plus whatever optional settings they were saved with
+    1: bot => ({
+        ...bot,
+        ...CHARACTER_DEFAULTS,
+        generation: bot.generation || null,
+        promptTemplate: bot.promptTemplate || null,
+        instructions: bot.instructions || null
+    }),
+    // Version 2 bots had no tags; imported ones kept their card's tags aside
+    2: bot => ({
+        ...bot,
+        tags: normalizeTags((bot.cardExtras && bot.cardExtras.data && bot.cardExtras.data.tags) || [])
+    })
 };
 
 /**
- * Initialize the application
+ * Bring a stored bot up to the current schema
+ * @param {Object} bot Bot as stored, possibly in an older layout
+ * @returns {Object} Bot in the current layout (the same object if already current)
  */
-function initApp() {
-    // Initialize localStorage if first time
-    if (!localStorage.getItem(STORAGE_KEYS.BOTS)) {
-        localStorage.setItem(STORAGE_KEYS.BOTS, JSON.stringify([]));
+function migrateBot(bot) {
+    let migrated = bot;
+    let version = bot.schemaVersion || 1;
+    
+    while (version < BOT_SCHEMA_VERSION) {
+        migrated = { ...BOT_MIGRATIONS[version](migrated), schemaVersion: version + 1 };
+        version++;
     }
     
-    if (!localStorage.getItem(STORAGE_KEYS.CHATS)) {
-        localStorage.setItem(STORAGE_KEYS.CHATS, JSON.stringify({}));
+    return migrated;
+}
+
+/**
+ * Upgrade the stored bots to the current schema, if any are older
+ */
+function migrateStoredBots() {
+    const bots = getAllBots();
+    if (bots.every(bot => (bot.schemaVersion || 1) >= BOT_SCHEMA_VERSION)) return;
+    
+    // updatedAt stays as it was: an upgrade is not an edit worth syncing
+    saveBots(bots.map(migrateBot));
+}
+
+/**
+ * Initialize the application
+ */
+async function initApp() {
+    // Load bots and chats (moving them out of localStorage the first time)
+    try {
+        await window.storageService.open();
+    } catch (error) {
+        console.error('Could not open IndexedDB:', error);
+        showToast('Browser storage is unavailable - changes will not be saved', 'error');
     }
     
+    // Initialize settings if first time
     if (!localStorage.getItem(STORAGE_KEYS.SETTINGS)) {
         localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(DEFAULT_SETTINGS));
     }
     
+    migrateStoredBots();
+    purgeExpiredTrash();
+    
     // Initialize page-specific functionality
     const currentPage = getCurrentPage();
     
@@ -60,6 +129,9 @@ function initApp() {
         case 'settings':
             initSettingsPage();
             break;
+        case 'search':
+            initSearchPage();
+            break;
         case 'about':
             // About page initialization if needed
             break;
@@ -69,6 +141,21 @@ function initApp() {
     if (currentPage === 'settings') {
         updateStorageUsage();
     }
+    
+    // Pull changes made on other devices
+    if (window.syncService && window.syncService.isSyncEnabled()) {
+        window.syncService.syncWithBackend().then(({ pulled }) => {
+            if (pulled === 0) return;
+            showToast(`Synced ${pulled} change${pulled === 1 ? '' : 's'} from the server`, 'info');
+            
+            // List pages can simply be redrawn with the new data
+            if (currentPage === 'explore') initExplorePage();
+            if (currentPage === 'manage') initManagePage();
+            if (currentPage === 'search') renderSearchResults();
+        }).catch(error => {
+            console.warn('Sync failed:', error.message);
+        });
+    }
 }
 
 /**
@@ -98,6 +185,43 @@ function getUrlParams() {
     return params;
 }
 
+/**
+ * Read a page's filters from the URL query
+ * @param {Object} defaults Filter name -> default value
+ * @returns {Object} Filters, with defaults for those not in the URL
+ */
+function readUrlFilters(defaults) {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+    Object.entries(defaults).forEach(([key, fallback]) => {
+        filters[key] = params.get(key) || fallback;
+    });
+    return filters;
+}
+
+/**
+ * Put a page's filters in the URL query (defaults are left out) without
+ * adding a history entry
+ * @param {Object} filters Filters
+ * @param {Object} defaults Filter name -> default value
+ */
+function writeUrlFilters(filters, defaults) {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(defaults).forEach(([key, fallback]) => {
+        if (filters[key] && filters[key] !== fallback) {
+            params.set(key, filters[key]);
+        } else {
+            params.delete(key);
+        }
+    });
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+// What generateId makes; bot IDs from files must look the same (the backend
+// refuses any other)
+const BOT_ID_PATTERN = /^[0-9a-z]{1,64}$/;
+
 /**
  * Generate a unique ID
  * @returns {string} Unique ID
@@ -116,12 +240,48 @@ function formatDate(date) {
     return d.toLocaleString();
 }
 
+/**
+ * Escape text for use inside HTML markup
+ * @param {string} text Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Let the browser download a file
+ * @param {Blob} blob File contents
+ * @param {string} fileName Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// How long a toast with an action (such as Undo) stays up, in ms
+const TOAST_ACTION_DURATION = 8000;
+
 /**
  * Show toast notification
  * @param {string} message Message to display
  * @param {string} type Notification type (success, error, info)
+ * @param {Object} [action] Button shown in the toast
+ * @param {string} action.label Button text
+ * @param {Function} action.onClick Called when the button is clicked (the toast closes)
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', action = null) {
     // Remove existing toast if any
     const existingToast = document.querySelector('.toast');
     if (existingToast) {
@@ -133,6 +293,18 @@ function showToast(message, type = 'info') {
     toast.className = `toast ${type}`;
     toast.textContent = message;
     
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+    
     // Add to DOM
     document.body.appendChild(toast);
     
@@ -141,29 +313,29 @@ function showToast(message, type = 'info') {
         toast.classList.add('show');
     }, 10);
     
-    // Hide toast after 3 seconds
+    // Hide toast after 3 seconds (longer if it has a button)
     setTimeout(() => {
         toast.classList.remove('show');
         setTimeout(() => {
             toast.remove();
         }, 300);
-    }, 3000);
+    }, action ? TOAST_ACTION_DURATION : 3000);
 }
 
 /**
- * Get all chatbots from localStorage
+ * Get all chatbots
  * @returns {Array} Array of chatbot objects
  */
 function getAllBots() {
-    return JSON.parse(localStorage.getItem(STORAGE_KEYS.BOTS)) || [];
+    return window.storageService.getBots();
 }
 
 /**
- * Save all chatbots to localStorage
+ * Save all chatbots
  * @param {Array} bots Array of chatbot objects
  */
 function saveBots(bots) {
-    localStorage.setItem(STORAGE_KEYS.BOTS, JSON.stringify(bots));
+    window.storageService.setBots(bots);
 }
 
 /**
@@ -177,11 +349,13 @@ function getBotById(id) {
 }
 
 /**
- * Save a chatbot to localStorage
+ * Save a chatbot and record the result as a revision
  * @param {Object} bot Chatbot object
+ * @param {Object} [options]
+ * @param {string} [options.note] What changed, shown in the edit page's history
  * @returns {Object} Saved chatbot object
  */
-function saveBot(bot) {
+function saveBot(bot, { note = '' } = {}) {
     const bots = getAllBots();
     const existingIndex = bots.findIndex(b => b.id === bot.id);
     
@@ -194,26 +368,36 @@ function saveBot(bot) {
     }
     
     saveBots(bots);
+    window.storageService.addRevision(bot, note, getRevisionLimit());
+    
+    if (window.syncService) window.syncService.scheduleSync();
+    
     return bot;
 }
 
 /**
- * Delete a chatbot by ID
+ * Delete a chatbot by ID. The bot and its chat threads are moved to the
+ * trash, from where restoreFromTrash can bring them back.
  * @param {string} id Chatbot ID
  * @returns {boolean} True if deleted, false if not found
  */
 function deleteBot(id) {
     const bots = getAllBots();
-    const initialLength = bots.length;
-    const filteredBots = bots.filter(bot => bot.id !== id);
+    const bot = bots.find(b => b.id === id);
     
-    if (filteredBots.length < initialLength) {
-        saveBots(filteredBots);
+    if (bot) {
+        const chats = getAllChats();
+        const botChats = filterByBot(chats, [id]);
+        const threads = filterByBot(window.storageService.getThreads(), [id]);
+        window.storageService.addToTrash(bot, botChats, Object.values(threads));
+        saveBots(bots.filter(b => b.id !== id));
         
         // Also delete chat history
-        const chats = getAllChats();
-        delete chats[id];
+        Object.keys(botChats).forEach(threadId => delete chats[threadId]);
         saveAllChats(chats);
+        window.storageService.deleteThreads(Object.keys(threads));
+        
+        if (window.syncService) window.syncService.recordDeletion(id);
         
         return true;
     }
@@ -222,45 +406,291 @@ function deleteBot(id) {
 }
 
 /**
- * Get all chats from localStorage
- * @returns {Object} Object with chatbot IDs as keys and chat arrays as values
+ * Bring chatbots back from the trash, with their chat threads. A bot whose
+ * ID is taken again (by a restored backup, say) comes back as a copy.
+ * Restored bots count as changed now, so sync pushes them.
+ * @param {Array<string>} ids Chatbot IDs
+ * @returns {Promise<Array>} Restored chatbot objects
+ */
+async function restoreFromTrash(ids) {
+    const entries = (await window.storageService.getTrash()).filter(entry => ids.includes(entry.id));
+    const now = Date.now();
+    const chats = getAllChats();
+    const restoredThreads = [];
+    
+    const restored = entries.map(entry => {
+        const { bot, threads = [] } = entry;
+        const restoredBot = { ...bot, id: getBotById(bot.id) ? generateId() : bot.id, updatedAt: now };
+        saveBot(restoredBot, { note: 'Restored from trash' });
+        
+        Object.entries(getTrashChats(entry)).forEach(([threadId, history]) => {
+            const restoredId = moveThread(threadId, restoredBot.id);
+            if (history.length > 0) chats[restoredId] = history;
+            restoredThreads.push(restoredId);
+        });
+        threads.forEach(thread => window.storageService.putThread({ ...thread, id: moveThread(thread.id, restoredBot.id) }));
+        return restoredBot;
+    });
+    
+    saveAllChats(chats);
+    window.storageService.removeFromTrash(entries.map(entry => entry.id));
+    if (window.syncService) {
+        restoredThreads.filter(threadId => chats[threadId]).forEach(threadId => window.syncService.touchChat(threadId));
+    }
+    
+    return restored;
+}
+
+/**
+ * Chat threads of a trash entry
+ * @param {Object} entry Trash entry
+ * @returns {Object} Thread ID -> message array
+ */
+function getTrashChats(entry) {
+    // Entries trashed before threads existed hold one chat
+    return entry.chats || { [entry.id]: entry.chat };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Purge trash entries older than the retention period
+ */
+function purgeExpiredTrash() {
+    window.storageService.purgeTrash(Date.now() - getTrashRetentionDays() * DAY_MS);
+}
+
+/**
+ * Copy a chatbot under a new ID and name. Its chat history is not copied.
+ * @param {Object} bot Chatbot object
+ * @returns {Object} Saved copy
+ */
+function duplicateBot(bot) {
+    const now = Date.now();
+    return saveBot({
+        ...bot,
+        id: generateId(),
+        name: `${bot.name} (copy)`,
+        createdAt: now,
+        updatedAt: now
+    }, { note: `Duplicated from "${bot.name}"` });
+}
+
+/**
+ * Get all chats
+ * @returns {Object} Object with thread IDs as keys and chat arrays as values
  */
 function getAllChats() {
-    return JSON.parse(localStorage.getItem(STORAGE_KEYS.CHATS)) || {};
+    return window.storageService.getChats();
 }
 
 /**
- * Save all chats to localStorage
- * @param {Object} chats Object with chatbot IDs as keys and chat arrays as values
+ * Save all chats (only messages that changed are written)
+ * @param {Object} chats Object with thread IDs as keys and chat arrays as values
  */
 function saveAllChats(chats) {
-    localStorage.setItem(STORAGE_KEYS.CHATS, JSON.stringify(chats));
+    window.storageService.setChats(chats);
 }
 
 /**
- * Get chat history for a specific chatbot
- * @param {string} botId Chatbot ID
+ * Get the chat history of a thread
+ * @param {string} threadId Thread ID (a bot's first thread has the bot's ID)
  * @returns {Array} Array of chat message objects
  */
-function getChatHistory(botId) {
-    const chats = getAllChats();
-    return chats[botId] || [];
+function getChatHistory(threadId) {
+    return window.storageService.getChat(threadId);
 }
 
 /**
- * Save a chat message to localStorage
- * @param {string} botId Chatbot ID
+ * Append a chat message to a thread
+ * @param {string} threadId Thread ID
  * @param {Object} message Message object
  */
-function saveChatMessage(botId, message) {
+function saveChatMessage(threadId, message) {
+    window.storageService.putMessage(threadId, getChatHistory(threadId).length, message);
+    
+    if (window.syncService) window.syncService.touchChat(threadId);
+}
+
+/**
+ * Replace the whole history of a thread
+ * @param {string} threadId Thread ID
+ * @param {Array} history Chat history
+ */
+function saveChatHistory(threadId, history) {
     const chats = getAllChats();
+    chats[threadId] = history;
+    saveAllChats(chats);
     
-    if (!chats[botId]) {
-        chats[botId] = [];
-    }
+    if (window.syncService) window.syncService.touchChat(threadId);
+}
+
+/**
+ * Update fields of a stored chat message
+ * @param {string} threadId Thread ID
+ * @param {number} index Position of the message in the chat history
+ * @param {Object} changes Fields to set (undefined values are removed)
+ */
+function updateChatMessage(threadId, index, changes) {
+    const message = getChatHistory(threadId)[index];
+    if (!message) return;
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === undefined) {
+            delete message[key];
+        } else {
+            message[key] = value;
+        }
+    });
+    window.storageService.putMessage(threadId, index, message);
+
+    if (window.syncService) window.syncService.touchChat(threadId);
+}
+
+// Chat threads. A bot's first thread has the bot's own ID, so chats saved
+// before threads existed carry on as that thread; later threads are
+// "<botId>:<random>". Chats are keyed by thread ID everywhere (storage,
+// sync, backups), and the bot a chat belongs to is read from its key.
+const THREAD_ID_SEPARATOR = ':';
+
+// Thread titles made from the first message are cut to about this length
+const THREAD_TITLE_LENGTH = 40;
+
+/**
+ * The bot a chat thread belongs to
+ * @param {string} threadId Thread ID
+ * @returns {string} Chatbot ID
+ */
+function getThreadBotId(threadId) {
+    return threadId.split(THREAD_ID_SEPARATOR)[0];
+}
+
+/**
+ * Give a thread ID to another bot (for a bot restored under a new ID)
+ * @param {string} threadId Thread ID
+ * @param {string} botId New chatbot ID
+ * @returns {string} Thread ID under that bot
+ */
+function moveThread(threadId, botId) {
+    return botId + threadId.slice(getThreadBotId(threadId).length);
+}
+
+/**
+ * Keep the entries of a thread ID-keyed object that belong to some bots
+ * @param {Object} byThread Thread ID -> anything (chats, thread records)
+ * @param {Array<string>} botIds Chatbot IDs
+ * @returns {Object} The matching entries
+ */
+function filterByBot(byThread, botIds) {
+    return Object.fromEntries(Object.entries(byThread).filter(([threadId]) => botIds.includes(getThreadBotId(threadId))));
+}
+
+/**
+ * Title for a thread from its first user message
+ * @param {Array} history Chat history
+ * @returns {string|null} Title, or null if the user has not said anything yet
+ */
+function createThreadTitle(history) {
+    const first = history.find(message => message.sender === 'user');
+    if (!first) return null;
+    
+    const text = first.text.replace(/[*_`#>~]/g, '').replace(/\s+/g, ' ').trim();
+    if (text.length <= THREAD_TITLE_LENGTH) return text || null;
+    
+    const cut = text.slice(0, THREAD_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > THREAD_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}...`;
+}
+
+/**
+ * Every chat thread of a bot, most recently active first. Threads without
+ * a stored record (from before threads, or from another device) get a
+ * title from their messages.
+ * @param {string} botId Chatbot ID
+ * @returns {Array<{id: string, title: string, createdAt: number, lastAt: number, count: number}>} Threads
+ */
+function getBotThreads(botId) {
+    const records = filterByBot(window.storageService.getThreads(), [botId]);
+    const stats = filterByBot(window.storageService.getChatStats(), [botId]);
     
-    chats[botId].push(message);
+    return Array.from(new Set([...Object.keys(records), ...Object.keys(stats)]))
+        .map(id => {
+            const record = records[id] || {};
+            const { count = 0, lastAt = null } = stats[id] || {};
+            const createdAt = record.createdAt || lastAt || 0;
+            return {
+                id,
+                title: record.title || createThreadTitle(getChatHistory(id)) || 'New chat',
+                createdAt,
+                lastAt: lastAt || createdAt,
+                count
+            };
+        })
+        .sort((a, b) => b.lastAt - a.lastAt);
+}
+
+/**
+ * Start a new chat thread for a bot
+ * @param {string} botId Chatbot ID
+ * @returns {string} Thread ID
+ */
+function createThread(botId) {
+    const id = `${botId}${THREAD_ID_SEPARATOR}${generateId()}`;
+    window.storageService.putThread({ id, title: '', createdAt: Date.now() });
+    return id;
+}
+
+/**
+ * Rename a chat thread
+ * @param {string} threadId Thread ID
+ * @param {string} title New title (empty goes back to the automatic one)
+ */
+function renameThread(threadId, title) {
+    const record = window.storageService.getThreads()[threadId] || { id: threadId, createdAt: Date.now() };
+    window.storageService.putThread({ ...record, title: title.trim() });
+}
+
+/**
+ * Name a thread after its first exchange, unless it already has a title
+ * @param {string} threadId Thread ID
+ */
+function autoTitleThread(threadId) {
+    const record = window.storageService.getThreads()[threadId];
+    if (record && record.title) return;
+    
+    const history = getChatHistory(threadId);
+    const firstUser = history.findIndex(message => message.sender === 'user');
+    if (firstUser < 0 || !history.slice(firstUser + 1).some(message => message.sender === 'bot')) return;
+    
+    renameThread(threadId, createThreadTitle(history));
+}
+
+/**
+ * Delete a chat thread and its messages. Sync is told the chat is now
+ * empty, so it does not come back from the server.
+ * @param {string} threadId Thread ID
+ */
+function deleteThread(threadId) {
+    const chats = getAllChats();
+    delete chats[threadId];
     saveAllChats(chats);
+    window.storageService.deleteThreads([threadId]);
+    
+    if (window.syncService) window.syncService.touchChat(threadId);
+}
+
+/**
+ * Message count and last message time per bot, over all its threads
+ * @returns {Object} Chatbot ID -> { count, lastAt }
+ */
+function getBotChatStats() {
+    const stats = {};
+    Object.entries(window.storageService.getChatStats()).forEach(([threadId, { count, lastAt }]) => {
+        const botId = getThreadBotId(threadId);
+        const total = stats[botId] || { count: 0, lastAt: null };
+        stats[botId] = { count: total.count + count, lastAt: Math.max(total.lastAt || 0, lastAt || 0) || null };
+    });
+    return stats;
 }
 
 /**
@@ -280,129 +710,765 @@ function saveSettings(settings) {
 }
 
 /**
- * Calculate total localStorage usage
- * @returns {Object} Object with used and total bytes
+ * How many revisions to keep per bot
+ * @returns {number} Revision limit
  */
-function calculateStorageUsage() {
-    let totalBytes = 0;
-    let usedBytes = 0;
-    
-    // Estimate total available localStorage (typically 5-10MB)
-    totalBytes = 5 * 1024 * 1024; // 5MB as a conservative estimate
+function getRevisionLimit() {
+    const limit = Number(getSettings().revisionLimit);
+    return Number.isInteger(limit) && limit >= 1 ? limit : DEFAULT_SETTINGS.revisionLimit;
+}
+
+/**
+ * How many days deleted bots stay in the trash
+ * @returns {number} Retention in days
+ */
+function getTrashRetentionDays() {
+    const days = Number(getSettings().trashRetentionDays);
+    return Number.isInteger(days) && days >= 1 ? days : DEFAULT_SETTINGS.trashRetentionDays;
+}
+
+/**
+ * Whether SFW-only mode is on for this device
+ * @returns {boolean} True if every bot must be treated as SFW
+ */
+function isSfwOnly() {
+    return getSettings().sfwOnly === true;
+}
+
+/**
+ * Whether a bot is hidden because it is NSFW and SFW-only mode is on
+ * @param {Object} bot Bot object
+ * @returns {boolean} True if the bot must not be shown or chatted with
+ */
+function isHiddenBySfwOnly(bot) {
+    return isSfwOnly() && bot.ageCategory !== 'SFW (12+)';
+}
+
+/**
+ * Disable the NSFW age category on the create/edit form in SFW-only mode
+ */
+function applySfwOnlyToForm() {
+    const select = document.getElementById('bot-age-category');
+    if (!select || !isSfwOnly()) return;
     
-    // Calculate used bytes
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        const value = localStorage.getItem(key);
-        usedBytes += (key.length + value.length) * 2; // UTF-16 uses 2 bytes per character
-    }
+    Array.from(select.options).forEach(option => {
+        if (option.value !== 'SFW (12+)') option.disabled = true;
+    });
+    select.value = 'SFW (12+)';
+}
+
+/**
+ * Calculate storage usage, as reported by the browser
+ * @returns {Promise<Object|null>} Object with used and total bytes, or null if the browser will not say
+ */
+async function calculateStorageUsage() {
+    const estimate = await window.storageService.estimate();
+    if (!estimate || !estimate.total) return null;
     
     return {
-        used: usedBytes,
-        total: totalBytes,
-        percentage: (usedBytes / totalBytes) * 100
+        used: estimate.used,
+        total: estimate.total,
+        percentage: (estimate.used / estimate.total) * 100
     };
 }
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes Byte count
+ * @returns {string} e.g. "1.25 MB" or "2.00 GB"
+ */
+function formatBytes(bytes) {
+    const gb = 1024 * 1024 * 1024;
+    return bytes >= gb ? `${(bytes / gb).toFixed(2)} GB` : `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
 /**
  * Update storage usage display on settings page
  */
-function updateStorageUsage() {
+async function updateStorageUsage() {
     const usageElement = document.getElementById('storage-usage');
     if (!usageElement) return;
     
-    const usage = calculateStorageUsage();
-    const usedMB = (usage.used / (1024 * 1024)).toFixed(2);
-    const totalMB = (usage.total / (1024 * 1024)).toFixed(2);
+    const usage = await calculateStorageUsage().catch(() => null);
+    if (!usage) {
+        document.getElementById('usage-percentage').textContent = '';
+        document.getElementById('usage-details').textContent = 'This browser does not report storage usage';
+        return;
+    }
     
     document.getElementById('usage-percentage').textContent = `${usage.percentage.toFixed(1)}%`;
-    document.getElementById('usage-details').textContent = `${usedMB} MB of ${totalMB} MB used`;
+    document.getElementById('usage-details').textContent = `${formatBytes(usage.used)} of ${formatBytes(usage.total)} used`;
     
     const usageFill = document.querySelector('.usage-fill');
-    usageFill.style.width = `${usage.percentage}%`;
+    usageFill.style.width = `${Math.max(usage.percentage, 0.5)}%`;
 }
 
 /**
- * Reset all data in localStorage
+ * Reset all data (chatbots, chats and settings)
  */
 function resetAllData() {
     if (confirm('Are you sure you want to reset all data? This will delete all chatbots and conversations.')) {
-        localStorage.removeItem(STORAGE_KEYS.BOTS);
-        localStorage.removeItem(STORAGE_KEYS.CHATS);
+        window.storageService.clear();
         localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(DEFAULT_SETTINGS));
         showToast('All data has been reset', 'success');
         
-        // Reload page after reset
-        setTimeout(() => {
-            window.location.reload();
-        }, 1500);
+        // Reload page after reset, once the data is really gone
+        window.storageService.flush().then(() => {
+            setTimeout(() => {
+                window.location.reload();
+            }, 1500);
+        });
     }
 }
 
+// Backup file layout. Bump BACKUP_VERSION when the layout changes and teach
+// readBackup to read the old one.
+const BACKUP_FORMAT = 'crave-ai-backup';
+const BACKUP_VERSION = 1;
+
 /**
- * Initialize the create chatbot page
+ * Collect all bots, chats and settings into one backup object
+ * @param {Array<string>} [botIds] Only back up these bots and their chats
+ *        (settings are left out, so restoring the file keeps the device's own)
+ * @returns {Object} Backup, ready for JSON.stringify
  */
-function initCreatePage() {
-    const createForm = document.getElementById('create-bot-form');
-    if (!createForm) return;
+function createBackup(botIds = null) {
+    const bots = getAllBots();
+    const chats = getAllChats();
+    const threads = window.storageService.getThreads();
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        botSchemaVersion: BOT_SCHEMA_VERSION,
+        bots: botIds ? bots.filter(bot => botIds.includes(bot.id)) : bots,
+        chats: botIds ? filterByBot(chats, botIds) : chats,
+        threads: Object.values(botIds ? filterByBot(threads, botIds) : threads),
+        settings: botIds ? null : getSettings()
+    };
+}
+
+/**
+ * Parse and check a backup file
+ * @param {string} text Backup file contents
+ * @returns {Object} Backup with its bots upgraded to the current schema
+ * @throws {Error} If the file is not a usable backup
+ */
+function readBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (parseError) {
+        throw new Error('The file is not valid JSON');
+    }
     
-    // Handle image upload preview
-    const imageInput = document.getElementById('bot-image');
-    const imagePreview = document.getElementById('image-preview');
-    
-    if (imageInput && imagePreview) {
-        imageInput.addEventListener('change', function() {
-            const file = this.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = function(e) {
-                    const img = document.createElement('img');
-                    img.src = e.target.result;
-                    imagePreview.innerHTML = '';
-                    imagePreview.appendChild(img);
-                };
-                reader.readAsDataURL(file);
-            }
-        });
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('The file is not a Crave.ai backup');
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+        throw new Error('The backup was made by a newer version of Crave.ai');
+    }
+    if (!Array.isArray(backup.bots) || backup.bots.some(bot => !bot || typeof bot.id !== 'string' || !BOT_ID_PATTERN.test(bot.id) || typeof bot.name !== 'string')) {
+        throw new Error('The backup\'s chatbot list is damaged');
+    }
+    if (!backup.chats || typeof backup.chats !== 'object' || Object.values(backup.chats).some(chat => !Array.isArray(chat))) {
+        throw new Error('The backup\'s chat history is damaged');
     }
     
-    // Handle form submission
-    createForm.addEventListener('submit', function(e) {
-        e.preventDefault();
+    return {
+        ...backup,
+        bots: backup.bots.map(migrateBot),
+        // Thread titles; backups from before threads have none
+        threads: Array.isArray(backup.threads) ? backup.threads.filter(thread => thread && typeof thread.id === 'string') : [],
+        settings: backup.settings && typeof backup.settings === 'object' ? backup.settings : null
+    };
+}
+
+/**
+ * Bots that exist both here and in a backup
+ * @param {Object} backup Result of readBackup
+ * @returns {Array<{local: Object, backup: Object}>} Both versions of each bot
+ */
+function findBackupConflicts(backup) {
+    const localBots = new Map(getAllBots().map(bot => [bot.id, bot]));
+    return backup.bots
+        .filter(bot => localBots.has(bot.id))
+        .map(bot => ({ local: localBots.get(bot.id), backup: bot }));
+}
+
+/**
+ * Restore a backup.
+ *   replace  everything here is swapped for the backup, settings included
+ *   merge    bots only in the backup are added; for bots on both sides,
+ *            keep[id] says which version ('local' or 'backup') wins, along
+ *            with its chats. Settings stay as they are.
+ * Restored bots and chats count as changed now, so sync pushes them.
+ * @param {Object} backup Result of readBackup
+ * @param {Object} options
+ * @param {string} options.mode 'replace' or 'merge'
+ * @param {Object} [options.keep] Bot ID -> 'local' or 'backup' (merge only; default 'local')
+ * @returns {{bots: number, chats: number}} How many bots and chats were written
+ */
+function restoreBackup(backup, { mode, keep = {} }) {
+    const now = Date.now();
+    const restoreBot = bot => ({ ...bot, updatedAt: now });
+    let bots;
+    let chats;
+    let restored;
+    
+    if (mode === 'replace') {
+        const removedIds = getAllBots().map(bot => bot.id).filter(id => !backup.bots.some(bot => bot.id === id));
+        bots = backup.bots.map(restoreBot);
+        chats = { ...backup.chats };
+        restored = backup.bots.map(bot => bot.id);
         
-        // Get form values
-        const name = document.getElementById('bot-name').value.trim();
-        const description = document.getElementById('bot-description').value.trim();
-        const ageCategory = document.getElementById('bot-age-category').value;
-        const chatTone = document.getElementById('bot-chat-tone').value;
+        if (backup.settings) saveSettings({ ...DEFAULT_SETTINGS, ...backup.settings });
+        if (window.syncService) removedIds.forEach(id => window.syncService.recordDeletion(id));
+    } else {
+        const localBots = new Map(getAllBots().map(bot => [bot.id, bot]));
+        chats = getAllChats();
+        restored = backup.bots
+            .filter(bot => !localBots.has(bot.id) || keep[bot.id] === 'backup')
+            .map(bot => bot.id);
         
-        // Validate
-        if (!name || !description) {
-            showToast('Please fill in all required fields', 'error');
-            return;
-        }
+        backup.bots.forEach(bot => {
+            if (restored.includes(bot.id)) localBots.set(bot.id, restoreBot(bot));
+        });
+        // A restored bot's threads are the backup's, not the ones here
+        Object.keys(filterByBot(chats, restored)).forEach(threadId => delete chats[threadId]);
+        Object.assign(chats, filterByBot(backup.chats, restored));
+        bots = Array.from(localBots.values());
+    }
+    
+    saveBots(bots);
+    saveAllChats(chats);
+    
+    const localThreads = window.storageService.getThreads();
+    window.storageService.deleteThreads(Object.keys(mode === 'replace' ? localThreads : filterByBot(localThreads, restored)));
+    backup.threads
+        .filter(thread => restored.includes(getThreadBotId(thread.id)))
+        .forEach(thread => window.storageService.putThread(thread));
+    
+    const restoredChats = Object.keys(filterByBot(chats, restored));
+    if (window.syncService) {
+        restoredChats.forEach(id => window.syncService.touchChat(id));
+        window.syncService.scheduleSync();
+    }
+    
+    return { bots: restored.length, chats: restoredChats.length };
+}
+
+/**
+ * Wire up backup download and restore on the settings page
+ */
+function initBackupSettings() {
+    const downloadButton = document.getElementById('backup-download');
+    const fileInput = document.getElementById('backup-file');
+    const panel = document.getElementById('restore-panel');
+    if (!downloadButton || !fileInput || !panel) return;
+    
+    downloadButton.addEventListener('click', () => {
+        const backup = createBackup();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `crave-ai-backup-${backup.exportedAt.slice(0, 10)}.json`);
+        showToast(`Backed up ${backup.bots.length} chatbot${backup.bots.length === 1 ? '' : 's'}`, 'success');
+    });
+    
+    fileInput.addEventListener('change', async function() {
+        const file = this.files[0];
+        this.value = '';
+        if (!file) return;
         
-        // Process image if provided
-        let imageBase64 = null;
-        const imagePreviewImg = imagePreview.querySelector('img');
-        if (imagePreviewImg) {
-            imageBase64 = imagePreviewImg.src;
+        try {
+            showRestorePanel(panel, readBackup(await file.text()));
+        } catch (error) {
+            panel.hidden = true;
+            showToast(`Cannot restore ${file.name}: ${error.message}`, 'error');
         }
-        
-        // Create bot object
-        const newBot = {
-            id: generateId(),
-            name,
-            description,
+    });
+}
+
+/**
+ * Show what a backup holds and let the user pick how to restore it
+ * @param {HTMLElement} panel Container for the restore options
+ * @param {Object} backup Result of readBackup
+ */
+function showRestorePanel(panel, backup) {
+    const conflicts = findBackupConflicts(backup);
+    const chatCount = Object.values(backup.chats).filter(chat => chat.length > 0).length;
+    
+    panel.innerHTML = `
+        <p class="restore-summary">
+            Backup from ${formatDate(backup.exportedAt)}: ${backup.bots.length} chatbot${backup.bots.length === 1 ? '' : 's'},
+            ${chatCount} chat${chatCount === 1 ? '' : 's'}${backup.settings ? ' and settings' : ''}.
+        </p>
+        <label class="restore-mode">
+            <input type="radio" name="restore-mode" value="merge" checked>
+            <span><strong>Merge</strong> - add the backup's chatbots to the ones here</span>
+        </label>
+        <label class="restore-mode">
+            <input type="radio" name="restore-mode" value="replace">
+            <span><strong>Replace</strong> - delete everything here and restore the backup, settings included</span>
+        </label>
+        <div class="restore-conflicts">
+            ${conflicts.length === 0 ? '<p class="settings-description">None of the backup\'s chatbots exist here yet, so nothing will be overwritten.</p>' : `
+                <p class="settings-description">${conflicts.length} chatbot${conflicts.length === 1 ? ' is' : 's are'} both here and in the backup. Choose which version to keep (its chat comes with it):</p>
+                ${conflicts.map(({ local, backup: saved }) => `
+                    <div class="restore-conflict">
+                        <span class="restore-conflict-name">${escapeHtml(local.name)}${saved.name !== local.name ? ` / ${escapeHtml(saved.name)}` : ''}</span>
+                        <select class="form-control" data-id="${escapeHtml(local.id)}">
+                            <option value="local"${local.updatedAt >= saved.updatedAt ? ' selected' : ''}>This device (edited ${formatDate(local.updatedAt)})</option>
+                            <option value="backup"${local.updatedAt < saved.updatedAt ? ' selected' : ''}>Backup (edited ${formatDate(saved.updatedAt)})</option>
+                        </select>
+                    </div>
+                `).join('')}
+            `}
+        </div>
+        <div class="restore-actions">
+            <button type="button" class="btn secondary restore-cancel">Cancel</button>
+            <button type="button" class="btn primary restore-confirm">Restore</button>
+        </div>
+    `;
+    panel.hidden = false;
+    
+    const conflictList = panel.querySelector('.restore-conflicts');
+    panel.querySelectorAll('input[name="restore-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            conflictList.hidden = panel.querySelector('input[name="restore-mode"]:checked').value !== 'merge';
+        });
+    });
+    
+    panel.querySelector('.restore-cancel').addEventListener('click', () => {
+        panel.hidden = true;
+        panel.innerHTML = '';
+    });
+    
+    panel.querySelector('.restore-confirm').addEventListener('click', () => {
+        const mode = panel.querySelector('input[name="restore-mode"]:checked').value;
+        if (mode === 'replace' && !confirm('Replace all chatbots, chats and settings on this device with the backup?')) return;
+        
+        const keep = {};
+        panel.querySelectorAll('.restore-conflict select').forEach(select => {
+            keep[select.getAttribute('data-id')] = select.value;
+        });
+        
+        const result = restoreBackup(backup, { mode, keep });
+        showToast(`Restored ${result.bots} chatbot${result.bots === 1 ? '' : 's'} and ${result.chats} chat${result.chats === 1 ? '' : 's'}`, 'success');
+        
+        // Reload so every setting on the page reflects the restored data
+        window.storageService.flush().then(() => {
+            setTimeout(() => {
+                window.location.reload();
+            }, 1500);
+        });
+    });
+}
+
+// Generation setting form fields: bot.generation key -> input element ID
+const GENERATION_FIELDS = {
+    model: 'gen-model',
+    temperature: 'gen-temperature',
+    topP: 'gen-top-p',
+    maxTokens: 'gen-max-tokens',
+    presencePenalty: 'gen-presence-penalty',
+    frequencyPenalty: 'gen-frequency-penalty'
+};
+
+/**
+ * Read the advanced generation settings from the create/edit form.
+ * Empty fields are stored as null so the tone-based defaults apply.
+ * @returns {Object} Generation settings for bot.generation
+ */
+function readGenerationForm() {
+    const generation = {};
+    
+    Object.entries(GENERATION_FIELDS).forEach(([key, inputId]) => {
+        const input = document.getElementById(inputId);
+        const value = input ? input.value.trim() : '';
+        
+        if (!value) {
+            generation[key] = null;
+        } else if (key === 'model') {
+            generation[key] = value;
+        } else {
+            generation[key] = key === 'maxTokens' ? parseInt(value, 10) : parseFloat(value);
+        }
+    });
+    
+    const stopInput = document.getElementById('gen-stop');
+    generation.stop = stopInput
+        ? stopInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+        : [];
+    
+    return generation;
+}
+
+/**
+ * Check generation settings against the ranges the form allows
+ * @param {Object} generation Settings from readGenerationForm
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGenerationSettings(generation) {
+    for (const [key, inputId] of Object.entries(GENERATION_FIELDS)) {
+        const value = generation[key];
+        const input = document.getElementById(inputId);
+        if (key === 'model' || value === null || !input) continue;
+        
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        if (Number.isNaN(value) || value < min || value > max) {
+            const label = document.querySelector(`label[for="${inputId}"]`);
+            return `${label ? label.textContent : key} must be between ${min} and ${max}`;
+        }
+    }
+    
+    if (generation.stop.length > 4) {
+        return 'Use at most 4 stop sequences';
+    }
+    
+    return null;
+}
+
+/**
+ * Fill the advanced generation settings on the edit form
+ * @param {Object} [generation] Saved bot.generation settings
+ */
+function fillGenerationForm(generation) {
+    if (!generation) return;
+    
+    Object.entries(GENERATION_FIELDS).forEach(([key, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (input && generation[key] !== null && generation[key] !== undefined) {
+            input.value = generation[key];
+        }
+    });
+    
+    const stopInput = document.getElementById('gen-stop');
+    if (stopInput && Array.isArray(generation.stop)) {
+        stopInput.value = generation.stop.join('\n');
+    }
+}
+
+/**
+ * Show the tone-based defaults as placeholders and keep them in sync with the tone select.
+ * Also offers the backend's model list as suggestions for the model field.
+ */
+function initGenerationPlaceholders() {
+    const toneSelect = document.getElementById('bot-chat-tone');
+    if (!toneSelect || !window.aiService) return;
+    
+    const update = () => {
+        const defaults = window.aiService.getDefaultGenerationSettings({ chatTone: toneSelect.value });
+        document.getElementById('gen-temperature').placeholder = `${defaults.temperature} (tone default)`;
+        document.getElementById('gen-max-tokens').placeholder = `${defaults.maxTokens} (default)`;
+    };
+    
+    toneSelect.addEventListener('change', update);
+    update();
+    
+    // Suggest the models the backend's provider offers
+    const modelOptions = document.getElementById('gen-model-options');
+    if (!modelOptions) return;
+    window.aiService.listModels().then(({ defaultModel, models }) => {
+        document.getElementById('gen-model').placeholder = `${defaultModel} (backend default)`;
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            if (model.name !== model.id) option.label = model.name;
+            modelOptions.appendChild(option);
+        });
+    }).catch(error => {
+        console.warn('Could not load the model list:', error.message);
+    });
+}
+
+// Character card form fields: bot key -> input element ID
+const CHARACTER_FIELDS = {
+    greeting: 'bot-greeting',
+    scenario: 'bot-scenario',
+    speakingStyle: 'bot-speaking-style',
+    exampleDialogues: 'bot-example-dialogues',
+    creatorNotes: 'bot-creator-notes'
+};
+
+/**
+ * Read the character card fields (greeting, scenario, traits, custom tone...)
+ * from the create/edit form
+ * @returns {Object} Character fields for the bot
+ */
+function readCharacterForm() {
+    const character = {};
+    
+    Object.entries(CHARACTER_FIELDS).forEach(([key, inputId]) => {
+        const input = document.getElementById(inputId);
+        character[key] = input ? input.value.trim() : '';
+    });
+    
+    const traitsInput = document.getElementById('bot-traits');
+    character.traits = traitsInput
+        ? traitsInput.value.split(',').map(trait => trait.trim()).filter(Boolean)
+        : [];
+    
+    const tagsInput = document.getElementById('bot-tags');
+    character.tags = tagsInput ? normalizeTags(tagsInput.value.split(',')) : [];
+    
+    const toneSelect = document.getElementById('bot-chat-tone');
+    character.customTone = toneSelect && toneSelect.value === 'Custom'
+        ? {
+            name: document.getElementById('custom-tone-name').value.trim(),
+            instructions: document.getElementById('custom-tone-instructions').value.trim()
+        }
+        : null;
+    
+    return character;
+}
+
+// Tag limits, so tags stay short labels rather than notes
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS = 20;
+
+/**
+ * Clean up a list of tags: trimmed, lowercase, single-spaced, no duplicates
+ * @param {Array<string>} tags Raw tags
+ * @returns {Array<string>} Tags
+ */
+function normalizeTags(tags) {
+    const cleaned = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(cleaned)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Check the character fields from readCharacterForm
+ * @param {Object} character Character fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCharacterFields(character) {
+    if (character.customTone && (!character.customTone.name || !character.customTone.instructions)) {
+        return 'Give your custom tone a name and instructions';
+    }
+    return null;
+}
+
+/**
+ * Fill the character card fields on the edit form
+ * @param {Object} bot Saved bot
+ */
+function fillCharacterForm(bot) {
+    Object.entries(CHARACTER_FIELDS).forEach(([key, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (input && bot[key]) input.value = bot[key];
+    });
+    
+    const traitsInput = document.getElementById('bot-traits');
+    if (traitsInput && Array.isArray(bot.traits)) {
+        traitsInput.value = bot.traits.join(', ');
+    }
+    
+    const tagsInput = document.getElementById('bot-tags');
+    if (tagsInput && Array.isArray(bot.tags)) {
+        tagsInput.value = bot.tags.join(', ');
+    }
+    
+    if (bot.customTone) {
+        document.getElementById('custom-tone-name').value = bot.customTone.name;
+        document.getElementById('custom-tone-instructions').value = bot.customTone.instructions;
+    }
+}
+
+/**
+ * Show the custom tone fields only while the "Custom" tone is selected
+ */
+function initCustomToneFields() {
+    const toneSelect = document.getElementById('bot-chat-tone');
+    const fields = document.getElementById('custom-tone-fields');
+    if (!toneSelect || !fields) return;
+    
+    const update = () => {
+        fields.hidden = toneSelect.value !== 'Custom';
+    };
+    toneSelect.addEventListener('change', update);
+    update();
+}
+
+/**
+ * Label for a bot's tone: the custom tone's name, or the built-in tone
+ * @param {Object} bot Bot object
+ * @returns {string} Tone label
+ */
+function getToneLabel(bot) {
+    return bot.chatTone === 'Custom' && bot.customTone ? bot.customTone.name : bot.chatTone;
+}
+
+/**
+ * Read the prompt template settings from the create/edit form.
+ * An empty template or instruction choice is stored as null so the defaults apply.
+ * @returns {{promptTemplate: string|null, instructions: string|null}} Prompt settings for the bot
+ */
+function readPromptForm() {
+    const templateInput = document.getElementById('bot-prompt-template');
+    const instructionsSelect = document.getElementById('bot-instructions');
+    const template = templateInput ? templateInput.value.trim() : '';
+    
+    return {
+        promptTemplate: template || null,
+        instructions: instructionsSelect && instructionsSelect.value ? instructionsSelect.value : null
+    };
+}
+
+/**
+ * Wire up the prompt template section of the create/edit form: fill it in,
+ * offer the backend's instruction presets and keep the preview of the
+ * assembled system prompt up to date.
+ * @param {Object} [bot] Bot being edited
+ */
+function initPromptTemplateForm(bot) {
+    const templateInput = document.getElementById('bot-prompt-template');
+    const instructionsSelect = document.getElementById('bot-instructions');
+    const preview = document.getElementById('prompt-preview');
+    if (!templateInput || !instructionsSelect || !preview || !window.aiService) return;
+    
+    const toneSelect = document.getElementById('bot-chat-tone');
+    let backendInstructions = null;
+    
+    if (bot) {
+        templateInput.value = bot.promptTemplate || '';
+    }
+    
+    const update = () => {
+        const draft = {
+            name: document.getElementById('bot-name').value.trim() || 'Your chatbot',
+            description: document.getElementById('bot-description').value.trim(),
+            ageCategory: document.getElementById('bot-age-category').value,
+            chatTone: toneSelect.value,
+            ...readCharacterForm(),
+            ...readPromptForm()
+        };
+        
+        templateInput.placeholder = window.aiService.DEFAULT_PROMPT_TEMPLATES[draft.chatTone] || '';
+        
+        let text = window.aiService.createPersonalityPrompt(draft);
+        if (backendInstructions) {
+            const name = draft.instructions || backendInstructions.default;
+            const extra = backendInstructions.presets[name];
+            if (extra) text += `\n\n${extra}`;
+        }
+        preview.textContent = text;
+    };
+    
+    document.getElementById('prompt-template-default').addEventListener('click', () => {
+        if (templateInput.value.trim() && !confirm('Replace the current template with the tone default?')) return;
+        templateInput.value = window.aiService.DEFAULT_PROMPT_TEMPLATES[toneSelect.value] || '';
+        update();
+    });
+    
+    const fieldIds = ['bot-name', 'bot-description', 'bot-age-category', 'bot-chat-tone', 'bot-traits',
+        'custom-tone-instructions', 'bot-prompt-template', 'bot-instructions', ...Object.values(CHARACTER_FIELDS)];
+    fieldIds.forEach(id => {
+        document.getElementById(id).addEventListener('input', update);
+        document.getElementById(id).addEventListener('change', update);
+    });
+    update();
+    
+    // Offer the instruction presets the backend knows about
+    window.aiService.getBackendConfig().then(config => {
+        if (!config.instructions) return;
+        backendInstructions = config.instructions;
+        instructionsSelect.options[0].textContent = `Backend default (${backendInstructions.default})`;
+        Object.keys(backendInstructions.presets).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            instructionsSelect.appendChild(option);
+        });
+        if (bot && bot.instructions) instructionsSelect.value = bot.instructions;
+        update();
+    }).catch(error => {
+        console.warn('Could not load the backend instruction presets:', error.message);
+        // Keep a saved choice even while the backend is away
+        if (bot && bot.instructions) {
+            const option = document.createElement('option');
+            option.value = bot.instructions;
+            option.textContent = bot.instructions;
+            instructionsSelect.appendChild(option);
+            instructionsSelect.value = bot.instructions;
+        }
+    });
+}
+
+/**
+ * Initialize the create chatbot page
+ */
+function initCreatePage() {
+    const createForm = document.getElementById('create-bot-form');
+    if (!createForm) return;
+    
+    // Handle image upload and cropping
+    const avatar = initAvatarUpload(null);
+    createForm.addEventListener('reset', () => avatar.reset());
+    
+    initCustomToneFields();
+    initGenerationPlaceholders();
+    initPromptTemplateForm();
+    applySfwOnlyToForm();
+    
+    // Handle form submission
+    createForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        // Get form values
+        const name = document.getElementById('bot-name').value.trim();
+        const description = document.getElementById('bot-description').value.trim();
+        const ageCategory = document.getElementById('bot-age-category').value;
+        const chatTone = document.getElementById('bot-chat-tone').value;
+        const generation = readGenerationForm();
+        const { promptTemplate, instructions } = readPromptForm();
+        const character = readCharacterForm();
+        
+        // Validate
+        if (!name || !description) {
+            showToast('Please fill in all required fields', 'error');
+            return;
+        }
+        
+        const generationError = validateGenerationSettings(generation) || validateCharacterFields(character);
+        if (generationError) {
+            showToast(generationError, 'error');
+            return;
+        }
+        
+        // Crop, resize and compress the image if one was chosen
+        let images;
+        try {
+            images = await avatar.read();
+        } catch (error) {
+            console.error('Could not process avatar:', error);
+            showToast(`Could not process the image: ${error.message}`, 'error');
+            return;
+        }
+        
+        // Create bot object
+        const newBot = {
+            schemaVersion: BOT_SCHEMA_VERSION,
+            id: generateId(),
+            name,
+            description,
             ageCategory,
             chatTone,
-            image: imageBase64,
+            ...character,
+            generation,
+            promptTemplate,
+            instructions,
+            image: images ? images.image : null,
+            thumbnail: images ? images.thumbnail : null,
             createdAt: Date.now(),
             updatedAt: Date.now()
         };
         
-        // Save to localStorage
-        saveBot(newBot);
+        // Save to storage
+        saveBot(newBot, { note: 'Created' });
         
         // Show success message
         showToast('Chatbot created successfully!', 'success');
@@ -423,10 +1489,284 @@ function initCreatePage() {
             successDiv.scrollIntoView({ behavior: 'smooth' });
         }
         
-        // Reset form
+        // Reset form (the reset handler clears the avatar)
         createForm.reset();
-        imagePreview.innerHTML = '';
+        document.getElementById('bot-chat-tone').dispatchEvent(new Event('change'));
+    });
+}
+
+// Fields compared in the revision history, with their labels
+const REVISION_FIELDS = {
+    name: 'Name',
+    description: 'Description',
+    ageCategory: 'Age Category',
+    chatTone: 'Chat Tone',
+    customTone: 'Custom Tone',
+    greeting: 'Greeting',
+    scenario: 'Scenario',
+    traits: 'Personality Traits',
+    tags: 'Tags',
+    speakingStyle: 'Speaking Style',
+    exampleDialogues: 'Example Dialogues',
+    creatorNotes: 'Creator Notes',
+    promptTemplate: 'Prompt Template',
+    instructions: 'Backend Instructions',
+    generation: 'Generation Settings',
+    image: 'Profile Image'
+};
+
+/**
+ * Fields that differ between two versions of a bot
+ * @param {Object} before Older version
+ * @param {Object} after Newer version
+ * @returns {Array<{field: string, label: string, before: *, after: *}>} Changed fields
+ */
+function diffBotVersions(before, after) {
+    return Object.entries(REVISION_FIELDS)
+        .filter(([field]) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(([field, label]) => ({ field, label, before: before[field], after: after[field] }));
+}
+
+/**
+ * Show one side of a field change as HTML
+ * @param {string} field Bot field
+ * @param {*} value Field value
+ * @returns {string} HTML
+ */
+function formatRevisionValue(field, value) {
+    if (field === 'image') {
+        return value ? `<img src="${escapeHtml(value)}" alt="Profile image" class="revision-image">` : '<em>No image</em>';
+    }
+    
+    let text;
+    if (field === 'traits' || field === 'tags') {
+        text = (value || []).join(', ');
+    } else if (field === 'customTone') {
+        text = value ? `${value.name}: ${value.instructions}` : '';
+    } else if (field === 'generation') {
+        text = Object.entries(value || {})
+            .filter(([, setting]) => setting !== null && setting !== undefined && setting !== '')
+            .map(([key, setting]) => `${key}: ${setting}`)
+            .join('\n');
+    } else {
+        text = value === null || value === undefined ? '' : String(value);
+    }
+    
+    return text ? escapeHtml(text) : '<em>Empty</em>';
+}
+
+/**
+ * Wire up the revision history panel on the edit page
+ * @param {Object} bot Bot being edited
+ * @returns {{refresh: Function}} refresh() reloads the list after a save
+ */
+function initRevisionHistory(bot) {
+    const panel = document.getElementById('revision-history');
+    if (!panel) return { refresh() {} };
+    
+    const fromSelect = document.getElementById('revision-from');
+    const toSelect = document.getElementById('revision-to');
+    const diff = document.getElementById('revision-diff');
+    const restoreButton = document.getElementById('revision-restore');
+    let revisions = [];
+    
+    const describe = revision => `${formatDate(revision.savedAt)}${revision.note ? ` - ${revision.note}` : ''}`;
+    
+    const showDiff = () => {
+        const from = revisions.find(revision => String(revision.id) === fromSelect.value);
+        const to = revisions.find(revision => String(revision.id) === toSelect.value);
+        restoreButton.disabled = !from || from === revisions[0];
+        if (revisions.length < 2 || !from || !to) {
+            diff.innerHTML = '<p class="settings-description">No earlier versions yet. Each save adds one.</p>';
+            return;
+        }
+        
+        const changes = diffBotVersions(from.bot, to.bot);
+        diff.innerHTML = changes.length === 0
+            ? '<p class="settings-description">These versions are the same.</p>'
+            : changes.map(change => `
+                <div class="revision-change">
+                    <div class="revision-field">${change.label}</div>
+                    <div class="revision-before">${formatRevisionValue(change.field, change.before)}</div>
+                    <div class="revision-after">${formatRevisionValue(change.field, change.after)}</div>
+                </div>
+            `).join('');
+    };
+    
+    const refresh = async () => {
+        revisions = await window.storageService.getRevisions(bot.id);
+        
+        // Bots saved before history was kept start with their current state
+        if (revisions.length === 0 && window.storageService.isPersistent()) {
+            window.storageService.addRevision(bot, 'Earliest saved version', getRevisionLimit());
+            revisions = await window.storageService.getRevisions(bot.id);
+        }
+        
+        const options = revisions.map(revision => `<option value="${revision.id}">${escapeHtml(describe(revision))}</option>`).join('');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        // Default: what the latest save changed
+        if (revisions.length > 1) fromSelect.value = String(revisions[1].id);
+        showDiff();
+    };
+    
+    fromSelect.addEventListener('change', showDiff);
+    toSelect.addEventListener('change', showDiff);
+    
+    restoreButton.addEventListener('click', () => {
+        const from = revisions.find(revision => String(revision.id) === fromSelect.value);
+        if (!from || !confirm(`Restore the version from ${formatDate(from.savedAt)}? The current version stays in the history.`)) return;
+        
+        const current = getBotById(bot.id) || bot;
+        saveBot({
+            ...from.bot,
+            id: current.id,
+            createdAt: current.createdAt,
+            updatedAt: Date.now()
+        }, { note: `Restored the version from ${formatDate(from.savedAt)}` });
+        showToast('Older version restored', 'success');
+        
+        // Reload so the form shows the restored version
+        window.storageService.flush().then(() => {
+            window.location.reload();
+        });
+    });
+    
+    refresh().catch(error => {
+        console.error('Could not load revision history:', error);
+    });
+    
+    return { refresh: () => refresh().catch(error => console.error('Could not load revision history:', error)) };
+}
+
+// Edge length of the avatar crop view on the create/edit pages, in CSS pixels
+const CROP_VIEW_SIZE = 280;
+
+// Furthest the crop view zooms in, relative to the whole short side
+const CROP_MAX_ZOOM = 4;
+
+/**
+ * Wire up the avatar upload on the create/edit form: check the chosen file,
+ * show it in a square crop view the user can drag and zoom, and produce the
+ * resized, compressed avatar on save
+ * @param {string|null} currentImage The bot's current image, shown until a new one is chosen
+ * @returns {{read: Function, reset: Function}} read() resolves to { image, thumbnail },
+ *   or null when no new image was chosen; reset() drops the chosen image
+ */
+function initAvatarUpload(currentImage) {
+    const input = document.getElementById('bot-image');
+    const preview = document.getElementById('image-preview');
+    let source = null;
+    let crop = null;
+    
+    const showCurrent = () => {
+        source = null;
+        crop = null;
+        preview.innerHTML = '';
+        if (currentImage) {
+            const img = document.createElement('img');
+            img.src = currentImage;
+            preview.appendChild(img);
+        }
+    };
+    
+    const showCropper = () => {
+        preview.innerHTML = `
+            <div class="avatar-cropper">
+                <canvas class="avatar-crop-view"></canvas>
+                <div class="avatar-crop-zoom">
+                    <i class="fas fa-search-minus"></i>
+                    <input type="range" min="1" max="${CROP_MAX_ZOOM}" step="0.01" value="1" aria-label="Zoom">
+                    <i class="fas fa-search-plus"></i>
+                </div>
+                <small class="form-text">Drag to move the picture and zoom to frame it. The square is your chatbot's avatar.</small>
+            </div>
+        `;
+        
+        const canvas = preview.querySelector('canvas');
+        const zoom = preview.querySelector('input[type="range"]');
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = canvas.height = Math.round(CROP_VIEW_SIZE * ratio);
+        canvas.style.width = canvas.style.height = `${CROP_VIEW_SIZE}px`;
+        const ctx = canvas.getContext('2d');
+        const shortSide = Math.min(source.width, source.height);
+        
+        // Keep the crop square inside the picture
+        const clamp = () => {
+            crop.x = Math.min(Math.max(crop.x, 0), source.width - crop.size);
+            crop.y = Math.min(Math.max(crop.y, 0), source.height - crop.size);
+        };
+        const draw = () => {
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(source, crop.x, crop.y, crop.size, crop.size, 0, 0, canvas.width, canvas.height);
+        };
+        const setZoom = value => {
+            const centerX = crop.x + crop.size / 2;
+            const centerY = crop.y + crop.size / 2;
+            crop.size = shortSide / value;
+            crop.x = centerX - crop.size / 2;
+            crop.y = centerY - crop.size / 2;
+            clamp();
+            draw();
+        };
+        
+        zoom.addEventListener('input', () => setZoom(Number(zoom.value)));
+        canvas.addEventListener('wheel', e => {
+            e.preventDefault();
+            zoom.value = Math.min(Math.max(Number(zoom.value) - e.deltaY * 0.002, 1), CROP_MAX_ZOOM);
+            setZoom(Number(zoom.value));
+        }, { passive: false });
+        
+        let drag = null;
+        canvas.addEventListener('pointerdown', e => {
+            drag = { x: e.clientX, y: e.clientY };
+            canvas.setPointerCapture(e.pointerId);
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (!drag) return;
+            // Screen pixels -> source pixels at the current zoom
+            const scale = crop.size / CROP_VIEW_SIZE;
+            crop.x -= (e.clientX - drag.x) * scale;
+            crop.y -= (e.clientY - drag.y) * scale;
+            drag = { x: e.clientX, y: e.clientY };
+            clamp();
+            draw();
+        });
+        const endDrag = () => {
+            drag = null;
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+        
+        draw();
+    };
+    
+    input.addEventListener('change', async function() {
+        const file = this.files[0];
+        if (!file) return;
+        
+        try {
+            source = await window.imageService.loadAvatarFile(file);
+        } catch (error) {
+            this.value = '';
+            showCurrent();
+            showToast(error.message, 'error');
+            return;
+        }
+        
+        crop = window.imageService.getCenterCrop(source);
+        showCropper();
     });
+    
+    showCurrent();
+    
+    return {
+        read: () => (source ? window.imageService.createAvatar(source, { ...crop }) : Promise.resolve(null)),
+        reset: () => {
+            input.value = '';
+            showCurrent();
+        }
+    };
 }
 
 /**
@@ -450,8 +1790,8 @@ function initEditPage() {
     
     // Get bot data
     const bot = getBotById(botId);
-    if (!bot) {
-        showToast('Chatbot not found', 'error');
+    if (!bot || isHiddenBySfwOnly(bot)) {
+        showToast(bot ? 'This chatbot is NSFW and SFW-only mode is on' : 'Chatbot not found', 'error');
         setTimeout(() => {
             window.location.href = 'manage.html';
         }, 1500);
@@ -463,36 +1803,19 @@ function initEditPage() {
     document.getElementById('bot-description').value = bot.description;
     document.getElementById('bot-age-category').value = bot.ageCategory;
     document.getElementById('bot-chat-tone').value = bot.chatTone;
+    fillCharacterForm(bot);
+    fillGenerationForm(bot.generation);
+    initCustomToneFields();
+    initGenerationPlaceholders();
+    initPromptTemplateForm(bot);
+    applySfwOnlyToForm();
     
-    // Show image preview if available
-    const imagePreview = document.getElementById('image-preview');
-    if (imagePreview && bot.image) {
-        const img = document.createElement('img');
-        img.src = bot.image;
-        imagePreview.innerHTML = '';
-        imagePreview.appendChild(img);
-    }
-    
-    // Handle image upload preview
-    const imageInput = document.getElementById('bot-image');
-    if (imageInput && imagePreview) {
-        imageInput.addEventListener('change', function() {
-            const file = this.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = function(e) {
-                    const img = document.createElement('img');
-                    img.src = e.target.result;
-                    imagePreview.innerHTML = '';
-                    imagePreview.appendChild(img);
-                };
-                reader.readAsDataURL(file);
-            }
-        });
-    }
+    // Show the current image; a new upload replaces it
+    const avatar = initAvatarUpload(bot.image);
+    const revisionHistory = initRevisionHistory(bot);
     
     // Handle form submission
-    editForm.addEventListener('submit', function(e) {
+    editForm.addEventListener('submit', async function(e) {
         e.preventDefault();
         
         // Get form values
@@ -500,6 +1823,9 @@ function initEditPage() {
         const description = document.getElementById('bot-description').value.trim();
         const ageCategory = document.getElementById('bot-age-category').value;
         const chatTone = document.getElementById('bot-chat-tone').value;
+        const generation = readGenerationForm();
+        const { promptTemplate, instructions } = readPromptForm();
+        const character = readCharacterForm();
         
         // Validate
         if (!name || !description) {
@@ -507,11 +1833,20 @@ function initEditPage() {
             return;
         }
         
-        // Process image if provided
-        let imageBase64 = bot.image; // Keep existing image by default
-        const imagePreviewImg = imagePreview.querySelector('img');
-        if (imagePreviewImg && imagePreviewImg.src !== bot.image) {
-            imageBase64 = imagePreviewImg.src;
+        const generationError = validateGenerationSettings(generation) || validateCharacterFields(character);
+        if (generationError) {
+            showToast(generationError, 'error');
+            return;
+        }
+        
+        // Crop, resize and compress a new image; keep the existing one otherwise
+        let images;
+        try {
+            images = await avatar.read();
+        } catch (error) {
+            console.error('Could not process avatar:', error);
+            showToast(`Could not process the image: ${error.message}`, 'error');
+            return;
         }
         
         // Update bot object
@@ -521,12 +1856,19 @@ function initEditPage() {
             description,
             ageCategory,
             chatTone,
-            image: imageBase64,
+            ...character,
+            generation,
+            promptTemplate,
+            instructions,
+            ...(images || {}),
             updatedAt: Date.now()
         };
         
-        // Save to localStorage
-        saveBot(updatedBot);
+        // Save to storage
+        const noteInput = document.getElementById('revision-note');
+        saveBot(updatedBot, { note: noteInput ? noteInput.value.trim() : '' });
+        if (noteInput) noteInput.value = '';
+        revisionHistory.refresh();
         
         // Show success message
         showToast('Chatbot updated successfully!', 'success');
@@ -549,150 +1891,988 @@ function initEditPage() {
     });
 }
 
+// Explore page sort orders: URL value -> compare function (given chat stats)
+const EXPLORE_SORTS = {
+    created: () => (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+    name: () => (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }),
+    chatted: stats => (a, b) => ((stats[b.id] && stats[b.id].lastAt) || 0) - ((stats[a.id] && stats[a.id].lastAt) || 0),
+    messages: stats => (a, b) => ((stats[b.id] && stats[b.id].count) || 0) - ((stats[a.id] && stats[a.id].count) || 0)
+};
+
+// Explore filters kept in the URL query, with their defaults
+const EXPLORE_FILTER_DEFAULTS = {
+    q: '',
+    age: '',
+    tone: '',
+    tag: '',
+    sort: 'created'
+};
+
+/**
+ * Read the explore filters from the URL query
+ * @returns {Object} Filters (see EXPLORE_FILTER_DEFAULTS)
+ */
+function readExploreFilters() {
+    const filters = readUrlFilters(EXPLORE_FILTER_DEFAULTS);
+    if (!EXPLORE_SORTS[filters.sort]) filters.sort = EXPLORE_FILTER_DEFAULTS.sort;
+    return filters;
+}
+
+/**
+ * Put the explore filters in the URL query, so the view can be bookmarked
+ * @param {Object} filters Filters
+ */
+function writeExploreFilters(filters) {
+    writeUrlFilters(filters, EXPLORE_FILTER_DEFAULTS);
+}
+
+/**
+ * Whether a bot passes the explore filters
+ * @param {Object} bot Bot object
+ * @param {Object} filters Filters
+ * @returns {boolean} True if the bot should be listed
+ */
+function matchesExploreFilters(bot, filters) {
+    if (filters.age && getContentRating(bot) !== filters.age) return false;
+    if (filters.tone && getToneLabel(bot) !== filters.tone) return false;
+    if (filters.tag && !(bot.tags || []).includes(filters.tag)) return false;
+    
+    // Every search word must appear in the name, description or tags
+    const text = [bot.name, bot.description, ...(bot.tags || [])].join(' ').toLowerCase();
+    return filters.q.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+/**
+ * Content rating of a bot for filtering
+ * @param {Object} bot Bot object
+ * @returns {string} 'sfw' or 'nsfw'
+ */
+function getContentRating(bot) {
+    return bot.ageCategory === 'SFW (12+)' ? 'sfw' : 'nsfw';
+}
+
+/**
+ * Fill a filter select with options, keeping its current value if still offered
+ * @param {HTMLSelectElement} select Select element
+ * @param {string} allLabel Label of the "no filter" option
+ * @param {Array<string>} values Option values (also their labels)
+ * @param {string} selected Value to select
+ */
+function fillFilterSelect(select, allLabel, values, selected) {
+    const options = selected && !values.includes(selected) ? [...values, selected] : values;
+    select.innerHTML = `<option value="">${allLabel}</option>`
+        + options.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    select.value = selected;
+}
+
+/**
+ * Initialize the explore bots page
+ */
+function initExplorePage() {
+    const botsContainer = document.getElementById('bots-container');
+    if (!botsContainer) return;
+    
+    initShareDialog();
+    initSharePreview();
+    initExploreToolbar();
+    renderExploreBots();
+}
+
+/**
+ * Wire up the search, filter and sort controls (once per page)
+ */
+function initExploreToolbar() {
+    const toolbar = document.getElementById('explore-toolbar');
+    if (!toolbar || toolbar.dataset.ready) return;
+    toolbar.dataset.ready = 'true';
+    
+    const filters = readExploreFilters();
+    document.getElementById('explore-search').value = filters.q;
+    document.getElementById('explore-age').value = filters.age;
+    document.getElementById('explore-sort').value = filters.sort;
+    
+    const update = () => {
+        writeExploreFilters({
+            q: document.getElementById('explore-search').value.trim(),
+            age: document.getElementById('explore-age').value,
+            tone: document.getElementById('explore-tone').value,
+            tag: document.getElementById('explore-tag').value,
+            sort: document.getElementById('explore-sort').value
+        });
+        renderExploreBots();
+    };
+    
+    toolbar.querySelectorAll('select').forEach(select => select.addEventListener('change', update));
+    document.getElementById('explore-search').addEventListener('input', update);
+}
+
+/**
+ * Draw the explore grid for the filters in the URL
+ */
+function renderExploreBots() {
+    const botsContainer = document.getElementById('bots-container');
+    const toolbar = document.getElementById('explore-toolbar');
+    const countLine = document.getElementById('explore-count');
+    
+    // Get all bots (NSFW ones stay hidden in SFW-only mode)
+    const bots = getAllBots().filter(bot => !isHiddenBySfwOnly(bot));
+    if (toolbar) toolbar.hidden = bots.length === 0;
+    if (countLine) countLine.textContent = '';
+    
+    if (bots.length === 0 && getAllBots().length > 0) {
+        botsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-child"></i>
+                <h3>SFW-only Mode</h3>
+                <p>Your chatbots are all NSFW, so they are hidden. Turn off SFW-only mode in Settings to see them.</p>
+                <a href="settings.html" class="btn primary">Settings</a>
+            </div>
+        `;
+        return;
+    }
+    
+    if (bots.length === 0) {
+        botsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-robot"></i>
+                <h3>No Chatbots Yet</h3>
+                <p>Create your first AI companion to get started!</p>
+                <a href="create.html" class="btn primary">Create Chatbot</a>
+            </div>
+        `;
+        return;
+    }
+    
+    const filters = readExploreFilters();
+    if (toolbar) {
+        const tones = [...new Set(bots.map(getToneLabel))].sort((a, b) => a.localeCompare(b));
+        const tags = [...new Set(bots.flatMap(bot => bot.tags || []))].sort((a, b) => a.localeCompare(b));
+        fillFilterSelect(document.getElementById('explore-tone'), 'All tones', tones, filters.tone);
+        fillFilterSelect(document.getElementById('explore-tag'), 'All tags', tags, filters.tag);
+    }
+    
+    const matches = bots
+        .filter(bot => matchesExploreFilters(bot, filters))
+        .sort(EXPLORE_SORTS[filters.sort](getBotChatStats()));
+    if (countLine) {
+        countLine.textContent = matches.length === bots.length
+            ? `${bots.length} chatbot${bots.length === 1 ? '' : 's'}`
+            : `${matches.length} of ${bots.length} chatbots`;
+    }
+    
+    if (matches.length === 0) {
+        botsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-search"></i>
+                <h3>No Matches</h3>
+                <p>No chatbots match this search and these filters.</p>
+                <button type="button" class="btn primary explore-clear">Clear Filters</button>
+            </div>
+        `;
+        botsContainer.querySelector('.explore-clear').addEventListener('click', () => {
+            writeExploreFilters(EXPLORE_FILTER_DEFAULTS);
+            document.getElementById('explore-search').value = '';
+            document.getElementById('explore-age').value = '';
+            document.getElementById('explore-sort').value = EXPLORE_FILTER_DEFAULTS.sort;
+            renderExploreBots();
+        });
+        return;
+    }
+    
+    // Display bots
+    botsContainer.innerHTML = '';
+    const cardGrid = document.createElement('div');
+    cardGrid.className = 'card-grid';
+    
+    matches.forEach(bot => {
+        const botCard = document.createElement('div');
+        botCard.className = 'bot-card animate-fade-in';
+        
+        const categoryClass = bot.ageCategory === 'SFW (12+)' ? 'category-sfw' : 'category-nsfw';
+        
+        botCard.innerHTML = `
+            <div class="bot-image" style="background-image: url(${escapeHtml(JSON.stringify(bot.thumbnail || bot.image || 'img/default-bot.png'))}); background-size: cover; background-position: center;"></div>
+            <div class="bot-info">
+                <h3 class="bot-name">${escapeHtml(bot.name)}</h3>
+                <span class="bot-category ${categoryClass}">${escapeHtml(bot.ageCategory)}</span>
+                <p class="bot-description">${escapeHtml(bot.description.substring(0, 100))}${bot.description.length > 100 ? '...' : ''}</p>
+                ${bot.creatorNotes ? `<p class="bot-notes"><i class="fas fa-sticky-note"></i> ${escapeHtml(bot.creatorNotes)}</p>` : ''}
+                ${(bot.tags || []).length > 0 ? `<div class="bot-tags">${bot.tags.map(tag => `<button type="button" class="bot-tag" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('')}</div>` : ''}
+                <div class="bot-actions">
+                    <a href="chat.html?id=${encodeURIComponent(bot.id)}" class="btn primary">Talk</a>
+                    <button class="btn secondary share-btn" data-id="${escapeHtml(bot.id)}"><i class="fas fa-share-alt"></i> Share</button>
+                </div>
+            </div>
+        `;
+        
+        cardGrid.appendChild(botCard);
+    });
+    
+    botsContainer.appendChild(cardGrid);
+    
+    // Handle share button clicks
+    botsContainer.querySelectorAll('.share-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const bot = getBotById(this.getAttribute('data-id'));
+            if (bot) openShareDialog(bot);
+        });
+    });
+    
+    // Clicking a tag filters by it
+    botsContainer.querySelectorAll('.bot-tag').forEach(btn => {
+        btn.addEventListener('click', function() {
+            writeExploreFilters({ ...readExploreFilters(), tag: this.getAttribute('data-tag') });
+            renderExploreBots();
+        });
+    });
+}
+
+// Share links longer than this may be cut off by chat apps and mail clients
+const SHARE_LINK_WARN_LENGTH = 2000;
+
+// Bot the share dialog is showing, and a counter so a slow link build
+// cannot overwrite a newer one
+let sharingBot = null;
+let shareLinkRequest = 0;
+
+/**
+ * Wire up the share dialog's controls (once per page)
+ */
+function initShareDialog() {
+    const dialog = document.getElementById('share-dialog');
+    if (!dialog || dialog.dataset.ready) return;
+    dialog.dataset.ready = 'true';
+    
+    const includeAvatar = document.getElementById('share-include-avatar');
+    const linkField = document.getElementById('share-link');
+    const publishBtn = document.getElementById('share-publish');
+    
+    includeAvatar.addEventListener('change', updateShareLink);
+    
+    document.getElementById('share-copy').addEventListener('click', () => {
+        if (!linkField.value) return;
+        navigator.clipboard.writeText(linkField.value).then(() => {
+            showToast('Link copied to clipboard!', 'success');
+        }).catch(err => {
+            console.error('Could not copy text: ', err);
+            linkField.select();
+            showToast('Failed to copy link', 'error');
+        });
+    });
+    
+    publishBtn.addEventListener('click', async () => {
+        const request = ++shareLinkRequest;
+        publishBtn.disabled = true;
+        try {
+            const link = await window.cardService.publishShare(sharingBot, { includeImage: includeAvatar.checked });
+            if (request !== shareLinkRequest) return;
+            showShareLink(link, 'Short link to a copy published on the backend. Anyone with it can import the chatbot; later edits are not included.');
+        } catch (error) {
+            console.error('Could not publish share:', error);
+            showToast(`Could not publish: ${error.message}`, 'error');
+        } finally {
+            publishBtn.disabled = false;
+        }
+    });
+    
+    document.getElementById('share-close').addEventListener('click', () => {
+        dialog.close();
+    });
+}
+
+/**
+ * Open the share dialog for a bot
+ * @param {Object} bot Bot to share
+ */
+function openShareDialog(bot) {
+    const dialog = document.getElementById('share-dialog');
+    sharingBot = bot;
+    
+    document.getElementById('share-bot-name').textContent = bot.name;
+    document.getElementById('share-include-avatar').checked = false;
+    updateShareLink();
+    dialog.showModal();
+}
+
+/**
+ * Rebuild the share link for the bot in the share dialog
+ */
+async function updateShareLink() {
+    const request = ++shareLinkRequest;
+    const includeImage = document.getElementById('share-include-avatar').checked;
+    showShareLink('', 'Building link...');
+    
+    try {
+        const link = await window.cardService.createShareLink(sharingBot, { includeImage });
+        if (request !== shareLinkRequest) return;
+        
+        const info = link.length > SHARE_LINK_WARN_LENGTH
+            ? `${link.length.toLocaleString()} characters - long enough that some apps may cut it off. Leave out the avatar or publish for a short link.`
+            : `${link.length.toLocaleString()} characters. The chatbot travels inside the link; nothing is uploaded.`;
+        showShareLink(link, info);
+    } catch (error) {
+        console.error('Could not build share link:', error);
+        showShareLink('', `Could not build the link: ${error.message}`);
+    }
+}
+
+/**
+ * Show a link in the share dialog
+ * @param {string} link Share link
+ * @param {string} info Note under the link
+ */
+function showShareLink(link, info) {
+    document.getElementById('share-link').value = link;
+    document.getElementById('share-link-info').textContent = info;
+}
+
+/**
+ * Re-encode an imported bot's avatar (the card PNG or a shared data URL) in
+ * the avatar sizes, as an upload would be. An avatar that cannot be read is
+ * dropped so the bot falls back to the default picture.
+ * @param {Object} bot Imported bot; its image and thumbnail are replaced
+ * @returns {Promise<Object>} The same bot
+ */
+async function prepareImportedAvatar(bot) {
+    if (!bot.image || !window.imageService) return bot;
+    
+    try {
+        const source = await window.imageService.loadAvatarDataUrl(bot.image, `The avatar of ${bot.name}`);
+        Object.assign(bot, await window.imageService.createAvatar(source));
+    } catch (error) {
+        console.error(`Could not import the avatar of ${bot.name}:`, error);
+        showToast(`${error.message}; ${bot.name} gets the default avatar`, 'error');
+        bot.image = null;
+        bot.thumbnail = null;
+    }
+    return bot;
+}
+
+/**
+ * Show the import preview if the page was opened from a share link
+ */
+async function initSharePreview() {
+    const panel = document.getElementById('share-preview');
+    if (!panel || !window.cardService || panel.dataset.ready) return;
+    panel.dataset.ready = 'true';
+    
+    let bot;
+    try {
+        bot = await window.cardService.readShareLink(window.location);
+        if (bot) await prepareImportedAvatar(bot);
+    } catch (error) {
+        console.error('Could not read share link:', error);
+        showToast(error.message, 'error');
+        clearShareLink();
+        return;
+    }
+    if (!bot) return;
+    
+    const categoryClass = bot.ageCategory === 'SFW (12+)' ? 'category-sfw' : 'category-nsfw';
+    const blocked = isHiddenBySfwOnly(bot);
+    
+    panel.innerHTML = `
+        <div class="share-preview-image"></div>
+        <div class="share-preview-info">
+            <p class="share-preview-label"><i class="fas fa-share-alt"></i> Shared with you</p>
+            <h3 class="bot-name">${escapeHtml(bot.name)}</h3>
+            <span class="bot-category ${categoryClass}">${escapeHtml(bot.ageCategory)}</span>
+            <span class="share-preview-tone">${escapeHtml(getToneLabel(bot))}</span>
+            <p class="bot-description">${escapeHtml(bot.description)}</p>
+            ${bot.creatorNotes ? `<p class="bot-notes"><i class="fas fa-sticky-note"></i> ${escapeHtml(bot.creatorNotes)}</p>` : ''}
+            ${bot.greeting ? `<p class="share-preview-greeting">"${escapeHtml(bot.greeting)}"</p>` : ''}
+            ${blocked ? '<p class="settings-description">This chatbot is NSFW. Turn off SFW-only mode in Settings to add it.</p>' : ''}
+            <div class="bot-actions">
+                <button type="button" class="btn secondary share-preview-dismiss">Dismiss</button>
+                <button type="button" class="btn primary share-preview-add"${blocked ? ' disabled' : ''}><i class="fas fa-plus"></i> Add to My Chatbots</button>
+            </div>
+        </div>
+    `;
+    panel.querySelector('.share-preview-image').style.backgroundImage = `url(${JSON.stringify(bot.image || 'img/default-bot.png')})`;
+    panel.hidden = false;
+    
+    panel.querySelector('.share-preview-dismiss').addEventListener('click', () => {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        clearShareLink();
+    });
+    
+    panel.querySelector('.share-preview-add').addEventListener('click', () => {
+        saveBot(bot);
+        clearShareLink();
+        showToast(`${bot.name} added to your chatbots`, 'success');
+        window.storageService.flush().then(() => {
+            setTimeout(() => {
+                window.location.href = `chat.html?id=${bot.id}`;
+            }, 1000);
+        });
+    });
+}
+
+/**
+ * Drop the share link from the address bar so a reload does not offer
+ * the import again (explore filters in the query stay)
+ */
+function clearShareLink() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('share');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Initialize the manage bots page
+ */
+function initManagePage() {
+    const botsContainer = document.getElementById('manage-bots-container');
+    if (!botsContainer) return;
+    
+    initCardImport();
+    initBulkActions();
+    initTrash();
+    renderManageBots();
+}
+
+/**
+ * Draw the list of bots on the manage page
+ * @param {Array<string>} [selectedIds] Bots to show ticked
+ */
+function renderManageBots(selectedIds = []) {
+    const botsContainer = document.getElementById('manage-bots-container');
+    const toolbar = document.getElementById('bulk-toolbar');
+    
+    // Get all bots (NSFW ones stay hidden in SFW-only mode)
+    const bots = getAllBots().filter(bot => !isHiddenBySfwOnly(bot));
+    if (toolbar) toolbar.hidden = bots.length === 0;
+    
+    if (bots.length === 0 && getAllBots().length > 0) {
+        botsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-child"></i>
+                <h3>SFW-only Mode</h3>
+                <p>Your chatbots are all NSFW, so they are hidden. Turn off SFW-only mode in Settings to see them.</p>
+                <a href="settings.html" class="btn primary">Settings</a>
+            </div>
+        `;
+        return;
+    }
+    
+    if (bots.length === 0) {
+        botsContainer.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-robot"></i>
+                <h3>No Chatbots Yet</h3>
+                <p>Create your first AI companion to get started!</p>
+                <a href="create.html" class="btn primary">Create Chatbot</a>
+            </div>
+        `;
+        return;
+    }
+    
+    // Display bots
+    botsContainer.innerHTML = '';
+    
+    bots.forEach(bot => {
+        const botItem = document.createElement('div');
+        botItem.className = 'manage-bot-item';
+        botItem.innerHTML = `
+            <div class="bot-info">
+                <input type="checkbox" class="bot-select" value="${escapeHtml(bot.id)}"${selectedIds.includes(bot.id) ? ' checked' : ''} aria-label="Select ${escapeHtml(bot.name)}">
+                <img src="${escapeHtml(bot.thumbnail || bot.image || 'img/default-bot.png')}" alt="${escapeHtml(bot.name)}" class="bot-avatar">
+                <div>
+                    <h3>${escapeHtml(bot.name)}</h3>
+                    <span class="bot-category ${bot.ageCategory === 'SFW (12+)' ? 'category-sfw' : 'category-nsfw'}">${escapeHtml(bot.ageCategory)}</span>
+                    <p class="bot-tone">Tone: ${escapeHtml(getToneLabel(bot))}</p>
+                </div>
+            </div>
+            <div class="bot-actions">
+                <a href="edit.html?id=${encodeURIComponent(bot.id)}" class="btn secondary"><i class="fas fa-edit"></i> Edit</a>
+                <a href="chat.html?id=${encodeURIComponent(bot.id)}" class="btn primary"><i class="fas fa-comment"></i> Chat</a>
+                <button class="btn secondary export-btn" data-id="${escapeHtml(bot.id)}" data-format="json" title="Export as a JSON character card"><i class="fas fa-file-code"></i> JSON</button>
+                <button class="btn secondary export-btn" data-id="${escapeHtml(bot.id)}" data-format="png" title="Export as a PNG character card"><i class="fas fa-file-image"></i> PNG</button>
+                <button class="btn danger delete-btn" data-id="${escapeHtml(bot.id)}"><i class="fas fa-trash"></i> Delete</button>
+            </div>
+        `;
+        
+        botsContainer.appendChild(botItem);
+    });
+    
+    botsContainer.querySelectorAll('.bot-select').forEach(input => {
+        input.addEventListener('change', updateBulkToolbar);
+    });
+    
+    // Handle export button clicks
+    botsContainer.querySelectorAll('.export-btn').forEach(btn => {
+        btn.addEventListener('click', async function() {
+            const bot = getBotById(this.getAttribute('data-id'));
+            const format = this.getAttribute('data-format');
+            if (!bot || !window.cardService) return;
+            
+            try {
+                const blob = format === 'png'
+                    ? await window.cardService.exportCardPng(bot)
+                    : window.cardService.exportCardJson(bot);
+                downloadBlob(blob, window.cardService.getCardFileName(bot, format));
+            } catch (error) {
+                console.error('Card export failed:', error);
+                showToast(`Could not export "${bot.name}": ${error.message}`, 'error');
+            }
+        });
+    });
+    
+    // Handle delete button clicks (the trash's Undo stands in for a confirmation)
+    botsContainer.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            trashBots([this.getAttribute('data-id')]);
+        });
+    });
+    
+    updateBulkToolbar();
+}
+
+/**
+ * IDs of the bots ticked on the manage page
+ * @returns {Array<string>} Chatbot IDs
+ */
+function getSelectedBotIds() {
+    return Array.from(document.querySelectorAll('.bot-select:checked')).map(input => input.value);
+}
+
+/**
+ * Show how many bots are ticked and enable the bulk buttons to match
+ */
+function updateBulkToolbar() {
+    const total = document.querySelectorAll('.bot-select').length;
+    const selected = getSelectedBotIds().length;
+    const count = document.getElementById('bulk-count');
+    const selectAll = document.getElementById('bulk-select-all');
+    
+    if (count) count.textContent = selected > 0 ? `${selected} selected` : 'Select all';
+    if (selectAll) {
+        selectAll.checked = total > 0 && selected === total;
+        selectAll.indeterminate = selected > 0 && selected < total;
+    }
+    document.querySelectorAll('.bulk-action').forEach(button => {
+        button.disabled = selected === 0;
+    });
+}
+
+/**
+ * Move chatbots to the trash and offer to undo it
+ * @param {Array<string>} ids Chatbot IDs
+ */
+function trashBots(ids) {
+    const names = ids.map(id => getBotById(id)).filter(Boolean).map(bot => bot.name);
+    const deleted = ids.filter(id => deleteBot(id));
+    
+    if (deleted.length === 0) {
+        showToast('Failed to delete chatbot', 'error');
+        return;
+    }
+    
+    const message = deleted.length === 1
+        ? `Moved "${names[0]}" to the trash`
+        : `Moved ${deleted.length} chatbots to the trash`;
+    showToast(message, 'success', {
+        label: 'Undo',
+        onClick: async () => {
+            const restored = await restoreFromTrash(deleted);
+            if (restored.length === 0) {
+                showToast('Could not restore from the trash', 'error');
+                return;
+            }
+            showToast(`Restored ${restored.length === 1 ? `"${restored[0].name}"` : `${restored.length} chatbots`}`, 'success');
+            renderManageBots(restored.map(bot => bot.id));
+            renderTrash();
+        }
+    });
+    
+    renderManageBots();
+    renderTrash();
+}
+
+/**
+ * Add or remove tags on every ticked bot
+ * @param {Array<string>} tags Normalized tags
+ * @param {boolean} add True to add them, false to remove them
+ * @returns {number} How many bots changed
+ */
+function tagSelectedBots(tags, add) {
+    const now = Date.now();
+    let changed = 0;
+    
+    getSelectedBotIds().map(id => getBotById(id)).filter(Boolean).forEach(bot => {
+        const current = bot.tags || [];
+        const next = add
+            ? normalizeTags([...current, ...tags])
+            : current.filter(tag => !tags.includes(tag));
+        if (JSON.stringify(next) === JSON.stringify(current)) return;
+        
+        saveBot({ ...bot, tags: next, updatedAt: now }, {
+            note: `${add ? 'Added' : 'Removed'} tags: ${tags.join(', ')}`
+        });
+        changed++;
+    });
+    
+    return changed;
+}
+
+/**
+ * Wire up the select-all box and bulk buttons on the manage page
+ */
+function initBulkActions() {
+    const toolbar = document.getElementById('bulk-toolbar');
+    if (!toolbar || toolbar.dataset.ready) return;
+    toolbar.dataset.ready = 'true';
+    
+    const plural = count => `${count} chatbot${count === 1 ? '' : 's'}`;
+    
+    document.getElementById('bulk-select-all').addEventListener('change', function() {
+        document.querySelectorAll('.bot-select').forEach(input => {
+            input.checked = this.checked;
+        });
+        updateBulkToolbar();
+    });
+    
+    document.getElementById('bulk-delete').addEventListener('click', () => {
+        trashBots(getSelectedBotIds());
+    });
+    
+    // One backup-format file, so the Settings page can restore it
+    document.getElementById('bulk-export').addEventListener('click', () => {
+        const backup = createBackup(getSelectedBotIds());
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `crave-ai-chatbots-${backup.exportedAt.slice(0, 10)}.json`);
+        showToast(`Exported ${plural(backup.bots.length)} with their chats; restore the file from Settings`, 'success');
+    });
+    
+    document.getElementById('bulk-duplicate').addEventListener('click', () => {
+        const copies = getSelectedBotIds().map(id => getBotById(id)).filter(Boolean).map(bot => duplicateBot(bot));
+        showToast(`Duplicated ${plural(copies.length)}`, 'success');
+        renderManageBots(copies.map(bot => bot.id));
+    });
+    
+    const tagInput = document.getElementById('bulk-tags');
+    const changeTags = add => {
+        const tags = normalizeTags(tagInput.value.split(','));
+        if (tags.length === 0) {
+            showToast('Enter one or more tags, separated by commas', 'error');
+            tagInput.focus();
+            return;
+        }
+        
+        const selected = getSelectedBotIds();
+        const changed = tagSelectedBots(tags, add);
+        tagInput.value = '';
+        showToast(changed > 0 ? `Updated the tags of ${plural(changed)}` : 'No tags changed', changed > 0 ? 'success' : 'info');
+        renderManageBots(selected);
+    };
+    document.getElementById('bulk-tag-add').addEventListener('click', () => changeTags(true));
+    document.getElementById('bulk-tag-remove').addEventListener('click', () => changeTags(false));
+    tagInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            if (getSelectedBotIds().length > 0) changeTags(true);
+        }
+    });
+}
+
 /**
- * Initialize the explore bots page
+ * Wire up the trash on the manage page
  */
-function initExplorePage() {
-    const botsContainer = document.getElementById('bots-container');
-    if (!botsContainer) return;
+function initTrash() {
+    const toggle = document.getElementById('trash-toggle');
+    const section = document.getElementById('trash-section');
+    const list = document.getElementById('trash-list');
+    if (!toggle || !section || !list || toggle.dataset.ready) return;
+    toggle.dataset.ready = 'true';
     
-    // Get all bots
-    const bots = getAllBots();
+    toggle.addEventListener('click', () => {
+        section.hidden = !section.hidden;
+        toggle.setAttribute('aria-expanded', String(!section.hidden));
+    });
     
-    if (bots.length === 0) {
-        botsContainer.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-robot"></i>
-                <h3>No Chatbots Yet</h3>
-                <p>Create your first AI companion to get started!</p>
-                <a href="create.html" class="btn primary">Create Chatbot</a>
-            </div>
-        `;
+    list.addEventListener('click', async event => {
+        const button = event.target.closest('button[data-id]');
+        if (!button) return;
+        const id = button.getAttribute('data-id');
+        const name = button.closest('.trash-item').querySelector('h4').textContent;
+        
+        if (button.getAttribute('data-action') === 'restore') {
+            const restored = await restoreFromTrash([id]);
+            if (restored.length === 0) return;
+            showToast(`Restored "${restored[0].name}"`, 'success');
+            renderManageBots();
+        } else {
+            if (!confirm(`Delete "${name}" for good? Its chat history goes too, and this cannot be undone.`)) return;
+            window.storageService.removeFromTrash([id]);
+            showToast(`Deleted "${name}" for good`, 'success');
+        }
+        renderTrash();
+    });
+    
+    document.getElementById('trash-empty').addEventListener('click', async () => {
+        const ids = Array.from(list.querySelectorAll('button[data-action="purge"]')).map(button => button.getAttribute('data-id'));
+        if (ids.length === 0) return;
+        if (!confirm(`Delete the ${ids.length} chatbot${ids.length === 1 ? '' : 's'} in the trash for good? Their chat history goes too, and this cannot be undone.`)) return;
+        
+        window.storageService.removeFromTrash(ids);
+        showToast('Trash emptied', 'success');
+        renderTrash();
+    });
+    
+    renderTrash();
+}
+
+/**
+ * Draw the trash list and its count (NSFW bots stay hidden in SFW-only mode)
+ */
+async function renderTrash() {
+    const list = document.getElementById('trash-list');
+    if (!list) return;
+    
+    const entries = (await window.storageService.getTrash()).filter(entry => !isHiddenBySfwOnly(entry.bot));
+    const retentionDays = getTrashRetentionDays();
+    
+    document.getElementById('trash-count').textContent = entries.length > 0 ? `(${entries.length})` : '';
+    document.getElementById('trash-retention').textContent = `${retentionDays} day${retentionDays === 1 ? '' : 's'}`;
+    document.getElementById('trash-empty').disabled = entries.length === 0;
+    
+    if (entries.length === 0) {
+        list.innerHTML = '<p class="trash-note">The trash is empty.</p>';
         return;
     }
     
-    // Display bots
-    botsContainer.innerHTML = '';
-    const cardGrid = document.createElement('div');
-    cardGrid.className = 'card-grid';
-    
-    bots.forEach(bot => {
-        const botCard = document.createElement('div');
-        botCard.className = 'bot-card animate-fade-in';
-        
-        const categoryClass = bot.ageCategory === 'SFW (12+)' ? 'category-sfw' : 'category-nsfw';
-        
-        botCard.innerHTML = `
-            <div class="bot-image" style="background-image: url('${bot.image || 'img/default-bot.png'}'); background-size: cover; background-position: center;"></div>
-            <div class="bot-info">
-                <h3 class="bot-name">${bot.name}</h3>
-                <span class="bot-category ${categoryClass}">${bot.ageCategory}</span>
-                <p class="bot-description">${bot.description.substring(0, 100)}${bot.description.length > 100 ? '...' : ''}</p>
-                <div class="bot-actions">
-                    <a href="chat.html?id=${bot.id}" class="btn primary">Talk</a>
-                    <button class="btn secondary share-btn" data-id="${bot.id}"><i class="fas fa-share-alt"></i> Share</button>
+    list.innerHTML = entries.map(entry => {
+        const { id, deletedAt, bot } = entry;
+        const messages = Object.values(getTrashChats(entry)).reduce((total, history) => total + history.length, 0);
+        const daysLeft = Math.ceil((deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS);
+        return `
+            <div class="trash-item">
+                <img src="${escapeHtml(bot.thumbnail || bot.image || 'img/default-bot.png')}" alt="" class="bot-avatar">
+                <div class="trash-info">
+                    <h4>${escapeHtml(bot.name)}</h4>
+                    <p>Deleted ${formatDate(deletedAt)} &middot; ${messages} message${messages === 1 ? '' : 's'} &middot; ${daysLeft > 1 ? `gone for good in ${daysLeft} days` : 'gone for good within a day'}</p>
+                </div>
+                <div class="trash-actions">
+                    <button class="btn secondary" data-action="restore" data-id="${escapeHtml(id)}"><i class="fas fa-undo"></i> Restore</button>
+                    <button class="btn danger" data-action="purge" data-id="${escapeHtml(id)}"><i class="fas fa-times"></i> Delete Forever</button>
                 </div>
             </div>
         `;
+    }).join('');
+}
+
+/**
+ * Wire up the character card import on the manage page.
+ * Every file becomes a new bot; files that fail are reported and skipped.
+ */
+function initCardImport() {
+    const input = document.getElementById('import-cards');
+    if (!input || !window.cardService || input.dataset.ready) return;
+    input.dataset.ready = 'true';
+    
+    input.addEventListener('change', async function() {
+        const files = Array.from(this.files);
+        this.value = '';
         
-        cardGrid.appendChild(botCard);
+        const imported = [];
+        for (const file of files) {
+            try {
+                imported.push(saveBot(await prepareImportedAvatar(await window.cardService.importCardFile(file))));
+            } catch (error) {
+                console.error(`Could not import ${file.name}:`, error);
+                showToast(`Could not import ${file.name}: ${error.message}`, 'error');
+            }
+        }
+        
+        if (imported.length === 0) return;
+        
+        const hidden = imported.filter(isHiddenBySfwOnly).length;
+        showToast(`Imported ${imported.map(bot => bot.name).join(', ')}${hidden ? ` (${hidden} hidden by SFW-only mode)` : ''}`, 'success');
+        initManagePage();
     });
+}
+
+// Search page filters kept in the URL query, with their defaults
+const SEARCH_FILTER_DEFAULTS = {
+    q: '',
+    bot: '',
+    sender: '',
+    from: '',
+    to: ''
+};
+
+// Results shown at first, and how many more each Show more adds
+const SEARCH_PAGE_SIZE = 50;
+
+// Characters of a long message shown around its first match
+const SEARCH_SNIPPET_LENGTH = 180;
+
+// How many results are on screen; a new search starts over
+let searchResultLimit = SEARCH_PAGE_SIZE;
+
+/**
+ * Initialize the search page
+ */
+function initSearchPage() {
+    const toolbar = document.getElementById('search-toolbar');
+    if (!toolbar || toolbar.dataset.ready) return;
+    toolbar.dataset.ready = 'true';
     
-    botsContainer.appendChild(cardGrid);
+    const filters = readUrlFilters(SEARCH_FILTER_DEFAULTS);
+    const queryInput = document.getElementById('search-query');
+    const botSelect = document.getElementById('search-bot');
+    const senderSelect = document.getElementById('search-sender');
+    const fromInput = document.getElementById('search-from');
+    const toInput = document.getElementById('search-to');
     
-    // Handle share button clicks
-    document.querySelectorAll('.share-btn').forEach(btn => {
-        btn.addEventListener('click', function() {
-            const botId = this.getAttribute('data-id');
-            const shareUrl = `${window.location.origin}/chat.html?id=${botId}`;
-            
-            // Copy to clipboard
-            navigator.clipboard.writeText(shareUrl).then(() => {
-                showToast('Link copied to clipboard!', 'success');
-            }).catch(err => {
-                console.error('Could not copy text: ', err);
-                showToast('Failed to copy link', 'error');
-            });
-        });
+    // NSFW bots stay hidden in SFW-only mode
+    const bots = getAllBots()
+        .filter(bot => !isHiddenBySfwOnly(bot))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    botSelect.innerHTML = '<option value="">All chatbots</option>'
+        + bots.map(bot => `<option value="${escapeHtml(bot.id)}">${escapeHtml(bot.name)}</option>`).join('');
+    
+    queryInput.value = filters.q;
+    botSelect.value = filters.bot;
+    senderSelect.value = filters.sender;
+    fromInput.value = filters.from;
+    toInput.value = filters.to;
+    
+    const update = () => {
+        writeUrlFilters({
+            q: queryInput.value.trim(),
+            bot: botSelect.value,
+            sender: senderSelect.value,
+            from: fromInput.value,
+            to: toInput.value
+        }, SEARCH_FILTER_DEFAULTS);
+        searchResultLimit = SEARCH_PAGE_SIZE;
+        renderSearchResults();
+    };
+    
+    toolbar.querySelectorAll('select, input[type="date"]').forEach(control => control.addEventListener('change', update));
+    queryInput.addEventListener('input', update);
+    
+    document.getElementById('search-more').addEventListener('click', () => {
+        searchResultLimit += SEARCH_PAGE_SIZE;
+        renderSearchResults();
     });
+    
+    renderSearchResults();
 }
 
 /**
- * Initialize the manage bots page
+ * List the messages matching the search in the URL. Each hit links to its
+ * message in the chat page.
  */
-function initManagePage() {
-    const botsContainer = document.getElementById('manage-bots-container');
-    if (!botsContainer) return;
+function renderSearchResults() {
+    const list = document.getElementById('search-results');
+    const countLine = document.getElementById('search-count');
+    const moreButton = document.getElementById('search-more');
+    if (!list) return;
     
-    // Get all bots
-    const bots = getAllBots();
+    const filters = readUrlFilters(SEARCH_FILTER_DEFAULTS);
+    moreButton.hidden = true;
     
-    if (bots.length === 0) {
-        botsContainer.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-robot"></i>
-                <h3>No Chatbots Yet</h3>
-                <p>Create your first AI companion to get started!</p>
-                <a href="create.html" class="btn primary">Create Chatbot</a>
-            </div>
+    if (!filters.q) {
+        countLine.textContent = '';
+        list.innerHTML = `
+            <li class="search-hint">
+                Search every message of every chat. Words must all appear;
+                <code>word*</code> also finds words that start with "word", and
+                <code>"some words"</code> finds them together, in that order.
+            </li>
         `;
         return;
     }
     
-    // Display bots
-    botsContainer.innerHTML = '';
+    // Date inputs give local calendar days; "to" includes the whole day
+    const from = filters.from ? new Date(`${filters.from}T00:00`).getTime() || -Infinity : -Infinity;
+    const to = filters.to ? new Date(`${filters.to}T00:00`).getTime() + DAY_MS || Infinity : Infinity;
+    const bots = new Map(getAllBots().filter(bot => !isHiddenBySfwOnly(bot)).map(bot => [bot.id, bot]));
     
-    bots.forEach(bot => {
-        const botItem = document.createElement('div');
-        botItem.className = 'manage-bot-item';
-        botItem.innerHTML = `
-            <div class="bot-info">
-                <img src="${bot.image || 'img/default-bot.png'}" alt="${bot.name}" class="bot-avatar">
-                <div>
-                    <h3>${bot.name}</h3>
-                    <span class="bot-category ${bot.ageCategory === 'SFW (12+)' ? 'category-sfw' : 'category-nsfw'}">${bot.ageCategory}</span>
-                    <p class="bot-tone">Tone: ${bot.chatTone}</p>
-                </div>
-            </div>
-            <div class="bot-actions">
-                <a href="edit.html?id=${bot.id}" class="btn secondary"><i class="fas fa-edit"></i> Edit</a>
-                <a href="chat.html?id=${bot.id}" class="btn primary"><i class="fas fa-comment"></i> Chat</a>
-                <button class="btn danger delete-btn" data-id="${bot.id}"><i class="fas fa-trash"></i> Delete</button>
-            </div>
+    const results = window.searchService.search(filters.q, {
+        filter: message => {
+            const botId = getThreadBotId(message.threadId);
+            return bots.has(botId)
+                && (!filters.bot || botId === filters.bot)
+                && (!filters.sender || message.sender === filters.sender)
+                && message.timestamp >= from
+                && message.timestamp < to;
+        }
+    });
+    
+    countLine.textContent = results.length === 0
+        ? 'No messages match your search'
+        : `${results.length} message${results.length === 1 ? '' : 's'} found`;
+    
+    // Thread titles, looked up once per bot
+    const titles = new Map();
+    const getTitle = threadId => {
+        if (!titles.has(threadId)) {
+            getBotThreads(getThreadBotId(threadId)).forEach(thread => titles.set(thread.id, thread.title));
+        }
+        return titles.get(threadId) || 'New chat';
+    };
+    
+    list.innerHTML = results.slice(0, searchResultLimit).map(result => {
+        const bot = bots.get(getThreadBotId(result.threadId));
+        const link = `chat.html?id=${encodeURIComponent(bot.id)}&thread=${encodeURIComponent(result.threadId)}&message=${result.index}`;
+        return `
+            <li class="search-result">
+                <a href="${link}">
+                    <img src="${escapeHtml(bot.thumbnail || bot.image || 'img/default-bot.png')}" alt="" class="bot-avatar">
+                    <div class="search-result-body">
+                        <div class="search-result-meta">
+                            <strong>${escapeHtml(bot.name)}</strong>
+                            <span>${escapeHtml(getTitle(result.threadId))}</span>
+                            <span>${result.sender === 'user' ? 'You' : escapeHtml(bot.name)} &middot; ${formatDate(result.timestamp)}</span>
+                        </div>
+                        <p class="search-snippet">${createSearchSnippet(result.text, result.highlights)}</p>
+                    </div>
+                </a>
+            </li>
         `;
+    }).join('');
+    
+    moreButton.hidden = results.length <= searchResultLimit;
+}
+
+/**
+ * The part of a message around its first match, with the matches marked
+ * @param {string} text Message text
+ * @param {Array<[number, number]>} highlights Matched character ranges, in order
+ * @returns {string} HTML
+ */
+function createSearchSnippet(text, highlights) {
+    let start = 0;
+    let end = text.length;
+    
+    if (text.length > SEARCH_SNIPPET_LENGTH) {
+        const [firstStart, firstEnd] = highlights[0] || [0, 0];
+        start = Math.max(0, Math.min(firstStart - Math.floor(SEARCH_SNIPPET_LENGTH / 3), text.length - SEARCH_SNIPPET_LENGTH));
+        end = start + SEARCH_SNIPPET_LENGTH;
         
-        botsContainer.appendChild(botItem);
-    });
+        // Cut at spaces rather than inside words
+        const startSpace = text.indexOf(' ', start);
+        if (start > 0 && startSpace !== -1 && startSpace < firstStart) start = startSpace + 1;
+        const endSpace = text.lastIndexOf(' ', end);
+        if (end < text.length && endSpace > firstEnd) end = endSpace;
+    }
     
-    // Handle delete button clicks
-    document.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', function() {
-            const botId = this.getAttribute('data-id');
-            const bot = getBotById(botId);
-            
-            if (confirm(`Are you sure you want to delete "${bot.name}"? This will also delete all chat history.`)) {
-                if (deleteBot(botId)) {
-                    showToast('Chatbot deleted successfully', 'success');
-                    // Remove from DOM
-                    this.closest('.manage-bot-item').remove();
-                    
-                    // Check if there are no more bots
-                    if (getAllBots().length === 0) {
-                        botsContainer.innerHTML = `
-                            <div class="empty-state">
-                                <i class="fas fa-robot"></i>
-                                <h3>No Chatbots Yet</h3>
-                                <p>Create your first AI companion to get started!</p>
-                                <a href="create.html" class="btn primary">Create Chatbot</a>
-                            </div>
-                        `;
-                    }
-                } else {
-                    showToast('Failed to delete chatbot', 'error');
-                }
-            }
-        });
+    let html = start > 0 ? '&hellip;' : '';
+    let position = start;
+    highlights.forEach(([from, to]) => {
+        if (to <= start || from >= end) return;
+        from = Math.max(from, start);
+        to = Math.min(to, end);
+        html += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+        position = to;
     });
+    html += escapeHtml(text.slice(position, end));
+    return end < text.length ? `${html}&hellip;` : html;
 }
 
 /**
@@ -716,8 +2896,8 @@ function initChatPage() {
     
     // Get bot data
     const bot = getBotById(botId);
-    if (!bot) {
-        showToast('Chatbot not found', 'error');
+    if (!bot || isHiddenBySfwOnly(bot)) {
+        showToast(bot ? 'This chatbot is NSFW and SFW-only mode is on' : 'Chatbot not found', 'error');
         setTimeout(() => {
             window.location.href = 'explore.html';
         }, 1500);
@@ -728,51 +2908,109 @@ function initChatPage() {
     const chatHeader = document.querySelector('.chat-header');
     if (chatHeader) {
         chatHeader.innerHTML = `
-            <img src="${bot.image || 'img/default-bot.png'}" alt="${bot.name}">
-            <h2>${bot.name}</h2>
+            <img src="${escapeHtml(bot.image || 'img/default-bot.png')}" alt="${escapeHtml(bot.name)}">
+            <h2>${escapeHtml(bot.name)}</h2>
+            <span class="connection-status checking">
+                <span class="status-dot"></span>
+                <span class="status-text">Connecting...</span>
+            </span>
+            <button type="button" class="chat-header-btn branch-tree-btn" title="Conversation branches"><i class="fas fa-code-branch"></i></button>
+            <button type="button" class="chat-header-btn export-btn" title="Export this conversation"><i class="fas fa-file-export"></i></button>
         `;
     }
     
-    // Load chat history
+    // Show whether replies come from the AI backend
+    const refreshConnectionStatus = initConnectionStatus(
+        chatHeader ? chatHeader.querySelector('.connection-status') : null,
+        bot
+    );
+    
     const chatMessages = document.querySelector('.chat-messages');
-    const chatHistory = getChatHistory(botId);
+    const threadList = document.getElementById('thread-list');
+    
+    // Open the thread named in the URL, else the one used last
+    const threads = getBotThreads(botId);
+    let threadId = threads.some(thread => thread.id === params.thread)
+        ? params.thread
+        : (threads.length > 0 ? threads[0].id : botId);
+    if (params.thread && threadId !== params.thread) {
+        showToast('That conversation no longer exists - opened the latest one', 'info');
+    }
     
     // store global ref object
-    window.currentChat = { botId, chatMessages: null, chatHistory: [] };
-
-    if (chatMessages) {
-        // Clear any existing messages
-        chatMessages.innerHTML = '';
+    window.currentChat = { botId, threadId, chatMessages: null, chatHistory: [], streaming: false };
+    
+    /**
+     * Show a thread's messages and mark it in the sidebar and the URL
+     * @param {string} id Thread ID
+     */
+    function showThread(id) {
+        threadId = id;
+        window.currentChat.threadId = id;
+        history.replaceState(null, '', `${window.location.pathname}?id=${encodeURIComponent(botId)}&thread=${encodeURIComponent(id)}`);
         
-        // Display chat history
-        if (chatHistory.length > 0) {
-            chatHistory.forEach((message, idx) => {
-                addMessageToChat(message.sender, message.text, message.timestamp, chatMessages, idx);
-            });
+        if (chatMessages) {
+            if (getChatHistory(id).length === 0) {
+                // No previous chat history – wait for the user to send the first message.
+                saveChatMessage(id, {
+                    sender: 'bot',
+                    text: getGreeting(bot),
+                    timestamp: Date.now()
+                });
+            }
+            
+            // Display chat history
+            renderChatHistory(chatMessages, getChatHistory(id));
             
             // Scroll to bottom
             chatMessages.scrollTop = chatMessages.scrollHeight;
-        } else {
-            // No previous chat history – wait for the user to send the first message.
-            const welcomeMessage = {
-                sender: 'bot',
-                text: `Hello! I'm ${bot.name}. ${getWelcomeMessage(bot)}`,
-                timestamp: Date.now()
-            };
-            
-            addMessageToChat(welcomeMessage.sender, welcomeMessage.text, welcomeMessage.timestamp, chatMessages, 0);
-            saveChatMessage(botId, welcomeMessage);
+        }
+        
+        renderThreadList(threadList, botId, id);
+    }
+    
+    showThread(threadId);
+    initThreadSidebar();
+    initBranchTree();
+    initTranscriptExport();
+    
+    // Scroll to the message a search result links to
+    if (chatMessages && threadId === params.thread && params.message) {
+        const linked = chatMessages.querySelector(`.message[data-index="${Number(params.message)}"]`);
+        if (linked) {
+            linked.classList.add('highlighted');
+            linked.scrollIntoView({ block: 'center' });
         }
     }
     
     // Handle message submission
     const chatForm = document.querySelector('.chat-input');
     const messageInput = document.querySelector('.chat-input input');
+    const sendButton = document.querySelector('.chat-input .send-btn');
+    const stopButton = document.querySelector('.chat-input .stop-btn');
+    
+    // Controller for the reply currently streaming in, if any
+    let activeStream = null;
+    
+    // A click anywhere else closes an open message menu (its own button
+    // stops the click from getting here)
+    document.addEventListener('click', function() {
+        document.querySelectorAll('.message-options:not(.hidden)').forEach(options => options.classList.add('hidden'));
+    });
+    
+    if (stopButton) {
+        stopButton.addEventListener('click', function() {
+            if (activeStream) activeStream.abort();
+        });
+    }
     
     if (chatForm && messageInput) {
         chatForm.addEventListener('submit', function(e) {
             e.preventDefault();
             
+            // Only one reply can stream at a time
+            if (activeStream) return;
+            
             const messageText = messageInput.value.trim();
             if (!messageText) return;
             
@@ -783,14 +3021,13 @@ function initChatPage() {
                 timestamp: Date.now()
             };
             
-            addMessageToChat(userMessage.sender, userMessage.text, userMessage.timestamp, chatMessages);
-            saveChatMessage(botId, userMessage);
+            saveChatMessage(threadId, userMessage);
+            const userIndex = getChatHistory(threadId).length - 1;
+            addMessageToChat(userMessage.sender, userMessage.text, userMessage.timestamp, chatMessages, userIndex);
             // update global history
             if (window.currentChat) {
                 window.currentChat.chatHistory.push(userMessage);
             }
-            // fetch latest history for AI
-            const latestHistory = getChatHistory(botId);
 
             // Clear input
             messageInput.value = '';
@@ -798,52 +3035,458 @@ function initChatPage() {
             // Scroll to bottom
             chatMessages.scrollTop = chatMessages.scrollHeight;
             
-            // Show typing indicator
-            const typingIndicator = document.createElement('div');
-            typingIndicator.className = 'typing-indicator';
-            typingIndicator.innerHTML = `
-                <span class="typing-dot"></span>
-                <span class="typing-dot"></span>
-                <span class="typing-dot"></span>
-            `;
+            requestBotReply(userIndex);
+        });
+    }
+    
+    // Retry a user message whose reply failed
+    if (chatMessages) {
+        chatMessages.addEventListener('click', function(e) {
+            const retryButton = e.target.closest('.retry-btn');
+            if (!retryButton || activeStream) return;
+            
+            const messageDiv = retryButton.closest('.message');
+            const index = Number(messageDiv.dataset.index);
+            
+            // Replies are generated from the history before the message, so
+            // only the latest message can be retried in place
+            if (index !== getChatHistory(threadId).length - 1) {
+                showToast('Only the latest message can be retried. Delete the messages after it first.', 'info');
+                return;
+            }
+            
+            setMessageFailed(messageDiv, false);
+            requestBotReply(index);
+        });
+        
+        // Regenerate the latest reply, or swipe between a reply's alternatives
+        chatMessages.addEventListener('click', function(e) {
+            const button = e.target.closest('.regenerate-btn, .swipe-btn');
+            if (!button || activeStream) return;
+            
+            const messageDiv = button.closest('.message');
+            const index = Number(messageDiv.dataset.index);
+            
+            if (button.classList.contains('regenerate-btn')) {
+                requestBotReply(index - 1, { regenerate: true });
+                return;
+            }
+            
+            const message = getChatHistory(threadId)[index];
+            const selected = (message.selected || 0) + (button.classList.contains('swipe-next') ? 1 : -1);
+            if (selected < 0 || selected >= getReplyAlternatives(message).length) return;
+            
+            updateChatMessage(threadId, index, selectReplyAlternative(message, selected));
+            updateMessageBubble(messageDiv, getChatHistory(threadId)[index]);
+            updateMessageControls(chatMessages, getChatHistory(threadId));
+        });
+        
+        // Step through the branches that start at an edited user message
+        chatMessages.addEventListener('click', function(e) {
+            const button = e.target.closest('.branch-btn');
+            if (!button || activeStream) return;
+            
+            const index = Number(button.closest('.message').dataset.index);
+            const message = getChatHistory(threadId)[index];
+            const branch = (message.branch || 0) + (button.classList.contains('branch-next') ? 1 : -1);
+            if (branch < 0 || branch >= getBranchCount(message)) return;
+            
+            // Keep the message where it is while the messages after it change
+            const scrollTop = chatMessages.scrollTop;
+            showHistory(switchBranch(getChatHistory(threadId), index, branch));
+            chatMessages.scrollTop = scrollTop;
+        });
+        
+        // Edit a message from its menu
+        chatMessages.addEventListener('click', function(e) {
+            const messageDiv = e.target.closest('.message');
+            if (!messageDiv) return;
+            
+            if (e.target.closest('.edit-cancel')) {
+                setMessageEditing(messageDiv, null);
+                return;
+            }
+            if (!e.target.closest('.option.edit')) return;
+            
+            if (activeStream) {
+                showToast('Wait for the reply to finish, or stop it, before editing', 'info');
+                return;
+            }
+            const message = getChatHistory(threadId)[Number(messageDiv.dataset.index)];
+            if (message) setMessageEditing(messageDiv, message.text);
+        });
+        
+        chatMessages.addEventListener('submit', function(e) {
+            const form = e.target.closest('.message-edit');
+            if (!form) return;
+            e.preventDefault();
+            if (activeStream) return;
+            
+            const messageDiv = form.closest('.message');
+            const index = Number(messageDiv.dataset.index);
+            const message = getChatHistory(threadId)[index];
+            const text = form.querySelector('textarea').value.trim();
+            if (!message) return;
+            if (!text) {
+                showToast('A message cannot be empty. Delete it instead.', 'error');
+                return;
+            }
+            if (text === message.text) {
+                setMessageEditing(messageDiv, null);
+                return;
+            }
+            
+            if (message.sender === 'bot') {
+                updateChatMessage(threadId, index, editReply(message, text));
+                setMessageEditing(messageDiv, null);
+                updateMessageBubble(messageDiv, getChatHistory(threadId)[index]);
+                return;
+            }
+            
+            // A changed user message starts a new branch and gets a new reply
+            showHistory(forkBranch(getChatHistory(threadId), index, text));
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+            requestBotReply(index);
+        });
+    }
+    
+    /**
+     * Store a rearranged history of the current thread and show it
+     * @param {Array} chatHistory New chat history
+     */
+    function showHistory(chatHistory) {
+        saveChatHistory(threadId, chatHistory);
+        window.currentChat.chatHistory = chatHistory;
+        renderChatHistory(chatMessages, chatHistory);
+        renderThreadList(threadList, botId, threadId);
+    }
+    
+    /**
+     * Ask the AI to answer the user message at the given history index.
+     * If every attempt fails the message is marked as failed so it can be retried.
+     * @param {number} userIndex Position of the user message in the chat history
+     * @param {Object} [options]
+     * @param {boolean} [options.regenerate] Write a new alternative of the reply
+     *        after the message instead of adding a reply; the current one is
+     *        kept as an earlier alternative
+     */
+    async function requestBotReply(userIndex, { regenerate = false } = {}) {
+        // The thread the reply belongs to, even if the user switches away
+        const replyThreadId = threadId;
+        const history = getChatHistory(replyThreadId);
+        const userMessage = history[userIndex];
+        const userBubble = chatMessages.querySelector(`.message[data-index="${userIndex}"]`);
+        const previousReply = regenerate ? history[userIndex + 1] : null;
+        let botBubble = regenerate ? chatMessages.querySelector(`.message[data-index="${userIndex + 1}"]`) : null;
+        
+        // Show typing indicator until the first token arrives (inside the
+        // reply being regenerated, or where the new reply will go)
+        const typingIndicator = document.createElement('div');
+        typingIndicator.className = 'typing-indicator';
+        typingIndicator.innerHTML = `
+            <span class="typing-dot"></span>
+            <span class="typing-dot"></span>
+            <span class="typing-dot"></span>
+        `;
+        if (botBubble) {
+            botBubble.querySelector('.message-text').replaceChildren(typingIndicator);
+        } else {
             chatMessages.appendChild(typingIndicator);
             chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+        
+        activeStream = new AbortController();
+        setStreamingState(true);
+        
+        try {
+            // Render the bot bubble as the reply streams in
+            const { text, offline } = await window.aiService.streamAIResponse(bot, userMessage.text, history.slice(0, userIndex), {
+                signal: activeStream.signal,
+                onToken: (delta, fullText) => {
+                    if (!botBubble) {
+                        typingIndicator.remove();
+                        botBubble = addMessageToChat('bot', '', Date.now(), chatMessages, userIndex + 1);
+                    }
+                    botBubble.querySelector('.message-text').innerHTML = formatMessage(fullText);
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                },
+                onRetry: (error, attempt, delayMs) => {
+                    showToast(`${error.message} Retrying in ${Math.ceil(delayMs / 1000)}s...`, 'info');
+                }
+            });
+            
+            if (userMessage.failed) {
+                updateChatMessage(replyThreadId, userIndex, { failed: undefined });
+            }
+            
+            if (text) {
+                // Save the final (or partial, if stopped) reply
+                const botMessage = {
+                    sender: 'bot',
+                    text,
+                    timestamp: Date.now()
+                };
+                
+                // Answered by the local generator because the backend is down
+                if (offline) {
+                    botMessage.offline = true;
+                    showToast('AI backend unreachable - replying offline', 'info');
+                    refreshConnectionStatus();
+                }
+                
+                if (regenerate) {
+                    const alternatives = [...getReplyAlternatives(previousReply), toReplyAlternative(botMessage)];
+                    updateChatMessage(replyThreadId, userIndex + 1, selectReplyAlternative({ ...previousReply, alternatives }, alternatives.length - 1));
+                } else {
+                    saveChatMessage(replyThreadId, botMessage);
+                }
+                
+                if (botBubble) {
+                    updateMessageBubble(botBubble, getChatHistory(replyThreadId)[userIndex + 1]);
+                } else {
+                    botBubble = addMessageToChat(botMessage.sender, botMessage.text, botMessage.timestamp, chatMessages, userIndex + 1, { offline });
+                }
+                autoTitleThread(replyThreadId);
+                renderThreadList(threadList, botId, threadId);
+            } else if (regenerate) {
+                // Stopped before anything useful arrived; keep the reply as it was
+                updateMessageBubble(botBubble, previousReply);
+            } else if (botBubble) {
+                // Stopped before anything useful arrived
+                botBubble.remove();
+            }
+        } catch (error) {
+            console.error('Error generating response:', error);
+
+            if (regenerate) {
+                updateMessageBubble(botBubble, previousReply);
+            } else {
+                if (botBubble) botBubble.remove();
+                
+                // Keep the message, but flag it so the user can try again
+                updateChatMessage(replyThreadId, userIndex, { failed: true });
+                if (userBubble) setMessageFailed(userBubble, true);
+            }
+
+            showToast(error.message || 'AI failed to respond. Please try again later.', 'error');
+            refreshConnectionStatus(true);
+        } finally {
+            // Remove typing indicator if it still exists
+            if (typingIndicator.parentElement) {
+                typingIndicator.remove();
+            }
+            
+            activeStream = null;
+            setStreamingState(false);
+            updateMessageControls(chatMessages, getChatHistory(threadId));
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+    }
+    
+    /**
+     * Wire up New chat and the rename, delete and switch buttons of the thread list
+     */
+    function initThreadSidebar() {
+        const newThreadButton = document.getElementById('new-thread');
+        if (newThreadButton) {
+            newThreadButton.addEventListener('click', () => {
+                if (activeStream) {
+                    showToast('Wait for the reply to finish, or stop it, before starting a new chat', 'info');
+                    return;
+                }
+                showThread(createThread(botId));
+                if (messageInput) messageInput.focus();
+            });
+        }
+        
+        if (!threadList) return;
+        threadList.addEventListener('click', e => {
+            const item = e.target.closest('.thread-item');
+            if (!item) return;
+            const id = item.getAttribute('data-id');
+            const title = item.querySelector('.thread-title').textContent;
+            
+            if (e.target.closest('.thread-rename')) {
+                const newTitle = prompt('Rename this chat (leave empty for an automatic title)', title);
+                if (newTitle === null) return;
+                renameThread(id, newTitle);
+                renderThreadList(threadList, botId, threadId);
+                return;
+            }
+            
+            if (activeStream) {
+                showToast('Wait for the reply to finish, or stop it, before switching chats', 'info');
+                return;
+            }
+            
+            if (e.target.closest('.thread-delete')) {
+                if (!confirm(`Delete the chat "${title}" and all its messages?`)) return;
+                deleteThread(id);
+                showToast('Chat deleted', 'success');
+                if (id !== threadId) {
+                    renderThreadList(threadList, botId, threadId);
+                    return;
+                }
+                const remaining = getBotThreads(botId);
+                showThread(remaining.length > 0 ? remaining[0].id : createThread(botId));
+                return;
+            }
+            
+            if (id !== threadId) showThread(id);
+        });
+    }
+    
+    /**
+     * Wire up the conversation tree: the header button opens it, and
+     * picking a branch shows that path
+     */
+    function initBranchTree() {
+        const dialog = document.getElementById('branch-dialog');
+        const tree = document.getElementById('branch-tree');
+        const openButton = chatHeader ? chatHeader.querySelector('.branch-tree-btn') : null;
+        if (!dialog || !tree || !openButton) return;
+        
+        openButton.addEventListener('click', () => {
+            if (activeStream) {
+                showToast('Wait for the reply to finish, or stop it, before switching branches', 'info');
+                return;
+            }
+            renderBranchTree(tree, getChatHistory(threadId));
+            dialog.showModal();
+        });
+        
+        tree.addEventListener('click', e => {
+            const button = e.target.closest('.branch-open');
+            if (!button) return;
+            
+            const path = button.dataset.path.split(' ').filter(Boolean).map(step => {
+                const [index, branch] = step.split('.').map(Number);
+                return { index, branch };
+            });
+            const lastStep = path[path.length - 1];
+            showHistory(followBranchPath(getChatHistory(threadId), path));
+            dialog.close();
+            
+            // Show where the chosen branch starts
+            const branchStart = lastStep && chatMessages.querySelector(`.message[data-index="${lastStep.index}"]`);
+            if (branchStart) branchStart.scrollIntoView({ block: 'center' });
+        });
+        
+        document.getElementById('branch-close').addEventListener('click', () => {
+            dialog.close();
+        });
+    }
+    
+    /**
+     * Wire up the export dialog: the header button opens it for the thread
+     * on screen, and Download writes the chosen range in the chosen format
+     */
+    function initTranscriptExport() {
+        const dialog = document.getElementById('export-dialog');
+        const openButton = chatHeader ? chatHeader.querySelector('.export-btn') : null;
+        if (!dialog || !openButton || !window.transcriptService) return;
+        
+        const fromInput = document.getElementById('export-from');
+        const toInput = document.getElementById('export-to');
+        
+        openButton.addEventListener('click', () => {
+            const count = getChatHistory(threadId).length;
+            fromInput.max = count;
+            toInput.max = count;
+            fromInput.value = 1;
+            toInput.value = count;
+            dialog.showModal();
+        });
+        
+        document.getElementById('export-download').addEventListener('click', () => {
+            const history = getChatHistory(threadId);
+            const from = Number(fromInput.value);
+            const to = Number(toInput.value);
+            if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > history.length || from > to) {
+                showToast(`Pick messages between 1 and ${history.length}, the first one no later than the last`, 'error');
+                return;
+            }
             
-            // Generate bot response after a delay
-            setTimeout(async () => {
-                try {
-                    // Generate response using AI service
-                    const botResponse = await window.aiService.getAIResponse(bot, messageText, latestHistory);
-                    
-                    // Add bot message to chat
-                    const botMessage = {
-                        sender: 'bot',
-                        text: botResponse,
-                        timestamp: Date.now()
-                    };
-                    
-                    addMessageToChat(botMessage.sender, botMessage.text, botMessage.timestamp, chatMessages);
-                    saveChatMessage(botId, botMessage);
-
-                    // Remove typing indicator now that response shown
-                    typingIndicator.remove();
-                    
-                    // Scroll to bottom
-                    chatMessages.scrollTop = chatMessages.scrollHeight;
-                } catch (error) {
-                    console.error('Error generating response:', error);
-
-                    // Remove typing indicator if it still exists
-                    if (typingIndicator && typingIndicator.parentElement) {
-                        typingIndicator.remove();
-                    }
-
-                    // Notify the user that the AI could not generate a response
-                    showToast('Error: AI failed to respond. Please try again later.', 'error');
-                }
-            }, 1000 + Math.random() * 2000); // Random delay between 1-3 seconds
+            const thread = getBotThreads(botId).find(item => item.id === threadId);
+            try {
+                const { blob, fileName } = window.transcriptService.exportTranscript(document.getElementById('export-format').value, {
+                    bot,
+                    threadId,
+                    title: thread ? thread.title : 'New chat',
+                    history,
+                    from,
+                    to,
+                    userName: getSettings().userName || 'User',
+                    includeCard: document.getElementById('export-include-card').checked
+                });
+                downloadBlob(blob, fileName);
+                showToast('Conversation exported', 'success');
+                dialog.close();
+            } catch (error) {
+                console.error('Could not export the conversation:', error);
+                showToast(`Could not export: ${error.message}`, 'error');
+            }
+        });
+        
+        document.getElementById('export-close').addEventListener('click', () => {
+            dialog.close();
         });
     }
+    
+    /**
+     * Swap the send button for the stop button while a reply is streaming
+     * @param {boolean} streaming Whether a reply is streaming
+     */
+    function setStreamingState(streaming) {
+        window.currentChat.streaming = streaming;
+        if (sendButton) sendButton.classList.toggle('hidden', streaming);
+        if (stopButton) stopButton.classList.toggle('hidden', !streaming);
+        if (chatMessages) chatMessages.classList.toggle('streaming', streaming);
+    }
+}
+
+// How often the chat header re-checks the backend connection
+const CONNECTION_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Keep the chat header's connection indicator up to date
+ * @param {HTMLElement|null} indicator Connection status element
+ * @param {Object} bot Bot being chatted with (its model override is shown)
+ * @returns {(refresh?: boolean) => void} Re-checks the connection now; refresh skips the backend's cache
+ */
+function initConnectionStatus(indicator, bot) {
+    if (!indicator || !window.aiService) return () => {};
+    
+    const text = indicator.querySelector('.status-text');
+    const show = (state, label, title) => {
+        indicator.className = `connection-status ${state}`;
+        text.textContent = label;
+        indicator.title = title;
+    };
+    
+    const check = async (refresh = false) => {
+        try {
+            const health = await window.aiService.getBackendHealth({ refresh });
+            const model = (bot.generation && bot.generation.model) || health.model;
+            
+            if (health.status === 'ok') {
+                show('online', 'Online', `Connected to ${health.provider} (${model})`);
+            } else {
+                show('degraded', 'AI unavailable', health.upstream.message || 'The backend cannot reach its AI provider');
+            }
+        } catch (error) {
+            show('offline', 'Offline', 'The AI backend is unreachable. Replies come from the built-in generator.');
+        }
+    };
+    
+    check();
+    setInterval(() => {
+        if (!document.hidden) check();
+    }, CONNECTION_CHECK_INTERVAL_MS);
+    window.addEventListener('online', () => check());
+    window.addEventListener('offline', () => check());
+    
+    return check;
 }
 
 /**
@@ -852,8 +3495,14 @@ function initChatPage() {
  * @param {string} text Message text
  * @param {number} timestamp Message timestamp
  * @param {HTMLElement} container Chat messages container
+ * @param {number} [index] Position of the message in the chat history
+ * @param {Object} [meta] Extra display flags
+ * @param {boolean} [meta.offline] Reply came from the local generator
+ * @param {boolean} [meta.edited] Reply was edited by the user
+ * @param {boolean} [meta.failed] User message whose reply failed (shows Retry)
+ * @returns {HTMLElement} The message element that was added
  */
-function addMessageToChat(sender, text, timestamp, container, index) {
+function addMessageToChat(sender, text, timestamp, container, index, meta = {}) {
     if (index === undefined || index === null) {
         index = container.children.length;
     }
@@ -869,12 +3518,17 @@ function addMessageToChat(sender, text, timestamp, container, index) {
 
     const optionsDiv = document.createElement('div');
     optionsDiv.className = 'message-options hidden';
+    // Editing is handled by the chat page, which knows the thread
+    const editOption = document.createElement('div');
+    editOption.textContent = 'Edit';
+    editOption.className = 'option edit';
     const delOption = document.createElement('div');
     delOption.textContent = 'Delete';
     delOption.className = 'option delete';
     const cancelOption = document.createElement('div');
     cancelOption.textContent = 'Cancel';
     cancelOption.className = 'option cancel';
+    optionsDiv.appendChild(editOption);
     optionsDiv.appendChild(delOption);
     optionsDiv.appendChild(cancelOption);
 
@@ -894,30 +3548,399 @@ function addMessageToChat(sender, text, timestamp, container, index) {
         optionsDiv.classList.add('hidden');
     });
 
-    document.addEventListener('click', function(){
-        optionsDiv.classList.add('hidden');
-    });
-
     const messageText = document.createElement('div');
     messageText.className = 'message-text';
     messageText.innerHTML = formatMessage(text);
 
     const messageTime = document.createElement('div');
     messageTime.className = 'message-time';
-    messageTime.textContent = formatDate(timestamp);
+    fillMessageTime(messageTime, timestamp, meta);
 
     messageDiv.appendChild(menuBtn);
     messageDiv.appendChild(optionsDiv);
     messageDiv.appendChild(messageText);
     messageDiv.appendChild(messageTime);
+    if (meta.failed) setMessageFailed(messageDiv, true);
 
     container.appendChild(messageDiv);
+    return messageDiv;
+}
+
+/**
+ * Show a message's time, with badges if it was generated offline or edited
+ * @param {HTMLElement} messageTime Message time element
+ * @param {number} timestamp Message timestamp
+ * @param {Object} [meta] Display flags
+ * @param {boolean} [meta.offline] Reply came from the local generator
+ * @param {boolean} [meta.edited] Reply was edited by the user
+ */
+function fillMessageTime(messageTime, timestamp, meta = {}) {
+    messageTime.textContent = formatDate(timestamp);
+    if (meta.edited) {
+        const editedBadge = document.createElement('span');
+        editedBadge.className = 'message-badge edited';
+        editedBadge.title = 'Edited by you';
+        editedBadge.textContent = 'edited';
+        messageTime.prepend(editedBadge);
+    }
+    if (meta.offline) {
+        const offlineBadge = document.createElement('span');
+        offlineBadge.className = 'message-badge offline';
+        offlineBadge.title = 'Generated locally while the AI backend was unreachable';
+        offlineBadge.textContent = 'offline';
+        messageTime.prepend(offlineBadge);
+    }
+}
+
+/**
+ * Redraw a message element from its stored message
+ * @param {HTMLElement} messageDiv Message element
+ * @param {Object} message Message object
+ */
+function updateMessageBubble(messageDiv, message) {
+    messageDiv.querySelector('.message-text').innerHTML = formatMessage(message.text);
+    fillMessageTime(messageDiv.querySelector('.message-time'), message.timestamp, message);
+}
+
+/**
+ * Draw a whole chat history, replacing what the container shows
+ * @param {HTMLElement} container Chat messages container
+ * @param {Array} history Chat history
+ */
+function renderChatHistory(container, history) {
+    container.innerHTML = '';
+    history.forEach((message, index) => {
+        addMessageToChat(message.sender, message.text, message.timestamp, container, index, message);
+    });
+    updateMessageControls(container, history);
+}
+
+/**
+ * The alternatives of a bot reply. A reply that was never regenerated
+ * has one: itself.
+ * @param {Object} message Bot message
+ * @returns {Array<{text: string, timestamp: number, offline?: boolean, edited?: boolean}>} Alternatives, oldest first
+ */
+function getReplyAlternatives(message) {
+    return message.alternatives || [toReplyAlternative(message)];
+}
+
+/**
+ * The part of a bot message that differs between its alternatives
+ * @param {Object} message Bot message
+ * @returns {{text: string, timestamp: number, offline?: boolean, edited?: boolean}} Alternative
+ */
+function toReplyAlternative(message) {
+    const alternative = { text: message.text, timestamp: message.timestamp };
+    if (message.offline) alternative.offline = true;
+    if (message.edited) alternative.edited = true;
+    return alternative;
+}
+
+/**
+ * Changes that make one alternative the reply. The chosen alternative is
+ * copied into the message's own text, so it is what later turns, exports
+ * and sync see; the others stay in message.alternatives.
+ * @param {Object} message Bot message (its alternatives may include new ones)
+ * @param {number} index Alternative to show
+ * @returns {Object} Changes for updateChatMessage
+ */
+function selectReplyAlternative(message, index) {
+    const alternatives = getReplyAlternatives(message);
+    const chosen = alternatives[index];
+    return {
+        text: chosen.text,
+        timestamp: chosen.timestamp,
+        offline: chosen.offline || undefined,
+        edited: chosen.edited || undefined,
+        alternatives,
+        selected: index
+    };
+}
+
+/**
+ * Changes that replace the text of a bot reply. Only the alternative on
+ * screen is edited; the others keep their text.
+ * @param {Object} message Bot message
+ * @param {string} text New text
+ * @returns {Object} Changes for updateChatMessage
+ */
+function editReply(message, text) {
+    const changes = { text, edited: true };
+    if (message.alternatives) {
+        const selected = message.selected || 0;
+        changes.alternatives = message.alternatives.map((alternative, index) => (
+            index === selected ? { ...alternative, text, edited: true } : alternative
+        ));
+    }
+    return changes;
+}
+
+// Conversation branches. Editing a user message starts a new branch at
+// it: the message and everything after it are put aside in the edited
+// message's `branches`, and the new text starts a fresh path. The branch on
+// screen is the chat history itself (its slot in `branches` is null and
+// `branch` says which slot that is), so replies, exports and sync only
+// ever see one path. Put-aside branches keep their own branches, which
+// makes the whole conversation a tree.
+
+/**
+ * Number of branches at a user message
+ * @param {Object} message User message
+ * @returns {number} Branches (1 if it was never edited)
+ */
+function getBranchCount(message) {
+    return message.branches ? message.branches.length : 1;
+}
+
+/**
+ * A message without the branches that start at it
+ * @param {Object} message Message object
+ * @returns {Object} Copy of the message
+ */
+function withoutBranches(message) {
+    const copy = { ...message };
+    delete copy.branches;
+    delete copy.branch;
+    return copy;
+}
+
+/**
+ * Show another branch at a user message. The branch on screen is put
+ * aside in its place.
+ * @param {Array} history Chat history
+ * @param {number} index Position of the user message
+ * @param {number} branch Branch to show
+ * @returns {Array} New chat history (the same one if nothing changes)
+ */
+function switchBranch(history, index, branch) {
+    const message = history[index];
+    const current = message.branch || 0;
+    if (!message.branches || branch === current || !message.branches[branch]) return history;
+    
+    const branches = message.branches.slice();
+    branches[current] = [withoutBranches(message), ...history.slice(index + 1)];
+    const [first, ...rest] = branches[branch];
+    branches[branch] = null;
+    return [...history.slice(0, index), { ...first, branches, branch }, ...rest];
+}
+
+/**
+ * Start a new branch at a user message with new text. The old message
+ * and its replies are kept as an earlier branch.
+ * @param {Array} history Chat history
+ * @param {number} index Position of the user message
+ * @param {string} text Edited text
+ * @returns {Array} New chat history, ending with the edited message
+ */
+function forkBranch(history, index, text) {
+    const message = history[index];
+    const branches = message.branches ? message.branches.slice() : [null];
+    branches[message.branch || 0] = [withoutBranches(message), ...history.slice(index + 1)];
+    branches.push(null);
+    
+    const edited = { sender: message.sender, text, timestamp: Date.now(), branches, branch: branches.length - 1 };
+    return [...history.slice(0, index), edited];
+}
+
+/**
+ * The first place a path splits into branches, with every branch and
+ * (recursively) where each of those splits next
+ * @param {Array} messages Messages of the path
+ * @param {number} [offset] Position of messages[0] in the history when the path is on screen
+ * @param {Array<{index: number, branch: number}>} [path] Switches that put the path on screen
+ * @param {boolean} [onScreen] Whether the path is on screen now
+ * @returns {{index: number, branches: Array<{message: Object, count: number, active: boolean, path: Array, next: Object|null}>}|null} Branch point, or null if the path does not split
+ */
+function getBranchPoint(messages, offset = 0, path = [], onScreen = true) {
+    const start = messages.findIndex(message => message.branches);
+    if (start < 0) return null;
+    
+    const message = messages[start];
+    const index = offset + start;
+    const current = message.branch || 0;
+    return {
+        index,
+        branches: message.branches.map((stored, branch) => {
+            const isCurrent = branch === current;
+            const branchMessages = isCurrent ? [withoutBranches(message), ...messages.slice(start + 1)] : stored;
+            const branchPath = isCurrent ? path : [...path, { index, branch }];
+            const active = onScreen && isCurrent;
+            return {
+                message: branchMessages[0],
+                count: branchMessages.length,
+                active,
+                path: branchPath,
+                next: getBranchPoint(branchMessages.slice(1), index + 1, branchPath, active)
+            };
+        })
+    };
+}
+
+/**
+ * Show the branches along a path from the conversation tree
+ * @param {Array} history Chat history
+ * @param {Array<{index: number, branch: number}>} path Switches, outermost first
+ * @returns {Array} New chat history
+ */
+function followBranchPath(history, path) {
+    return path.reduce((current, step) => (current[step.index] ? switchBranch(current, step.index, step.branch) : current), history);
+}
+
+/**
+ * Draw the conversation tree of a chat into the branches dialog
+ * @param {HTMLElement} container Tree container
+ * @param {Array} history Chat history on screen
+ */
+function renderBranchTree(container, history) {
+    const root = getBranchPoint(history);
+    if (!root) {
+        container.innerHTML = '<p class="branch-empty">No branches yet. Edit one of your messages to take the conversation another way; the old path stays here.</p>';
+        return;
+    }
+    
+    const renderPoint = point => `
+        <ul class="branch-tree">
+            ${point.branches.map((branch, number) => `
+                <li class="branch-node${branch.active ? ' active' : ''}">
+                    <button type="button" class="branch-open" data-path="${branch.path.map(step => `${step.index}.${step.branch}`).join(' ')}"${branch.active ? ' aria-current="true"' : ''}>
+                        <span class="branch-number">${number + 1}</span>
+                        <span class="branch-text">${escapeHtml(createThreadTitle([branch.message]) || '(empty)')}</span>
+                        <span class="branch-meta">${branch.count} message${branch.count === 1 ? '' : 's'}</span>
+                    </button>
+                    ${branch.next ? renderPoint(branch.next) : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    
+    container.innerHTML = `
+        <p class="branch-start">${root.index} message${root.index === 1 ? '' : 's'} before the first branch</p>
+        ${renderPoint(root)}
+    `;
+}
+
+/**
+ * Show branch controls on edited user messages, swipe controls on bot
+ * replies with alternatives, and Regenerate on the latest reply to a user
+ * message
+ * @param {HTMLElement} container Chat messages container
+ * @param {Array} history Chat history shown in it
+ */
+function updateMessageControls(container, history) {
+    container.querySelectorAll('.message.user').forEach(messageDiv => {
+        const index = Number(messageDiv.dataset.index);
+        const message = history[index];
+        const existing = messageDiv.querySelector('.message-controls');
+        if (existing) existing.remove();
+        if (!message || getBranchCount(message) < 2) return;
+        
+        const count = getBranchCount(message);
+        const branch = message.branch || 0;
+        const controls = document.createElement('div');
+        controls.className = 'message-controls';
+        controls.innerHTML = `
+            <i class="fas fa-code-branch" title="Branches"></i>
+            <button type="button" class="branch-btn branch-prev" title="Previous branch"${branch === 0 ? ' disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+            <span class="branch-count">${branch + 1}/${count}</span>
+            <button type="button" class="branch-btn branch-next" title="Next branch"${branch === count - 1 ? ' disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+        `;
+        messageDiv.appendChild(controls);
+    });
+    
+    container.querySelectorAll('.message.bot').forEach(messageDiv => {
+        const index = Number(messageDiv.dataset.index);
+        const message = history[index];
+        const existing = messageDiv.querySelector('.message-controls');
+        if (existing) existing.remove();
+        if (!message) return;
+        
+        const count = getReplyAlternatives(message).length;
+        const selected = message.selected || 0;
+        const canRegenerate = index === history.length - 1 && index > 0 && history[index - 1].sender === 'user';
+        if (count < 2 && !canRegenerate) return;
+        
+        const controls = document.createElement('div');
+        controls.className = 'message-controls';
+        controls.innerHTML = `
+            ${count > 1 ? `
+                <button type="button" class="swipe-btn swipe-prev" title="Previous reply"${selected === 0 ? ' disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+                <span class="swipe-count">${selected + 1}/${count}</span>
+                <button type="button" class="swipe-btn swipe-next" title="Next reply"${selected === count - 1 ? ' disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+            ` : ''}
+            ${canRegenerate ? '<button type="button" class="regenerate-btn" title="Write another reply; this one is kept"><i class="fas fa-sync-alt"></i> Regenerate</button>' : ''}
+        `;
+        messageDiv.appendChild(controls);
+    });
+}
+
+/**
+ * Show or hide the inline Retry control on a user message
+ * @param {HTMLElement} messageDiv Message element
+ * @param {boolean} failed Whether the reply to this message failed
+ */
+function setMessageFailed(messageDiv, failed) {
+    const existing = messageDiv.querySelector('.message-retry');
+    messageDiv.classList.toggle('failed', failed);
+
+    if (!failed) {
+        if (existing) existing.remove();
+        return;
+    }
+    if (existing) return;
+
+    const retryDiv = document.createElement('div');
+    retryDiv.className = 'message-retry';
+    retryDiv.innerHTML = `
+        <span><i class="fas fa-exclamation-circle"></i> No reply</span>
+        <button type="button" class="retry-btn"><i class="fas fa-redo"></i> Retry</button>
+    `;
+    messageDiv.appendChild(retryDiv);
+}
+
+/**
+ * Swap a message's text for an editor, or put the text back
+ * @param {HTMLElement} messageDiv Message element
+ * @param {string|null} text Text to edit, or null to close the editor
+ */
+function setMessageEditing(messageDiv, text) {
+    const existing = messageDiv.querySelector('.message-edit');
+    if (existing) existing.remove();
+    messageDiv.classList.toggle('editing', text !== null);
+    if (text === null) return;
+    
+    const isUser = messageDiv.dataset.sender === 'user';
+    const form = document.createElement('form');
+    form.className = 'message-edit';
+    form.innerHTML = `
+        <textarea rows="3" aria-label="Message text"></textarea>
+        <div class="message-edit-actions">
+            <button type="button" class="btn secondary edit-cancel">Cancel</button>
+            <button type="submit" class="btn primary edit-save" title="${isUser ? 'The old message and its replies are kept as a branch' : 'Replace the text of this reply'}">${isUser ? 'Send as new branch' : 'Save'}</button>
+        </div>
+    `;
+    const textarea = form.querySelector('textarea');
+    textarea.value = text;
+    textarea.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            setMessageEditing(messageDiv, null);
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            form.requestSubmit();
+        }
+    });
+    messageDiv.querySelector('.message-text').after(form);
+    textarea.focus();
 }
 
 // Handle deletion of a message (and optionally subsequent messages)
 function handleDeleteMessage(messageDiv) {
-    const { botId } = window.currentChat || {};
-    if (!botId) return;
+    const { threadId, streaming } = window.currentChat || {};
+    if (!threadId) return;
+    if (streaming) {
+        showToast('Wait for the reply to finish, or stop it, before deleting', 'info');
+        return;
+    }
 
     const container = messageDiv.parentElement;
     if (!container) return;
@@ -927,45 +3950,66 @@ function handleDeleteMessage(messageDiv) {
         .indexOf(messageDiv);
     const sender = messageDiv.dataset.sender;
 
+    // Update history in storage
+    const history = getChatHistory(threadId).slice();
+    const otherBranches = sender === 'user' && history[index] ? getBranchCount(history[index]) - 1 : 0;
+
     const confirmMsg = sender === 'user'
-        ? 'This will delete this message AND all messages after it. Are you sure?'
+        ? `This will delete this message AND all messages after it${otherBranches > 0 ? `, along with its ${otherBranches} other branch${otherBranches === 1 ? '' : 'es'}` : ''}. Are you sure?`
         : 'Delete this message?';
     if (!confirm(confirmMsg)) return;
 
-    // Update history in storage
-    const chats = getAllChats();
-    const history = chats[botId] || [];
-
     if (sender === 'user') {
         history.splice(index); // remove from index to end
     } else {
         history.splice(index, 1);
     }
-    chats[botId] = history;
-    saveAllChats(chats);
+    saveChatHistory(threadId, history);
 
     // Update global
     window.currentChat.chatHistory = history;
 
     // Re-render UI
-    container.innerHTML = '';
-    history.forEach((msg, i) => addMessageToChat(msg.sender, msg.text, msg.timestamp, container, i));
+    renderChatHistory(container, history);
 }
 
 /**
- * Generate a welcome message based on bot personality
- * @param {Object} bot Bot object
- * @returns {string} Welcome message
- */
-function getWelcomeMessage(bot) {
-    const toneMessages = {
-        'Normal': 'How can I help you today?',
-        'Romantic': 'I\'ve been waiting for you. What would you like to talk about?',
-        'Flirty': 'Hey there! I\'m so excited to chat with you. What\'s on your mind?',
-        'Spicy': 'Well hello there... I\'ve been looking forward to our conversation. What are you in the mood for?'
-    };
+ * List a bot's chat threads in the chat page sidebar
+ * @param {HTMLElement|null} list Thread list element
+ * @param {string} botId Chatbot ID
+ * @param {string} currentId Thread on screen
+ */
+function renderThreadList(list, botId, currentId) {
+    if (!list) return;
     
-    return toneMessages[bot.chatTone] || toneMessages['Normal'];
+    list.innerHTML = getBotThreads(botId).map(thread => `
+        <li class="thread-item${thread.id === currentId ? ' active' : ''}" data-id="${escapeHtml(thread.id)}">
+            <button type="button" class="thread-open"${thread.id === currentId ? ' aria-current="true"' : ''}>
+                <span class="thread-title">${escapeHtml(thread.title)}</span>
+                <span class="thread-meta">${formatDate(thread.lastAt)} &middot; ${thread.count} message${thread.count === 1 ? '' : 's'}</span>
+            </button>
+            <button type="button" class="thread-rename" title="Rename"><i class="fas fa-pen"></i></button>
+            <button type="button" class="thread-delete" title="Delete"><i class="fas fa-trash"></i></button>
+        </li>
+    `).join('');
+}
+
+// Greeting for bots without their own, by tone
+const DEFAULT_GREETINGS = {
+    'Normal': 'Hello! I\'m {{char}}. How can I help you today?',
+    'Romantic': 'Hello! I\'m {{char}}. I\'ve been waiting for you. What would you like to talk about?',
+    'Flirty': 'Hello! I\'m {{char}}. Hey there! I\'m so excited to chat with you. What\'s on your mind?',
+    'Spicy': 'Hello! I\'m {{char}}. Well hello there... I\'ve been looking forward to our conversation. What are you in the mood for?'
+};
+
+/**
+ * The first message of a new chat: the bot's own greeting, or one that matches its tone
+ * @param {Object} bot Bot object
+ * @returns {string} Greeting with {{char}} and {{user}} filled in
+ */
+function getGreeting(bot) {
+    const greeting = bot.greeting || DEFAULT_GREETINGS[bot.chatTone] || DEFAULT_GREETINGS['Normal'];
+    return window.aiService.renderPromptTemplate(greeting, window.aiService.getPromptValues(bot));
 }
 
 /**
@@ -1081,12 +4125,281 @@ function initSettingsPage() {
     
     // Load existing settings
     const settings = getSettings();
+    
+    initSyncSettings(settings);
+    initSfwOnlySetting(settings);
+    initUserNameSetting(settings);
+    initRevisionLimitSetting(settings);
+    initTrashRetentionSetting(settings);
+    initBackupSettings();
+    
+    // Update storage usage display
+    updateStorageUsage();
+    
+    initTokenUsage();
+}
+
+// Days of history shown in the token usage charts
+const USAGE_CHART_DAYS = 30;
+
+/**
+ * Load the backend's token usage into the settings page charts
+ */
+function initTokenUsage() {
+    const summary = document.getElementById('token-usage-summary');
+    const refreshButton = document.getElementById('token-usage-refresh');
+    if (!summary || !window.aiService) return;
+    
+    const load = async () => {
+        refreshButton.disabled = true;
+        
+        // Days are counted in UTC, like the backend records them
+        const days = [];
+        for (let i = USAGE_CHART_DAYS - 1; i >= 0; i--) {
+            days.push(new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+        }
+        
+        try {
+            const usage = await window.aiService.getTokenUsage({ from: days[0] });
+            const { totals } = usage;
+            summary.textContent = totals.requests === 0
+                ? 'No AI requests recorded yet'
+                : `${formatTokenCount(totals.totalTokens)} tokens in ${totals.requests} request${totals.requests === 1 ? '' : 's'} · ${formatCost(totals.cost)}`;
+            renderUsageByBot(document.getElementById('usage-by-bot'), usage.byBot);
+            renderUsageByDay(document.getElementById('usage-by-day'), usage.byDay, days);
+        } catch (error) {
+            console.warn('Could not load token usage:', error.message);
+            summary.textContent = 'Usage is unavailable while the backend is unreachable';
+        } finally {
+            refreshButton.disabled = false;
+        }
+    };
+    
+    refreshButton.addEventListener('click', load);
+    load();
+}
 
+/**
+ * Format a token count for display (e.g. 1.2k)
+ * @param {number} tokens Token count
+ * @returns {string} Formatted count
+ */
+function formatTokenCount(tokens) {
+    if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`;
+    if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`;
+    return String(tokens);
+}
 
+/**
+ * Format an estimated cost in US dollars
+ * @param {number|null} cost Cost, or null if the model has no price
+ * @returns {string} Formatted cost
+ */
+function formatCost(cost) {
+    if (cost === null || cost === undefined) return 'cost unknown';
+    return `~$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
 
+/**
+ * Draw a horizontal bar per bot, largest first
+ * @param {HTMLElement} container Chart element
+ * @param {Object} byBot Map of botId -> usage totals
+ */
+function renderUsageByBot(container, byBot) {
+    container.innerHTML = '';
     
-    // Update storage usage display
-    updateStorageUsage();
+    const entries = Object.entries(byBot).sort((a, b) => b[1].totalTokens - a[1].totalTokens);
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="chart-empty">No usage yet</div>';
+        return;
+    }
+    const max = entries[0][1].totalTokens || 1;
+    
+    entries.forEach(([botId, usage]) => {
+        const bot = getBotById(botId);
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+        row.title = `${formatTokenCount(usage.promptTokens)} prompt + ${formatTokenCount(usage.completionTokens)} completion tokens`;
+        
+        const label = document.createElement('span');
+        label.className = 'bar-label';
+        label.textContent = bot ? bot.name : (botId === 'unknown' ? 'Other requests' : 'Deleted bot');
+        
+        const track = document.createElement('span');
+        track.className = 'bar-track';
+        const fill = document.createElement('span');
+        fill.className = 'bar-fill';
+        fill.style.width = `${(usage.totalTokens / max) * 100}%`;
+        track.appendChild(fill);
+        
+        const value = document.createElement('span');
+        value.className = 'bar-value';
+        value.textContent = `${formatTokenCount(usage.totalTokens)} · ${formatCost(usage.cost)}`;
+        
+        row.append(label, track, value);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Draw a column per day, including days without usage
+ * @param {HTMLElement} container Chart element
+ * @param {Object} byDay Map of YYYY-MM-DD -> usage totals
+ * @param {Array<string>} days Days to show, oldest first
+ */
+function renderUsageByDay(container, byDay, days) {
+    container.innerHTML = '';
+    
+    const max = Math.max(1, ...days.map(day => (byDay[day] ? byDay[day].totalTokens : 0)));
+    
+    const columns = document.createElement('div');
+    columns.className = 'columns';
+    days.forEach(day => {
+        const usage = byDay[day];
+        const column = document.createElement('span');
+        column.className = 'column';
+        column.style.height = `${usage ? (usage.totalTokens / max) * 100 : 0}%`;
+        column.title = usage
+            ? `${day}: ${formatTokenCount(usage.totalTokens)} tokens, ${usage.requests} request${usage.requests === 1 ? '' : 's'}, ${formatCost(usage.cost)}`
+            : `${day}: no usage`;
+        columns.appendChild(column);
+    });
+    
+    const axis = document.createElement('div');
+    axis.className = 'column-axis';
+    axis.innerHTML = `<span>${days[0]}</span><span>${days[days.length - 1]}</span>`;
+    
+    container.append(columns, axis);
+}
+
+/**
+ * Wire up the user name field on the settings page
+ * @param {Object} settings Current settings
+ */
+function initUserNameSetting(settings) {
+    const input = document.getElementById('user-name');
+    if (!input) return;
+    
+    input.value = settings.userName || '';
+    input.addEventListener('change', function() {
+        saveSettings({ ...getSettings(), userName: this.value.trim() });
+        showToast('Name saved', 'success');
+    });
+}
+
+// Most revisions the settings page lets each bot keep
+const MAX_REVISION_LIMIT = 200;
+
+/**
+ * Wire up the revision limit field on the settings page
+ * @param {Object} settings Current settings
+ */
+function initRevisionLimitSetting(settings) {
+    const input = document.getElementById('revision-limit');
+    if (!input) return;
+    
+    input.max = MAX_REVISION_LIMIT;
+    input.value = getRevisionLimit();
+    input.addEventListener('change', function() {
+        const limit = Number(this.value);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REVISION_LIMIT) {
+            showToast(`Keep between 1 and ${MAX_REVISION_LIMIT} versions`, 'error');
+            this.value = getRevisionLimit();
+            return;
+        }
+        
+        saveSettings({ ...getSettings(), revisionLimit: limit });
+        showToast(`Keeping the last ${limit} version${limit === 1 ? '' : 's'} of each chatbot`, 'success');
+    });
+}
+
+// Longest the settings page lets deleted bots stay in the trash
+const MAX_TRASH_RETENTION_DAYS = 365;
+
+/**
+ * Wire up the trash retention field on the settings page
+ * @param {Object} settings Current settings
+ */
+function initTrashRetentionSetting(settings) {
+    const input = document.getElementById('trash-retention-days');
+    if (!input) return;
+    
+    input.max = MAX_TRASH_RETENTION_DAYS;
+    input.value = getTrashRetentionDays();
+    input.addEventListener('change', function() {
+        const days = Number(this.value);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_TRASH_RETENTION_DAYS) {
+            showToast(`Keep deleted chatbots for 1 to ${MAX_TRASH_RETENTION_DAYS} days`, 'error');
+            this.value = getTrashRetentionDays();
+            return;
+        }
+        
+        saveSettings({ ...getSettings(), trashRetentionDays: days });
+        showToast(`Deleted chatbots stay in the trash for ${days} day${days === 1 ? '' : 's'}`, 'success');
+    });
+}
+
+/**
+ * Wire up the SFW-only toggle on the settings page
+ * @param {Object} settings Current settings
+ */
+function initSfwOnlySetting(settings) {
+    const toggle = document.getElementById('sfw-only-toggle');
+    if (!toggle) return;
+    
+    toggle.checked = settings.sfwOnly === true;
+    toggle.addEventListener('change', function() {
+        saveSettings({ ...getSettings(), sfwOnly: this.checked });
+        showToast(this.checked ? 'SFW-only mode on: NSFW chatbots are hidden' : 'SFW-only mode off', 'success');
+    });
+}
+
+/**
+ * Wire up the backend sync controls on the settings page
+ * @param {Object} settings Current settings
+ */
+function initSyncSettings(settings) {
+    const syncToggle = document.getElementById('sync-toggle');
+    const syncNowButton = document.getElementById('sync-now');
+    const syncStatus = document.getElementById('sync-status');
+    const syncToken = document.getElementById('sync-token');
+    if (!syncToggle || !window.syncService) return;
+    
+    const showStatus = () => {
+        const lastSyncAt = window.syncService.getLastSyncAt();
+        syncStatus.textContent = lastSyncAt ? `Last synced ${formatDate(lastSyncAt)}` : 'Never synced';
+        syncNowButton.disabled = !syncToggle.checked;
+    };
+    
+    const runSync = () => {
+        syncNowButton.disabled = true;
+        window.syncService.syncWithBackend().then(({ pulled, pushed }) => {
+            showToast(`Sync complete: ${pulled} pulled, ${pushed} pushed`, 'success');
+        }).catch(error => {
+            console.error('Sync failed:', error);
+            showToast('Sync failed. Is the backend running, and is the sync token right?', 'error');
+        }).finally(showStatus);
+    };
+    
+    syncToggle.checked = settings.syncEnabled === true;
+    if (syncToken) syncToken.value = settings.syncToken || '';
+    showStatus();
+    
+    if (syncToken) {
+        syncToken.addEventListener('change', function() {
+            saveSettings({ ...getSettings(), syncToken: this.value.trim() });
+            showToast('Sync token saved', 'success');
+            if (syncToggle.checked) runSync();
+        });
+    }
+    
+    syncToggle.addEventListener('change', function() {
+        saveSettings({ ...getSettings(), syncEnabled: this.checked });
+        showStatus();
+        if (this.checked) runSync();
+    });
+    
+    syncNowButton.addEventListener('click', runSync);
 }
 
 /**
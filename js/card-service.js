@@ -0,0 +1,623 @@
+/**
+ * Crave.ai - Card Service
+ * Imports and exports bots as character cards, the format other chat
+ * front-ends (TavernAI, SillyTavern, ...) use to pass characters around.
+ *
+ * A card is JSON in the V2 layout ({ spec: "chara_card_v2", data: {...} })
+ * or the older flat V1 layout. As a PNG it is the character's avatar with
+ * the card JSON, base64 encoded, in a tEXt chunk with the keyword "chara".
+ *
+ * Crave.ai fields that cards have no place for travel in
+ * data.extensions.crave. Card fields Crave.ai has no use for are kept on the
+ * bot (bot.cardExtras) and written back out on export.
+ *
+ * Share links carry a card too: explore.html#bot=<format>.<data>, where
+ * data is the card JSON, deflated (format 1) or not (format 0, browsers
+ * without CompressionStream), in URL-safe base64. Published shares live on
+ * the backend instead and are linked as explore.html?share=<id>.
+ */
+
+const CARD_SPEC = 'chara_card_v2';
+const CARD_SPEC_VERSION = '2.0';
+
+// tEXt keyword that holds the card in a PNG
+const PNG_CARD_KEYWORD = 'chara';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Size of the avatar drawn for bots without an image
+const DEFAULT_AVATAR_SIZE = 400;
+
+// V1 card fields (also repeated at the top level of V2 cards for old readers)
+const V1_FIELDS = ['name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example'];
+
+// V2 data fields mapped onto bot fields (everything else goes to cardExtras)
+const MAPPED_DATA_FIELDS = [...V1_FIELDS, 'creator_notes', 'system_prompt', 'tags', 'extensions'];
+
+// Personality text that reads like "curious, loyal, stubborn" becomes traits
+const MAX_TRAIT_LENGTH = 40;
+const MAX_TRAITS = 20;
+
+// Share link fragment (#bot=...) and published share query (?share=...)
+const SHARE_HASH_KEY = 'bot';
+const SHARE_QUERY_KEY = 'share';
+const SHARE_FORMAT_PLAIN = '0';
+const SHARE_FORMAT_DEFLATE = '1';
+
+// Values data.extensions.crave may set; anything else is ignored, since
+// cards and share links come from strangers
+const CARD_AGE_CATEGORIES = ['SFW (12+)', 'NSFW (18+)'];
+const CARD_IMAGE_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]*={0,2}$/;
+// Longest instruction preset name the backend accepts
+const MAX_CARD_INSTRUCTIONS_LENGTH = 50;
+const MAX_CARD_STOP_SEQUENCES = 4;
+
+// --- PNG chunks --------------------------------------------------------------
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte range, as PNG chunks use it
+ * @param {Uint8Array} bytes Bytes to checksum
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Split a PNG file into its chunks
+ * @param {Uint8Array} bytes PNG file
+ * @returns {Array<{type: string, data: Uint8Array}>} Chunks in file order
+ * @throws {Error} If the bytes are not a PNG
+ */
+function readPngChunks(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((value, i) => bytes[i] !== value)) {
+        throw new Error('Not a PNG image');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (offset + 12 + length > bytes.length) {
+            throw new Error('The PNG image is cut short');
+        }
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Join chunks back into a PNG file
+ * @param {Array<{type: string, data: Uint8Array}>} chunks Chunks in file order
+ * @returns {Uint8Array} PNG file
+ */
+function writePngChunks(chunks) {
+    const size = 8 + chunks.reduce((sum, chunk) => sum + 12 + chunk.data.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes.set(PNG_SIGNATURE, 0);
+
+    let offset = 8;
+    chunks.forEach(({ type, data }) => {
+        view.setUint32(offset, data.length);
+        for (let i = 0; i < 4; i++) bytes[offset + 4 + i] = type.charCodeAt(i);
+        bytes.set(data, offset + 8);
+        view.setUint32(offset + 8 + data.length, crc32(bytes.subarray(offset + 4, offset + 8 + data.length)));
+        offset += 12 + data.length;
+    });
+
+    return bytes;
+}
+
+/**
+ * Split a tEXt chunk into its keyword and text
+ * @param {Uint8Array} data Chunk data
+ * @returns {{keyword: string, text: string}} Keyword and Latin-1 text
+ */
+function readTextChunk(data) {
+    const separator = data.indexOf(0);
+    const latin1 = new TextDecoder('latin1');
+    return {
+        keyword: latin1.decode(data.subarray(0, separator)),
+        text: latin1.decode(data.subarray(separator + 1))
+    };
+}
+
+/**
+ * Whether a chunk holds a character card
+ * @param {{type: string, data: Uint8Array}} chunk PNG chunk
+ * @returns {boolean} True for the card's tEXt chunk
+ */
+function isCardChunk(chunk) {
+    return chunk.type === 'tEXt' && readTextChunk(chunk.data).keyword === PNG_CARD_KEYWORD;
+}
+
+// --- Encoding helpers ----------------------------------------------------------
+
+/**
+ * Base64-encode bytes
+ * @param {Uint8Array} bytes Bytes
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 text to bytes
+ * @param {string} base64 Base64 text
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64.trim());
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * URL-safe base64 (RFC 4648 section 5) without padding, for links
+ * @param {Uint8Array} bytes Bytes
+ * @returns {string} Base64url text
+ */
+function bytesToBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64, with or without padding
+ * @param {string} text Base64url text
+ * @returns {Uint8Array} Bytes
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * Load an image URL into a PNG, re-encoding through a canvas if needed
+ * @param {string} src Image URL or data URL
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+async function imageToPng(src) {
+    if (src.startsWith('data:image/png;base64,')) {
+        return base64ToBytes(src.slice(src.indexOf(',') + 1));
+    }
+
+    const img = new Image();
+    img.src = src;
+    await img.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth || DEFAULT_AVATAR_SIZE;
+    canvas.height = img.naturalHeight || DEFAULT_AVATAR_SIZE;
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// --- Card <-> bot ------------------------------------------------------------
+
+/**
+ * Swap the placeholders some older cards use for the ones Crave.ai uses
+ * @param {*} text Card text field
+ * @returns {string} Text with {{char}} and {{user}}
+ */
+function normalizePlaceholders(text) {
+    if (typeof text !== 'string') return '';
+    return text.replace(/<BOT>/gi, '{{char}}').replace(/<USER>/gi, '{{user}}').trim();
+}
+
+/**
+ * Copy the fields of an object that are not in a list
+ * @param {Object} source Object to copy from
+ * @param {string[]} known Field names to leave out
+ * @returns {Object} The remaining fields
+ */
+function pickUnknown(source, known) {
+    const extras = {};
+    Object.keys(source || {}).forEach(key => {
+        if (!known.includes(key)) extras[key] = source[key];
+    });
+    return extras;
+}
+
+/**
+ * Build a V2 character card for a bot
+ * @param {Object} bot Bot object
+ * @param {Object} [options]
+ * @param {boolean} [options.includeImage] Keep the avatar in the card (for JSON files)
+ * @returns {Object} Character card
+ */
+function botToCard(bot, { includeImage = false } = {}) {
+    const extras = bot.cardExtras || {};
+    const extensions = { ...((extras.data && extras.data.extensions) || {}) };
+
+    extensions.crave = {
+        schemaVersion: bot.schemaVersion,
+        ageCategory: bot.ageCategory,
+        chatTone: bot.chatTone,
+        customTone: bot.customTone || null,
+        traits: bot.traits || [],
+        speakingStyle: bot.speakingStyle || '',
+        generation: bot.generation || null,
+        instructions: bot.instructions || null,
+        ...(includeImage && bot.image ? { image: bot.image } : {})
+    };
+
+    const data = {
+        // Required V2 fields that Crave.ai does not use
+        alternate_greetings: [],
+        post_history_instructions: '',
+        creator: '',
+        character_version: '',
+        ...pickUnknown(extras.data, ['extensions']),
+        name: bot.name,
+        description: bot.description,
+        personality: (bot.traits || []).join(', '),
+        scenario: bot.scenario || '',
+        first_mes: bot.greeting || '',
+        mes_example: bot.exampleDialogues || '',
+        creator_notes: bot.creatorNotes || '',
+        system_prompt: bot.promptTemplate || '',
+        tags: bot.tags || [],
+        extensions
+    };
+
+    const card = { ...(extras.card || {}), spec: CARD_SPEC, spec_version: CARD_SPEC_VERSION, data };
+
+    // V1 readers only look at the top level
+    V1_FIELDS.forEach(field => {
+        card[field] = data[field];
+    });
+
+    return card;
+}
+
+/**
+ * Keep a card's custom tone only if it has the shape the editor saves
+ * @param {*} value crave.customTone
+ * @returns {{name: string, instructions: string}|null} Custom tone
+ */
+function readCardCustomTone(value) {
+    if (!value || typeof value !== 'object') return null;
+    const name = typeof value.name === 'string' ? value.name.trim() : '';
+    const instructions = typeof value.instructions === 'string' ? value.instructions.trim() : '';
+    return name && instructions ? { name, instructions } : null;
+}
+
+/**
+ * Keep the generation settings a card may set, as readGenerationForm would
+ * @param {*} value crave.generation
+ * @returns {Object|null} Generation settings for bot.generation
+ */
+function readCardGeneration(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const generation = {};
+    Object.keys(GENERATION_FIELDS).forEach(key => {
+        const field = value[key];
+        if (key === 'model') {
+            generation[key] = typeof field === 'string' && field.trim() ? field.trim() : null;
+        } else if (key === 'maxTokens') {
+            generation[key] = Number.isInteger(field) && field > 0 ? field : null;
+        } else {
+            generation[key] = Number.isFinite(field) ? field : null;
+        }
+    });
+    generation.stop = Array.isArray(value.stop)
+        ? value.stop.filter(stop => typeof stop === 'string' && stop.trim()).slice(0, MAX_CARD_STOP_SEQUENCES)
+        : [];
+
+    return generation;
+}
+
+/**
+ * Turn a character card (V1 or V2) into a new bot
+ * @param {Object} card Parsed card JSON
+ * @returns {Object} Bot in the current schema, with a fresh ID
+ * @throws {Error} If the JSON is not a character card
+ */
+function cardToBot(card) {
+    if (!card || typeof card !== 'object') {
+        throw new Error('Not a character card');
+    }
+
+    const isV2 = card.spec === CARD_SPEC || (card.data && typeof card.data === 'object' && card.data.name);
+    const data = isV2 ? card.data : card;
+    if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('The character card has no name');
+    }
+
+    const extensions = data.extensions && typeof data.extensions === 'object' ? data.extensions : {};
+    const crave = extensions.crave && typeof extensions.crave === 'object' ? extensions.crave : null;
+
+    let description = normalizePlaceholders(data.description);
+    let traits = [];
+    if (crave && Array.isArray(crave.traits)) {
+        traits = crave.traits.filter(trait => typeof trait === 'string' && trait.trim()).map(trait => trait.trim());
+    } else {
+        const personality = normalizePlaceholders(data.personality);
+        const parts = personality.split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length <= MAX_TRAITS && parts.every(part => part.length <= MAX_TRAIT_LENGTH && !/[.!?]/.test(part))) {
+            traits = parts;
+        } else if (personality) {
+            description = `${description}\n\nPersonality: ${personality}`.trim();
+        }
+    }
+
+    const tags = Array.isArray(data.tags) ? data.tags : [];
+    const ageCategory = crave && CARD_AGE_CATEGORIES.includes(crave.ageCategory)
+        ? crave.ageCategory
+        : (tags.some(tag => typeof tag === 'string' && /nsfw/i.test(tag)) ? 'NSFW (18+)' : 'SFW (12+)');
+    const customTone = crave ? readCardCustomTone(crave.customTone) : null;
+    // 'Custom' needs a custom tone to go with it
+    const chatTone = crave && typeof crave.chatTone === 'string'
+        && Object.prototype.hasOwnProperty.call(window.aiService.DEFAULT_PROMPT_TEMPLATES, crave.chatTone)
+        && (crave.chatTone !== 'Custom' || customTone)
+        ? crave.chatTone
+        : 'Normal';
+
+    let promptTemplate = normalizePlaceholders(data.system_prompt) || null;
+    if (promptTemplate && promptTemplate.includes('{{original}}')) {
+        // {{original}} stands for the front-end's own prompt
+        promptTemplate = promptTemplate.replace(/\{\{original\}\}/g,
+            window.aiService.DEFAULT_PROMPT_TEMPLATES[chatTone] || window.aiService.DEFAULT_PROMPT_TEMPLATES.Normal);
+    }
+
+    const otherExtensions = pickUnknown(extensions, ['crave']);
+    const dataExtras = pickUnknown(data, isV2 ? MAPPED_DATA_FIELDS : [...MAPPED_DATA_FIELDS, 'spec', 'spec_version', 'data']);
+    if (Object.keys(otherExtensions).length > 0) dataExtras.extensions = otherExtensions;
+    const cardExtras = {
+        card: isV2 ? pickUnknown(card, [...V1_FIELDS, 'spec', 'spec_version', 'data']) : {},
+        data: dataExtras
+    };
+
+    const now = Date.now();
+    return {
+        ...CHARACTER_DEFAULTS,
+        schemaVersion: BOT_SCHEMA_VERSION,
+        id: generateId(),
+        name: data.name.trim(),
+        description,
+        ageCategory,
+        chatTone,
+        customTone: chatTone === 'Custom' ? customTone : null,
+        greeting: normalizePlaceholders(data.first_mes),
+        scenario: normalizePlaceholders(data.scenario),
+        exampleDialogues: normalizePlaceholders(data.mes_example),
+        traits,
+        speakingStyle: crave && typeof crave.speakingStyle === 'string' ? crave.speakingStyle.trim() : '',
+        creatorNotes: typeof data.creator_notes === 'string' ? data.creator_notes.trim() : '',
+        generation: crave ? readCardGeneration(crave.generation) : null,
+        promptTemplate,
+        instructions: crave && typeof crave.instructions === 'string' && crave.instructions
+            && crave.instructions.length <= MAX_CARD_INSTRUCTIONS_LENGTH
+            ? crave.instructions
+            : null,
+        tags: normalizeTags(tags),
+        image: crave && typeof crave.image === 'string' && CARD_IMAGE_PATTERN.test(crave.image) ? crave.image : null,
+        cardExtras,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// --- Share links -------------------------------------------------------------
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} bytes Input
+ * @param {TransformStream} transform Stream to pipe through
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * URL of a page next to the current one
+ * @param {string} page Page file name
+ * @returns {URL} Absolute URL
+ */
+function getPageUrl(page) {
+    return new URL(page, window.location.href);
+}
+
+/**
+ * Share link that carries the bot's card in its fragment
+ * @param {Object} bot Bot object
+ * @param {Object} [options]
+ * @param {boolean} [options.includeImage] Keep the avatar (makes the link much longer)
+ * @returns {Promise<string>} Link to the explore page
+ */
+async function createShareLink(bot, { includeImage = false } = {}) {
+    const json = new TextEncoder().encode(JSON.stringify(botToCard(bot, { includeImage })));
+
+    let payload = `${SHARE_FORMAT_PLAIN}.${bytesToBase64Url(json)}`;
+    if (typeof CompressionStream === 'function') {
+        const deflated = await transformBytes(json, new CompressionStream('deflate-raw'));
+        payload = `${SHARE_FORMAT_DEFLATE}.${bytesToBase64Url(deflated)}`;
+    }
+
+    const url = getPageUrl('explore.html');
+    url.hash = `${SHARE_HASH_KEY}=${payload}`;
+    return url.toString();
+}
+
+/**
+ * Publish the bot's card to the backend for a short link
+ * @param {Object} bot Bot object
+ * @param {Object} [options]
+ * @param {boolean} [options.includeImage] Keep the avatar
+ * @returns {Promise<string>} Short link to the explore page
+ * @throws {Error} If the backend refuses or cannot be reached
+ */
+async function publishShare(bot, { includeImage = false } = {}) {
+    const response = await fetch(`${AI_CONFIG.backendUrl}/api/shares`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(botToCard(bot, { includeImage }))
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Publishing failed: ${response.status} ${response.statusText}`);
+    }
+
+    const url = getPageUrl('explore.html');
+    url.searchParams.set(SHARE_QUERY_KEY, data.id);
+    return url.toString();
+}
+
+/**
+ * Read the bot a share link points at, if the page was opened from one
+ * @param {Location|URL} location Page location
+ * @returns {Promise<Object|null>} New bot from the shared card, or null for an ordinary visit
+ * @throws {Error} If the link is damaged or the published share is gone
+ */
+async function readShareLink(location) {
+    const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const payload = hash.get(SHARE_HASH_KEY);
+    if (payload) {
+        const [format, data] = payload.split('.');
+        let json;
+        try {
+            let bytes = base64UrlToBytes(data || '');
+            if (format === SHARE_FORMAT_DEFLATE) {
+                bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+            } else if (format !== SHARE_FORMAT_PLAIN) {
+                throw new Error(`unknown format "${format}"`);
+            }
+            json = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (err) {
+            throw new Error(`This share link is damaged or incomplete (${err.message})`);
+        }
+        return cardToBot(json);
+    }
+
+    const shareId = new URLSearchParams(location.search).get(SHARE_QUERY_KEY);
+    if (shareId) {
+        const response = await fetch(`${AI_CONFIG.backendUrl}/api/shares/${encodeURIComponent(shareId)}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Could not load the shared bot: ${response.status} ${response.statusText}`);
+        }
+        return cardToBot(data.card);
+    }
+
+    return null;
+}
+
+// --- Files -------------------------------------------------------------------
+
+/**
+ * File name for an exported bot
+ * @param {Object} bot Bot object
+ * @param {string} extension File extension without the dot
+ * @returns {string} File name
+ */
+function getCardFileName(bot, extension) {
+    const slug = bot.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'character';
+    return `${slug}.${extension}`;
+}
+
+/**
+ * Export a bot as a JSON character card (avatar included)
+ * @param {Object} bot Bot object
+ * @returns {Blob} JSON file
+ */
+function exportCardJson(bot) {
+    const card = botToCard(bot, { includeImage: true });
+    return new Blob([JSON.stringify(card, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Export a bot as a PNG character card: its avatar with the card embedded
+ * @param {Object} bot Bot object
+ * @returns {Promise<Blob>} PNG file
+ */
+async function exportCardPng(bot) {
+    const png = await imageToPng(bot.image || 'img/default-bot.svg');
+    const json = new TextEncoder().encode(JSON.stringify(botToCard(bot)));
+    const text = new TextEncoder().encode(`${PNG_CARD_KEYWORD}\0${bytesToBase64(json)}`);
+
+    const chunks = readPngChunks(png).filter(chunk => !isCardChunk(chunk));
+    chunks.splice(chunks.length - 1, 0, { type: 'tEXt', data: text });
+
+    return new Blob([writePngChunks(chunks)], { type: 'image/png' });
+}
+
+/**
+ * Read a JSON or PNG character card file into a new bot
+ * @param {File} file Card file
+ * @returns {Promise<Object>} Bot in the current schema
+ * @throws {Error} If the file holds no readable card
+ */
+async function importCardFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        const chunks = readPngChunks(bytes);
+        const cardChunk = chunks.find(isCardChunk);
+        if (!cardChunk) {
+            throw new Error(`${file.name} is a PNG without a character card`);
+        }
+
+        const json = new TextDecoder().decode(base64ToBytes(readTextChunk(cardChunk.data).text));
+        const bot = cardToBot(JSON.parse(json));
+        // The avatar is the PNG itself, minus the card
+        const avatar = writePngChunks(chunks.filter(chunk => chunk !== cardChunk && !isCardChunk(chunk)));
+        bot.image = `data:image/png;base64,${bytesToBase64(avatar)}`;
+        return bot;
+    }
+
+    let card;
+    try {
+        card = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (parseError) {
+        throw new Error(`${file.name} is neither a PNG nor a JSON character card`);
+    }
+    return cardToBot(card);
+}
+
+// Export functions
+window.cardService = {
+    botToCard,
+    cardToBot,
+    exportCardJson,
+    exportCardPng,
+    importCardFile,
+    getCardFileName,
+    createShareLink,
+    publishShare,
+    readShareLink
+};
@@ -0,0 +1,252 @@
+/**
+ * Crave.ai - Image Service
+ * Turns uploaded pictures into bot avatars: checks the file, crops it to a
+ * square, scales it to the fixed avatar sizes and re-encodes it small
+ * enough to store. WebP is used where the browser can write it, JPEG
+ * otherwise.
+ *
+ * Every bot gets two sizes: image (chat and card export) and thumbnail
+ * (explore grid and manage list).
+ */
+
+// Edge length in pixels of each avatar size
+const AVATAR_SIZES = {
+    image: 512,
+    thumbnail: 256
+};
+
+// Encoded size each avatar should fit in; quality steps down until it does
+const AVATAR_BYTE_TARGETS = {
+    image: 120 * 1024,
+    thumbnail: 40 * 1024
+};
+
+const ENCODE_QUALITY_START = 0.9;
+const ENCODE_QUALITY_MIN = 0.5;
+const ENCODE_QUALITY_STEP = 0.1;
+
+// Uploads outside these limits are refused before or right after decoding
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MAX_UPLOAD_PIXELS = 40 * 1000 * 1000;
+const MIN_UPLOAD_EDGE = 64;
+const SUPPORTED_UPLOAD_TYPES = {
+    'image/jpeg': 'JPEG',
+    'image/png': 'PNG',
+    'image/webp': 'WebP',
+    'image/gif': 'GIF',
+    'image/bmp': 'BMP',
+    'image/avif': 'AVIF'
+};
+
+// Output format, found out on first use
+let avatarOutputType = null;
+
+/**
+ * Decode an image file
+ * @param {File} file Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image (width/height are its pixel size)
+ */
+async function decodeImageFile(file) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Check and decode an uploaded avatar
+ * @param {File} file Uploaded file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ * @throws {Error} With a message for the user if the file is unusable
+ */
+async function loadAvatarFile(file) {
+    if (!file.type || !file.type.startsWith('image/')) {
+        throw new Error(`${file.name} is not an image`);
+    }
+    if (!SUPPORTED_UPLOAD_TYPES[file.type]) {
+        throw new Error(`${file.name} is not a supported image type. Use ${Object.values(SUPPORTED_UPLOAD_TYPES).join(', ')}`);
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+        throw new Error(`${file.name} is ${(file.size / (1024 * 1024)).toFixed(1)} MB; images can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+    }
+
+    let image;
+    try {
+        image = await decodeImageFile(file);
+    } catch (error) {
+        throw new Error(`${file.name} could not be read as an image`);
+    }
+
+    if (image.width * image.height > MAX_UPLOAD_PIXELS) {
+        throw new Error(`${file.name} is ${image.width}x${image.height}; images can be at most ${MAX_UPLOAD_PIXELS / 1000000} megapixels`);
+    }
+    if (Math.min(image.width, image.height) < MIN_UPLOAD_EDGE) {
+        throw new Error(`${file.name} is only ${image.width}x${image.height}; avatars need at least ${MIN_UPLOAD_EDGE}x${MIN_UPLOAD_EDGE} pixels`);
+    }
+    return image;
+}
+
+/**
+ * Check and decode an avatar held as a data URL (imported cards and share links)
+ * @param {string} dataUrl Base64 image data URL
+ * @param {string} name What to call the image in error messages
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ * @throws {Error} With a message for the user if the image is unusable
+ */
+async function loadAvatarDataUrl(dataUrl, name) {
+    const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/]*={0,2})$/.exec(dataUrl);
+    if (!match) {
+        throw new Error(`${name} is not an image`);
+    }
+
+    const binary = atob(match[2]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return loadAvatarFile(new File([bytes], name, { type: match[1] }));
+}
+
+/**
+ * Canvas of a given square size
+ * @param {number} size Edge length in pixels
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function createSquareCanvas(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+}
+
+/**
+ * Draw a square region of an image at a new size. Large reductions are
+ * done in halving steps, which looks much better than one big jump.
+ * @param {CanvasImageSource} source Image
+ * @param {{x: number, y: number, size: number}} crop Square region in source pixels
+ * @param {number} size Output edge length
+ * @returns {HTMLCanvasElement} Scaled square
+ */
+function drawSquare(source, crop, size) {
+    let current = source;
+    let { x, y, size: from } = crop;
+
+    while (from / 2 >= size) {
+        const half = Math.round(from / 2);
+        const step = createSquareCanvas(half);
+        const ctx = step.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(current, x, y, from, from, 0, 0, half, half);
+        current = step;
+        x = 0;
+        y = 0;
+        from = half;
+    }
+
+    const canvas = createSquareCanvas(size);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(current, x, y, from, from, 0, 0, size, size);
+    return canvas;
+}
+
+/**
+ * Encode a canvas
+ * @param {HTMLCanvasElement} canvas Canvas
+ * @param {string} type MIME type
+ * @param {number} quality 0-1
+ * @returns {Promise<Blob>} Encoded image
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image'))), type, quality);
+    });
+}
+
+/**
+ * The format avatars are written in: WebP if the browser can encode it
+ * (some only decode it and quietly hand back PNG), else JPEG
+ * @returns {Promise<string>} MIME type
+ */
+async function getAvatarOutputType() {
+    if (!avatarOutputType) {
+        const probe = await canvasToBlob(createSquareCanvas(1), 'image/webp', ENCODE_QUALITY_START).catch(() => null);
+        avatarOutputType = probe && probe.type === 'image/webp' ? 'image/webp' : 'image/jpeg';
+    }
+    return avatarOutputType;
+}
+
+/**
+ * Encode a canvas as small as the byte target asks, within the quality floor
+ * @param {HTMLCanvasElement} canvas Canvas
+ * @param {number} byteTarget Size to aim for
+ * @returns {Promise<string>} Data URL
+ */
+async function encodeAvatar(canvas, byteTarget) {
+    const type = await getAvatarOutputType();
+
+    if (type === 'image/jpeg') {
+        // JPEG has no transparency; put see-through parts on the page colour
+        const flat = createSquareCanvas(canvas.width);
+        const ctx = flat.getContext('2d');
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, flat.width, flat.height);
+        ctx.drawImage(canvas, 0, 0);
+        canvas = flat;
+    }
+
+    let quality = ENCODE_QUALITY_START;
+    let blob = await canvasToBlob(canvas, type, quality);
+    while (blob.size > byteTarget && quality - ENCODE_QUALITY_STEP >= ENCODE_QUALITY_MIN - 1e-9) {
+        quality -= ENCODE_QUALITY_STEP;
+        blob = await canvasToBlob(canvas, type, quality);
+    }
+
+    // blobToDataUrl comes from storage-service.js
+    return blobToDataUrl(blob);
+}
+
+/**
+ * Largest centred square of an image
+ * @param {{width: number, height: number}} image Decoded image
+ * @returns {{x: number, y: number, size: number}} Crop in source pixels
+ */
+function getCenterCrop(image) {
+    const size = Math.min(image.width, image.height);
+    return { x: (image.width - size) / 2, y: (image.height - size) / 2, size };
+}
+
+/**
+ * Crop, scale and encode an avatar in every size
+ * @param {CanvasImageSource} image Decoded image from loadAvatarFile
+ * @param {{x: number, y: number, size: number}} [crop] Square region in source pixels (default: centred)
+ * @returns {Promise<{image: string, thumbnail: string}>} Data URLs for bot.image and bot.thumbnail
+ */
+async function createAvatar(image, crop = getCenterCrop(image)) {
+    const full = drawSquare(image, crop, AVATAR_SIZES.image);
+    const thumbnail = drawSquare(full, { x: 0, y: 0, size: AVATAR_SIZES.image }, AVATAR_SIZES.thumbnail);
+
+    return {
+        image: await encodeAvatar(full, AVATAR_BYTE_TARGETS.image),
+        thumbnail: await encodeAvatar(thumbnail, AVATAR_BYTE_TARGETS.thumbnail)
+    };
+}
+
+// Export functions
+window.imageService = {
+    loadAvatarFile,
+    loadAvatarDataUrl,
+    createAvatar,
+    getCenterCrop,
+    AVATAR_SIZES,
+    MAX_UPLOAD_BYTES
+};
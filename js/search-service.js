@@ -0,0 +1,261 @@
+/**
+ * Crave.ai - Search Service
+ * Full-text search over every chat message. Messages are split into words
+ * (lower case, accents removed) and kept in an inverted index: word -> the
+ * messages it appears in and at which word positions. The index is built
+ * from the storage cache on the first search and then kept up to date a
+ * thread at a time through storageService.onChatsChanged, so a search
+ * never has to read the chats themselves.
+ *
+ * Only what is on screen in each thread is indexed: the chosen alternative
+ * of a reply and the branch shown, not the ones put aside.
+ *
+ * Query syntax (every part must match):
+ *   word       the whole word
+ *   word*      any word starting with "word"
+ *   "a b c"    these words next to each other, in this order
+ *              ("a b*" ends with a prefix)
+ */
+
+// What counts as a word
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const searchIndex = {
+    built: false,
+    // Message key -> { threadId, index, sender, timestamp, text, words }
+    messages: new Map(),
+    // Thread ID -> keys of its messages
+    threads: new Map(),
+    // Word -> Map(message key -> word positions)
+    words: new Map(),
+    // Every word in sort order for prefix lookups; null when it needs rebuilding
+    sortedWords: null
+};
+
+/**
+ * Lower-case a word and strip its accents
+ * @param {string} word Word as written
+ * @returns {string} Word as indexed
+ */
+function normalizeSearchWord(word) {
+    return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into words
+ * @param {string} text Text
+ * @returns {Array<{word: string, start: number, end: number}>} Normalized words with their place in the text
+ */
+function tokenizeSearchText(text) {
+    return Array.from(text.matchAll(SEARCH_WORD_PATTERN), match => ({
+        word: normalizeSearchWord(match[0]),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Drop a thread's messages from the index
+ * @param {string} threadId Thread ID
+ */
+function unindexThread(threadId) {
+    (searchIndex.threads.get(threadId) || []).forEach(key => {
+        searchIndex.messages.get(key).words.forEach(word => {
+            const postings = searchIndex.words.get(word);
+            postings.delete(key);
+            if (postings.size === 0) {
+                searchIndex.words.delete(word);
+                searchIndex.sortedWords = null;
+            }
+        });
+        searchIndex.messages.delete(key);
+    });
+    searchIndex.threads.delete(threadId);
+}
+
+/**
+ * (Re)index every message of a thread
+ * @param {string} threadId Thread ID
+ * @param {Array} history Chat history
+ */
+function indexThread(threadId, history) {
+    unindexThread(threadId);
+
+    const keys = [];
+    history.forEach((message, index) => {
+        if (!message || typeof message.text !== 'string') return;
+
+        const key = `${threadId}\n${index}`;
+        const tokens = tokenizeSearchText(message.text);
+        tokens.forEach(({ word }, position) => {
+            let postings = searchIndex.words.get(word);
+            if (!postings) {
+                postings = new Map();
+                searchIndex.words.set(word, postings);
+                searchIndex.sortedWords = null;
+            }
+            if (!postings.has(key)) postings.set(key, []);
+            postings.get(key).push(position);
+        });
+
+        searchIndex.messages.set(key, {
+            threadId,
+            index,
+            sender: message.sender,
+            timestamp: new Date(message.timestamp).getTime() || 0,
+            text: message.text,
+            words: new Set(tokens.map(token => token.word))
+        });
+        keys.push(key);
+    });
+    if (keys.length > 0) searchIndex.threads.set(threadId, keys);
+}
+
+/**
+ * Build the index from every stored chat, the first time it is needed
+ */
+function ensureSearchIndex() {
+    if (searchIndex.built) return;
+    Object.entries(window.storageService.getChats()).forEach(([threadId, history]) => indexThread(threadId, history));
+    searchIndex.built = true;
+}
+
+// Keep the index in step with saved messages once it exists
+window.storageService.onChatsChanged(threadIds => {
+    if (!searchIndex.built) return;
+    threadIds.forEach(threadId => indexThread(threadId, window.storageService.getChat(threadId)));
+});
+
+/**
+ * Split a query into the parts that must all match
+ * @param {string} query Query text
+ * @returns {Array<{words: Array<string>, prefix: boolean}>} Runs of words that must appear together; prefix applies to the last one
+ */
+function parseSearchQuery(query) {
+    const parts = [];
+    for (const [, phrase, term] of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+        const text = phrase !== undefined ? phrase : term;
+        const words = tokenizeSearchText(text).map(token => token.word);
+        if (words.length === 0) continue;
+        parts.push({ words, prefix: /\*\s*$/.test(text) });
+    }
+    return parts;
+}
+
+/**
+ * Messages containing any word that starts with a prefix
+ * @param {string} prefix Normalized prefix
+ * @returns {Map<string, Array<number>>} Message key -> word positions
+ */
+function findPrefix(prefix) {
+    if (!searchIndex.sortedWords) {
+        searchIndex.sortedWords = Array.from(searchIndex.words.keys()).sort();
+    }
+    const words = searchIndex.sortedWords;
+
+    // First word not before the prefix
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (words[middle] < prefix) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    const found = new Map();
+    for (let i = low; i < words.length && words[i].startsWith(prefix); i++) {
+        searchIndex.words.get(words[i]).forEach((positions, key) => {
+            found.set(key, (found.get(key) || []).concat(positions));
+        });
+    }
+    return found;
+}
+
+/**
+ * Where a query part matches
+ * @param {{words: Array<string>, prefix: boolean}} part Query part
+ * @returns {Map<string, Array<number>>} Message key -> positions of the part's first word
+ */
+function findQueryPart(part) {
+    const postingsOf = (word, i) => (part.prefix && i === part.words.length - 1
+        ? findPrefix(word)
+        : searchIndex.words.get(word) || new Map());
+
+    let starts = new Map(postingsOf(part.words[0], 0));
+    for (let i = 1; i < part.words.length && starts.size > 0; i++) {
+        const next = postingsOf(part.words[i], i);
+        const matched = new Map();
+        starts.forEach((positions, key) => {
+            const following = new Set(next.get(key) || []);
+            const kept = positions.filter(position => following.has(position + i));
+            if (kept.length > 0) matched.set(key, kept);
+        });
+        starts = matched;
+    }
+    return starts;
+}
+
+/**
+ * Search every chat message
+ * @param {string} query Query (see the syntax at the top of this file)
+ * @param {Object} [options]
+ * @param {(message: {threadId: string, index: number, sender: string, timestamp: number}) => boolean} [options.filter] Which messages may match
+ * @returns {Array<{threadId: string, index: number, sender: string, timestamp: number, text: string, highlights: Array<[number, number]>}>}
+ *          Matching messages, newest first, with the character ranges that matched
+ */
+function searchMessages(query, { filter = null } = {}) {
+    const parts = parseSearchQuery(query);
+    if (parts.length === 0) return [];
+    ensureSearchIndex();
+
+    // Match the rarest-looking part first so the others check fewer messages
+    const matches = parts.map(part => ({ part, starts: findQueryPart(part) }))
+        .sort((a, b) => a.starts.size - b.starts.size);
+
+    const results = [];
+    matches[0].starts.forEach((positions, key) => {
+        if (!matches.every(({ starts }) => starts.has(key))) return;
+
+        const message = searchIndex.messages.get(key);
+        if (filter && !filter(message)) return;
+
+        // Word positions covered by any part, turned into character ranges
+        // (a run of neighbouring words becomes one range)
+        const covered = new Set();
+        matches.forEach(({ part, starts }) => {
+            starts.get(key).forEach(start => {
+                for (let i = 0; i < part.words.length; i++) covered.add(start + i);
+            });
+        });
+        const tokens = tokenizeSearchText(message.text);
+        const highlights = [];
+        let previous = null;
+        Array.from(covered).sort((a, b) => a - b).forEach(position => {
+            if (previous !== null && position === previous + 1) {
+                highlights[highlights.length - 1][1] = tokens[position].end;
+            } else {
+                highlights.push([tokens[position].start, tokens[position].end]);
+            }
+            previous = position;
+        });
+
+        results.push({
+            threadId: message.threadId,
+            index: message.index,
+            sender: message.sender,
+            timestamp: message.timestamp,
+            text: message.text,
+            highlights
+        });
+    });
+
+    return results.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Export functions
+window.searchService = {
+    search: searchMessages
+};
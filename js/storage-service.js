@@ -0,0 +1,621 @@
+/**
+ * Crave.ai - Storage Service
+ * Keeps bots and chats in IndexedDB, which has far more room than
+ * localStorage and does not need the whole data set rewritten on every
+ * change.
+ *
+ * The database has these stores:
+ *   bots        Bot records without their avatar, keyed by id
+ *   images      Avatars as binary Blobs, keyed by bot id
+ *   thumbnails  Small avatars (bot.thumbnail) as Blobs, keyed by bot id
+ *   messages    One record per chat message: { botId, index, message }, where
+ *               botId is the ID of the chat thread (see getThreadBotId in app.js)
+ *   threads     Names of chat threads: { id, title, createdAt }
+ *   revisions   Saved versions of each bot: { id, botId, savedAt, note, bot }
+ *   trash       Deleted bots with their chats: { id, deletedAt, bot, chats, threads }
+ *
+ * Everything is read into memory once by open(), so the rest of the app
+ * can keep reading synchronously. Writes update that copy at once and are
+ * written to IndexedDB in the background, in order; only the records that
+ * changed are written, and onChatsChanged listeners hear which chats did.
+ * Revisions and the trash are the exception: they stay on disk and are
+ * only read when a page asks for them.
+ *
+ * Bots and chats used to live in localStorage (crave_ai_bots and
+ * crave_ai_chats); open() moves them over the first time it runs.
+ */
+
+const STORAGE_DB_NAME = 'crave_ai';
+const STORAGE_DB_VERSION = 5;
+
+// Bot fields holding data URL images -> the store their Blobs live in
+const IMAGE_STORES = {
+    image: 'images',
+    thumbnail: 'thumbnails'
+};
+const ALL_STORES = ['bots', ...Object.values(IMAGE_STORES), 'messages', 'threads', 'revisions', 'trash'];
+
+// localStorage keys of the old layout, moved into IndexedDB by open()
+const LEGACY_STORAGE_KEYS = {
+    BOTS: 'crave_ai_bots',
+    CHATS: 'crave_ai_chats'
+};
+
+// In-memory copy of the data, and what IndexedDB holds, as JSON, for
+// finding the records a save actually changed
+const storageCache = { bots: [], chats: {}, threads: {} };
+const storedRecords = {
+    bots: new Map(),
+    images: Object.fromEntries(Object.keys(IMAGE_STORES).map(field => [field, new Map()])),
+    messages: new Map()
+};
+
+let storageDb = null;
+let storageWrites = Promise.resolve();
+
+// Called with the IDs of the chat threads that changed (see onChatsChanged)
+const chatListeners = [];
+
+// --- IndexedDB helpers -------------------------------------------------------
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request Request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Promise that settles when a transaction commits or fails
+ * @param {IDBTransaction} tx Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+}
+
+/**
+ * Open the database, creating or upgrading its stores as needed
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+    const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+    request.onupgradeneeded = event => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+            db.createObjectStore('bots', { keyPath: 'id' });
+            db.createObjectStore('images');
+            db.createObjectStore('messages', { keyPath: ['botId', 'index'] });
+        }
+        if (event.oldVersion < 2) {
+            db.createObjectStore('thumbnails');
+        }
+        if (event.oldVersion < 3) {
+            db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true })
+                .createIndex('botId', 'botId');
+        }
+        if (event.oldVersion < 4) {
+            db.createObjectStore('trash', { keyPath: 'id' })
+                .createIndex('deletedAt', 'deletedAt');
+        }
+        if (event.oldVersion < 5) {
+            db.createObjectStore('threads', { keyPath: 'id' });
+        }
+    };
+    return requestToPromise(request);
+}
+
+// --- Images ------------------------------------------------------------------
+
+/**
+ * Turn a base64 data URL into a Blob
+ * @param {string} dataUrl Data URL
+ * @returns {Blob} Binary image
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+/**
+ * Read a Blob back into a data URL
+ * @param {Blob} blob Binary image
+ * @returns {Promise<string>} Data URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Delete the oldest revisions of a bot beyond a limit
+ * @param {IDBTransaction} tx Readwrite transaction on the revisions store
+ * @param {string} botId Bot ID
+ * @param {number} keep How many of the newest revisions to keep
+ */
+function pruneRevisions(tx, botId, keep) {
+    const store = tx.objectStore('revisions');
+    // Keys come back oldest first (IDs only grow)
+    store.index('botId').getAllKeys(IDBKeyRange.only(botId)).onsuccess = event => {
+        const keys = event.target.result;
+        keys.slice(0, Math.max(0, keys.length - keep)).forEach(key => store.delete(key));
+    };
+}
+
+/**
+ * Split a bot into its record and its images. Only data URLs are moved
+ * into the image stores; links to image files stay on the record.
+ * @param {Object} bot Bot object
+ * @returns {{record: Object, images: Object}} Bot record, and field -> data URL
+ */
+function splitBotImages(bot) {
+    const record = { ...bot };
+    const images = {};
+    Object.keys(IMAGE_STORES).forEach(field => {
+        if (typeof bot[field] === 'string' && bot[field].startsWith('data:')) {
+            images[field] = bot[field];
+            record[field] = null;
+        }
+    });
+    return { record, images };
+}
+
+// --- Loading -----------------------------------------------------------------
+
+/**
+ * Move bots and chats from the old localStorage keys into IndexedDB
+ */
+async function migrateLegacyStorage() {
+    const legacyBots = localStorage.getItem(LEGACY_STORAGE_KEYS.BOTS);
+    const legacyChats = localStorage.getItem(LEGACY_STORAGE_KEYS.CHATS);
+    if (legacyBots === null && legacyChats === null) return;
+
+    const bots = JSON.parse(legacyBots) || [];
+    const chats = JSON.parse(legacyChats) || {};
+
+    const tx = storageDb.transaction(ALL_STORES, 'readwrite');
+    bots.forEach(bot => {
+        const { record, images } = splitBotImages(bot);
+        tx.objectStore('bots').put(record);
+        Object.entries(images).forEach(([field, dataUrl]) => {
+            tx.objectStore(IMAGE_STORES[field]).put(dataUrlToBlob(dataUrl), bot.id);
+        });
+    });
+    Object.entries(chats).forEach(([botId, messages]) => {
+        messages.forEach((message, index) => {
+            tx.objectStore('messages').put({ botId, index, message });
+        });
+    });
+    await transactionDone(tx);
+
+    // Only once everything is safely in IndexedDB
+    localStorage.removeItem(LEGACY_STORAGE_KEYS.BOTS);
+    localStorage.removeItem(LEGACY_STORAGE_KEYS.CHATS);
+}
+
+/**
+ * Read the whole database into memory
+ */
+async function loadStorageCache() {
+    const tx = storageDb.transaction(ALL_STORES, 'readonly');
+    const imageFields = Object.keys(IMAGE_STORES);
+    const [records, messages, threads, ...imageLists] = await Promise.all([
+        requestToPromise(tx.objectStore('bots').getAll()),
+        requestToPromise(tx.objectStore('messages').getAll()),
+        requestToPromise(tx.objectStore('threads').getAll()),
+        ...imageFields.flatMap(field => [
+            requestToPromise(tx.objectStore(IMAGE_STORES[field]).getAllKeys()),
+            requestToPromise(tx.objectStore(IMAGE_STORES[field]).getAll())
+        ])
+    ]);
+
+    for (const [i, field] of imageFields.entries()) {
+        const [keys, blobs] = [imageLists[i * 2], imageLists[i * 2 + 1]];
+        for (let j = 0; j < keys.length; j++) {
+            storedRecords.images[field].set(keys[j], await blobToDataUrl(blobs[j]));
+        }
+    }
+
+    storageCache.bots = records
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        .map(record => {
+            storedRecords.bots.set(record.id, JSON.stringify(record));
+            const bot = { ...record };
+            imageFields.forEach(field => {
+                if (storedRecords.images[field].has(record.id)) bot[field] = storedRecords.images[field].get(record.id);
+            });
+            return bot;
+        });
+
+    // getAll() returns messages in key order: by bot, then by index
+    storageCache.chats = {};
+    messages.forEach(({ botId, index, message }) => {
+        if (!storageCache.chats[botId]) storageCache.chats[botId] = [];
+        storageCache.chats[botId][index] = message;
+    });
+    Object.entries(storageCache.chats).forEach(([botId, history]) => {
+        storedRecords.messages.set(botId, history.map(message => JSON.stringify(message)));
+    });
+
+    storageCache.threads = Object.fromEntries(threads.map(thread => [thread.id, thread]));
+}
+
+/**
+ * Open the database and load it into memory; call before anything else.
+ * If IndexedDB cannot be used, the data is still read from localStorage
+ * but nothing is saved.
+ * @returns {Promise<void>}
+ * @throws {Error} If IndexedDB is unavailable (after the fallback is loaded)
+ */
+async function openStorage() {
+    try {
+        storageDb = await openDatabase();
+        await migrateLegacyStorage();
+        await loadStorageCache();
+    } catch (error) {
+        storageDb = null;
+        storageCache.bots = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.BOTS)) || [];
+        storageCache.chats = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.CHATS)) || {};
+        throw error;
+    }
+}
+
+// --- Writing -----------------------------------------------------------------
+
+/**
+ * Be told whenever chats change, after the in-memory copy is updated
+ * @param {(threadIds: Array<string>) => void} listener Called with the changed thread IDs
+ */
+function onChatsChanged(listener) {
+    chatListeners.push(listener);
+}
+
+/**
+ * Tell the chat listeners which threads changed
+ * @param {Array<string>} threadIds Thread IDs
+ */
+function notifyChatsChanged(threadIds) {
+    if (threadIds.length === 0) return;
+    chatListeners.forEach(listener => listener(threadIds));
+}
+
+/**
+ * Queue a write transaction behind the ones already running
+ * @param {Function} write Called with a readwrite transaction on every store
+ */
+function queueWrite(write) {
+    if (!storageDb) return;
+
+    storageWrites = storageWrites.then(() => {
+        const tx = storageDb.transaction(ALL_STORES, 'readwrite');
+        write(tx);
+        return transactionDone(tx);
+    }).catch(error => {
+        console.error('Could not save to IndexedDB:', error);
+        if (typeof showToast === 'function') {
+            showToast(error && error.name === 'QuotaExceededError'
+                ? 'Browser storage is full - delete some chatbots or chats'
+                : 'Could not save your changes to browser storage', 'error');
+        }
+    });
+}
+
+/**
+ * Replace the stored bots, writing only the records that changed
+ * @param {Array} bots Every bot
+ */
+function setBots(bots) {
+    storageCache.bots = structuredClone(bots);
+
+    const puts = [];
+    const imagePuts = [];
+    const imageDeletes = [];
+    const seen = new Set();
+
+    bots.forEach(bot => {
+        seen.add(bot.id);
+        const { record, images } = splitBotImages(bot);
+        const json = JSON.stringify(record);
+        if (storedRecords.bots.get(bot.id) !== json) {
+            storedRecords.bots.set(bot.id, json);
+            puts.push(record);
+        }
+
+        Object.keys(IMAGE_STORES).forEach(field => {
+            const stored = storedRecords.images[field];
+            if (images[field] && stored.get(bot.id) !== images[field]) {
+                stored.set(bot.id, images[field]);
+                imagePuts.push([field, bot.id, dataUrlToBlob(images[field])]);
+            } else if (!images[field] && stored.has(bot.id)) {
+                stored.delete(bot.id);
+                imageDeletes.push([field, bot.id]);
+            }
+        });
+    });
+
+    const deletes = Array.from(storedRecords.bots.keys()).filter(id => !seen.has(id));
+    deletes.forEach(id => {
+        storedRecords.bots.delete(id);
+        Object.keys(IMAGE_STORES).forEach(field => {
+            if (storedRecords.images[field].delete(id)) imageDeletes.push([field, id]);
+        });
+    });
+
+    if (puts.length + imagePuts.length + imageDeletes.length + deletes.length === 0) return;
+    queueWrite(tx => {
+        puts.forEach(record => tx.objectStore('bots').put(record));
+        deletes.forEach(id => {
+            tx.objectStore('bots').delete(id);
+            // A bot in the trash keeps its history until it is purged
+            tx.objectStore('trash').getKey(id).onsuccess = event => {
+                if (event.target.result === undefined) pruneRevisions(tx, id, 0);
+            };
+        });
+        imagePuts.forEach(([field, id, blob]) => tx.objectStore(IMAGE_STORES[field]).put(blob, id));
+        imageDeletes.forEach(([field, id]) => tx.objectStore(IMAGE_STORES[field]).delete(id));
+    });
+}
+
+/**
+ * Replace the stored chats, writing only the messages that changed
+ * @param {Object} chats Thread ID -> message array
+ */
+function setChats(chats) {
+    storageCache.chats = structuredClone(chats);
+
+    const puts = [];
+    const deletes = [];
+    const changed = new Set();
+    const botIds = new Set([...storedRecords.messages.keys(), ...Object.keys(chats)]);
+
+    botIds.forEach(botId => {
+        const history = chats[botId] || [];
+        const stored = storedRecords.messages.get(botId) || [];
+        const json = history.map(message => JSON.stringify(message));
+
+        json.forEach((text, index) => {
+            if (stored[index] === text) return;
+            puts.push({ botId, index, message: history[index] });
+            changed.add(botId);
+        });
+        if (stored.length > history.length) {
+            deletes.push(IDBKeyRange.bound([botId, history.length], [botId, Infinity]));
+            changed.add(botId);
+        }
+
+        if (history.length > 0) {
+            storedRecords.messages.set(botId, json);
+        } else {
+            storedRecords.messages.delete(botId);
+        }
+    });
+
+    notifyChatsChanged(Array.from(changed));
+    if (puts.length + deletes.length === 0) return;
+    queueWrite(tx => {
+        deletes.forEach(range => tx.objectStore('messages').delete(range));
+        puts.forEach(record => tx.objectStore('messages').put(record));
+    });
+}
+
+/**
+ * Store one message of a chat without looking at the others
+ * @param {string} botId Thread ID
+ * @param {number} index Position of the message in the chat history
+ * @param {Object} message Message object
+ */
+function putMessage(botId, index, message) {
+    if (!storageCache.chats[botId]) storageCache.chats[botId] = [];
+    storageCache.chats[botId][index] = structuredClone(message);
+
+    const stored = storedRecords.messages.get(botId) || [];
+    stored[index] = JSON.stringify(message);
+    storedRecords.messages.set(botId, stored);
+    notifyChatsChanged([botId]);
+
+    queueWrite(tx => {
+        tx.objectStore('messages').put({ botId, index, message });
+    });
+}
+
+/**
+ * Store the name of a chat thread
+ * @param {{id: string, title: string, createdAt: number}} thread Thread record
+ */
+function putThread(thread) {
+    storageCache.threads[thread.id] = structuredClone(thread);
+    queueWrite(tx => {
+        tx.objectStore('threads').put(thread);
+    });
+}
+
+/**
+ * Forget chat threads (their messages go through setChats)
+ * @param {Array<string>} threadIds Thread IDs
+ */
+function deleteThreads(threadIds) {
+    const known = threadIds.filter(id => storageCache.threads[id]);
+    if (known.length === 0) return;
+
+    known.forEach(id => delete storageCache.threads[id]);
+    queueWrite(tx => {
+        known.forEach(id => tx.objectStore('threads').delete(id));
+    });
+}
+
+/**
+ * Record a revision of a bot, dropping the oldest ones beyond the limit
+ * @param {Object} bot Bot as saved
+ * @param {string} note What changed, in the user's words (may be empty)
+ * @param {number} limit How many revisions to keep for the bot
+ */
+function addRevision(bot, note, limit) {
+    const revision = { botId: bot.id, savedAt: Date.now(), note, bot: structuredClone(bot) };
+    queueWrite(tx => {
+        tx.objectStore('revisions').add(revision);
+        pruneRevisions(tx, bot.id, limit);
+    });
+}
+
+/**
+ * Read the revisions of a bot
+ * @param {string} botId Bot ID
+ * @returns {Promise<Array>} Revisions, newest first: { id, botId, savedAt, note, bot }
+ */
+async function getRevisions(botId) {
+    if (!storageDb) return [];
+
+    // Include revisions still waiting to be written
+    await storageWrites;
+    const tx = storageDb.transaction('revisions', 'readonly');
+    const revisions = await requestToPromise(tx.objectStore('revisions').index('botId').getAll(IDBKeyRange.only(botId)));
+    return revisions.reverse();
+}
+
+/**
+ * Keep a deleted bot and its chats in the trash
+ * @param {Object} bot Bot as it was when deleted
+ * @param {Object} chats Its chat threads: thread ID -> message array
+ * @param {Array} threads Its thread records
+ */
+function addToTrash(bot, chats, threads) {
+    const entry = {
+        id: bot.id,
+        deletedAt: Date.now(),
+        bot: structuredClone(bot),
+        chats: structuredClone(chats),
+        threads: structuredClone(threads)
+    };
+    queueWrite(tx => {
+        tx.objectStore('trash').put(entry);
+    });
+}
+
+/**
+ * Read the trash
+ * @returns {Promise<Array>} Entries, most recently deleted first: { id, deletedAt, bot, chats, threads }
+ */
+async function getTrash() {
+    if (!storageDb) return [];
+
+    await storageWrites;
+    const tx = storageDb.transaction('trash', 'readonly');
+    const entries = await requestToPromise(tx.objectStore('trash').index('deletedAt').getAll());
+    return entries.reverse();
+}
+
+/**
+ * Drop entries from the trash (after restoring them, or for good). The
+ * revisions of bots deleted for good, those not back in the bot list, go
+ * with them.
+ * @param {Array<string>} botIds Bot IDs
+ */
+function removeFromTrash(botIds) {
+    if (botIds.length === 0) return;
+    const purged = botIds.filter(id => !storedRecords.bots.has(id));
+    queueWrite(tx => {
+        botIds.forEach(id => tx.objectStore('trash').delete(id));
+        purged.forEach(id => pruneRevisions(tx, id, 0));
+    });
+}
+
+/**
+ * Drop every trash entry deleted before a time, with the revisions of its bot
+ * @param {number} before Timestamp in ms
+ */
+function purgeTrash(before) {
+    queueWrite(tx => {
+        tx.objectStore('trash').index('deletedAt').openCursor(IDBKeyRange.upperBound(before, true)).onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (!storedRecords.bots.has(cursor.value.id)) pruneRevisions(tx, cursor.value.id, 0);
+            cursor.delete();
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * Delete every bot, avatar, message, revision and trash entry
+ */
+function clearStorage() {
+    const threadIds = Object.keys(storageCache.chats);
+    storageCache.bots = [];
+    storageCache.chats = {};
+    storageCache.threads = {};
+    storedRecords.bots.clear();
+    storedRecords.messages.clear();
+    Object.values(storedRecords.images).forEach(records => records.clear());
+    notifyChatsChanged(threadIds);
+
+    queueWrite(tx => {
+        ALL_STORES.forEach(name => tx.objectStore(name).clear());
+    });
+}
+
+/**
+ * Message count and last message time of every chat, without copying the chats
+ * @returns {Object} Thread ID -> { count, lastAt } (lastAt is a timestamp in ms, or null)
+ */
+function getChatStats() {
+    const stats = {};
+    Object.entries(storageCache.chats).forEach(([botId, history]) => {
+        const last = history[history.length - 1];
+        stats[botId] = { count: history.length, lastAt: last && last.timestamp ? new Date(last.timestamp).getTime() : null };
+    });
+    return stats;
+}
+
+/**
+ * How much the browser lets this site store, and how much it uses
+ * @returns {Promise<{used: number, total: number}|null>} Bytes, or null if the browser will not say
+ */
+async function estimateStorage() {
+    if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { used: usage || 0, total: quota || 0 };
+}
+
+// Export functions
+window.storageService = {
+    open: openStorage,
+    getBots: () => structuredClone(storageCache.bots),
+    getChats: () => structuredClone(storageCache.chats),
+    getChat: botId => structuredClone(storageCache.chats[botId] || []),
+    getChatStats,
+    getThreads: () => structuredClone(storageCache.threads),
+    setBots,
+    setChats,
+    putMessage,
+    putThread,
+    deleteThreads,
+    onChatsChanged,
+    addRevision,
+    getRevisions,
+    addToTrash,
+    getTrash,
+    removeFromTrash,
+    purgeTrash,
+    clear: clearStorage,
+    // Resolves once every queued write has reached IndexedDB
+    flush: () => storageWrites,
+    estimate: estimateStorage,
+    isPersistent: () => storageDb !== null
+};
@@ -0,0 +1,238 @@
+/**
+ * Crave.ai - Sync Service
+ * Optionally keeps bots and chats in sync with the backend storage API,
+ * so the same data follows the user between browsers and machines.
+ *
+ * Every bot carries updatedAt, and this service tracks when each chat last
+ * changed and when bots were deleted. On sync, whichever side changed last
+ * wins; deletions are sent as tombstones so they reach other devices too.
+ * Requests carry the sync token from settings, which must match the
+ * backend's STORAGE_TOKEN.
+ */
+
+// Local bookkeeping for sync (separate from the data itself)
+const SYNC_STATE_KEY = 'crave_ai_sync';
+
+// Wait this long after a local change before pushing it
+const SYNC_DEBOUNCE_MS = 2000;
+
+let syncTimer = null;
+let syncInProgress = null;
+
+/**
+ * Get the sync bookkeeping from localStorage
+ * @returns {{lastSyncAt: number|null, chatsUpdatedAt: Object, deleted: Object}} Sync state
+ */
+function getSyncState() {
+    const state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY)) || {};
+    return {
+        lastSyncAt: state.lastSyncAt || null,
+        chatsUpdatedAt: state.chatsUpdatedAt || {},
+        deleted: state.deleted || {}
+    };
+}
+
+/**
+ * Save the sync bookkeeping to localStorage
+ * @param {Object} state Sync state
+ */
+function saveSyncState(state) {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Whether the user turned sync on in settings
+ * @returns {boolean} True if sync is enabled
+ */
+function isSyncEnabled() {
+    return getSettings().syncEnabled === true;
+}
+
+/**
+ * Record that a chat thread changed locally
+ * @param {string} threadId Thread ID
+ */
+function touchChat(threadId) {
+    const state = getSyncState();
+    state.chatsUpdatedAt[threadId] = Date.now();
+    saveSyncState(state);
+    scheduleSync();
+}
+
+/**
+ * Record that a bot was deleted locally, so the deletion can be synced
+ * @param {string} botId Chatbot ID
+ */
+function recordDeletion(botId) {
+    const state = getSyncState();
+    state.deleted[botId] = Date.now();
+    Object.keys(filterByBot(state.chatsUpdatedAt, [botId])).forEach(threadId => delete state.chatsUpdatedAt[threadId]);
+    saveSyncState(state);
+    scheduleSync();
+}
+
+/**
+ * Push local changes shortly after they happen (if sync is on)
+ */
+function scheduleSync() {
+    if (!isSyncEnabled()) return;
+
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+        syncWithBackend().catch(error => {
+            console.warn('Background sync failed:', error.message);
+        });
+    }, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Call a backend storage route and parse the JSON reply.
+ * 409 Conflict replies are returned (not thrown) so the caller can
+ * adopt the newer stored copy.
+ * @param {string} path Route path, e.g. '/api/bots'
+ * @param {Object} [options] fetch options
+ * @returns {Promise<{status: number, data: Object}>} Response status and body
+ */
+async function requestStorage(path, options = {}) {
+    const response = await fetch(`${AI_CONFIG.backendUrl}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${getSettings().syncToken || ''}`,
+            ...(options.headers || {})
+        }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok && response.status !== 409) {
+        throw new Error(data.error || `Sync request failed: ${response.status} ${response.statusText}`);
+    }
+    return { status: response.status, data };
+}
+
+/**
+ * Two-way sync of bots and chats with the backend
+ * @returns {Promise<{pulled: number, pushed: number}>} How many records moved each way
+ */
+function syncWithBackend() {
+    // Never run two syncs at once; callers share the running one
+    if (!syncInProgress) {
+        syncInProgress = runSync().finally(() => {
+            syncInProgress = null;
+        });
+    }
+    return syncInProgress;
+}
+
+async function runSync() {
+    const state = getSyncState();
+    let pulled = 0;
+    let pushed = 0;
+
+    const [{ data: remoteBotList }, { data: remoteChats }] = await Promise.all([
+        requestStorage('/api/bots?includeDeleted=1'),
+        requestStorage('/api/chats')
+    ]);
+
+    // --- Bots ---------------------------------------------------------------
+    const bots = getAllBots();
+    const chats = getAllChats();
+    const localBots = new Map(bots.map(bot => [bot.id, bot]));
+    const remoteBots = new Map(remoteBotList.map(bot => [bot.id, bot]));
+    const botIds = new Set([...localBots.keys(), ...remoteBots.keys(), ...Object.keys(state.deleted)]);
+
+    // Apply a remote bot (or tombstone) locally
+    const applyRemoteBot = remote => {
+        if (remote.deleted) {
+            localBots.delete(remote.id);
+            Object.keys(filterByBot({ ...chats, ...state.chatsUpdatedAt }, [remote.id])).forEach(threadId => {
+                delete chats[threadId];
+                delete state.chatsUpdatedAt[threadId];
+            });
+            state.deleted[remote.id] = remote.updatedAt;
+        } else {
+            localBots.set(remote.id, migrateBot(remote));
+            delete state.deleted[remote.id];
+        }
+        pulled++;
+    };
+
+    for (const id of botIds) {
+        const local = localBots.get(id)
+            || (state.deleted[id] ? { id, deleted: true, updatedAt: state.deleted[id] } : null);
+        const remote = remoteBots.get(id) || null;
+
+        const localIsNewer = local && (!remote || local.updatedAt > remote.updatedAt);
+        if (localIsNewer) {
+            // Nothing to tell the server about a bot it never had
+            if (local.deleted && !remote) continue;
+
+            const { status, data } = local.deleted
+                ? await requestStorage(`/api/bots/${encodeURIComponent(id)}?deletedAt=${local.updatedAt}`, { method: 'DELETE' })
+                : await requestStorage(`/api/bots/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(local) });
+
+            if (status === 409) {
+                applyRemoteBot(data.current);
+            } else {
+                pushed++;
+            }
+        } else if (remote && (!local || remote.updatedAt > local.updatedAt)) {
+            applyRemoteBot(remote);
+        }
+    }
+
+    // --- Chats --------------------------------------------------------------
+    const chatIds = new Set([...Object.keys(chats), ...Object.keys(remoteChats)]);
+
+    // Chats are keyed by thread ID (see getThreadBotId)
+    for (const threadId of chatIds) {
+        // Chats of deleted bots go with their bot
+        if (!localBots.has(getThreadBotId(threadId))) continue;
+
+        const localTs = state.chatsUpdatedAt[threadId] || 0;
+        const remoteTs = remoteChats[threadId];
+        const hasLocal = Array.isArray(chats[threadId]) && chats[threadId].length > 0;
+
+        if (remoteTs === undefined ? hasLocal : localTs > remoteTs) {
+            const updatedAt = localTs || Date.now();
+            const { status, data } = await requestStorage(`/api/chats/${encodeURIComponent(threadId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ messages: chats[threadId] || [], updatedAt })
+            });
+
+            if (status === 409) {
+                chats[threadId] = data.current.messages;
+                state.chatsUpdatedAt[threadId] = data.current.updatedAt;
+                pulled++;
+            } else {
+                state.chatsUpdatedAt[threadId] = updatedAt;
+                pushed++;
+            }
+        } else if (remoteTs > localTs) {
+            const { data } = await requestStorage(`/api/chats/${encodeURIComponent(threadId)}`);
+            chats[threadId] = data.messages;
+            state.chatsUpdatedAt[threadId] = data.updatedAt;
+            pulled++;
+        }
+    }
+
+    if (pulled > 0) {
+        saveBots(Array.from(localBots.values()));
+        saveAllChats(chats);
+    }
+
+    state.lastSyncAt = Date.now();
+    saveSyncState(state);
+
+    return { pulled, pushed };
+}
+
+// Export functions
+window.syncService = {
+    isSyncEnabled,
+    touchChat,
+    recordDeletion,
+    scheduleSync,
+    syncWithBackend,
+    getLastSyncAt: () => getSyncState().lastSyncAt
+};
@@ -0,0 +1,306 @@
+/**
+ * Crave.ai - Transcript Service
+ * Writes a chat thread, or a range of its messages, out as a file:
+ *   markdown  Speaker names and times in bold, messages as written
+ *   html      One standalone page styled like the chat view (avatar inlined)
+ *   text      Plain text for pasting anywhere
+ *   json      The messages and thread details for other tools, with the
+ *             bot's character card if asked for
+ *
+ * Only the messages on screen are exported: a reply's chosen alternative
+ * and the branch shown.
+ */
+
+const TRANSCRIPT_FORMAT = 'crave-ai-transcript';
+const TRANSCRIPT_VERSION = 1;
+
+// Formats: name -> file extension, MIME type and writer
+const TRANSCRIPT_FORMATS = {
+    markdown: { extension: 'md', type: 'text/markdown', write: writeMarkdownTranscript },
+    html: { extension: 'html', type: 'text/html', write: writeHtmlTranscript },
+    text: { extension: 'txt', type: 'text/plain', write: writeTextTranscript },
+    json: { extension: 'json', type: 'application/json', write: writeJsonTranscript }
+};
+
+// Bot details listed when a transcript includes the bot card: label, value
+const TRANSCRIPT_CARD_FIELDS = [
+    ['Description', bot => bot.description],
+    ['Age category', bot => bot.ageCategory],
+    ['Tone', bot => getToneLabel(bot)],
+    ['Personality', bot => (bot.traits || []).join(', ')],
+    ['Speaking style', bot => bot.speakingStyle],
+    ['Scenario', bot => bot.scenario],
+    ['Greeting', bot => bot.greeting],
+    ['Example dialogues', bot => bot.exampleDialogues],
+    ['Tags', bot => (bot.tags || []).join(', ')],
+    ['Creator notes', bot => bot.creatorNotes]
+];
+
+// formatDate, formatMessage, escapeHtml and getToneLabel come from app.js
+
+/**
+ * Collect what every format needs
+ * @param {Object} options See exportTranscript
+ * @returns {Object} Transcript
+ */
+function buildTranscript({ bot, threadId, title, history, from = 1, to = history.length, userName, includeCard = false }) {
+    return {
+        bot,
+        threadId,
+        title,
+        exportedAt: Date.now(),
+        from,
+        to,
+        total: history.length,
+        includeCard,
+        messages: history.slice(from - 1, to).map((message, i) => ({
+            ...message,
+            number: from + i,
+            name: message.sender === 'user' ? userName : bot.name
+        }))
+    };
+}
+
+/**
+ * Which messages a transcript holds, if not all of them
+ * @param {Object} transcript Transcript
+ * @returns {string} E.g. "messages 3-10 of 20", or '' for the whole chat
+ */
+function describeTranscriptRange(transcript) {
+    if (transcript.from === 1 && transcript.to === transcript.total) return '';
+    return `messages ${transcript.from}-${transcript.to} of ${transcript.total}`;
+}
+
+/**
+ * The bot details a transcript lists, leaving out empty ones
+ * @param {Object} bot Bot object
+ * @returns {Array<[string, string]>} Label, value
+ */
+function getTranscriptCardFields(bot) {
+    return TRANSCRIPT_CARD_FIELDS
+        .map(([label, read]) => [label, String(read(bot) || '').trim()])
+        .filter(([, value]) => value);
+}
+
+/**
+ * Keep a message's line breaks in Markdown, which joins single lines
+ * unless they end in two spaces (code blocks are left alone)
+ * @param {string} text Message text
+ * @returns {string} Markdown
+ */
+function keepMarkdownLineBreaks(text) {
+    let inCode = false;
+    const lines = text.split('\n');
+    return lines.map((line, i) => {
+        if (line.startsWith('```')) {
+            inCode = !inCode;
+            return line;
+        }
+        return inCode || i === lines.length - 1 ? line : `${line}  `;
+    }).join('\n');
+}
+
+/**
+ * @param {Object} transcript Transcript
+ * @returns {string} Markdown
+ */
+function writeMarkdownTranscript(transcript) {
+    const range = describeTranscriptRange(transcript);
+    const lines = [
+        `# ${transcript.title}`,
+        '',
+        `Chat with **${transcript.bot.name}**, exported ${formatDate(transcript.exportedAt)}${range ? ` (${range})` : ''}`,
+        ''
+    ];
+
+    if (transcript.includeCard) {
+        lines.push(`## About ${transcript.bot.name}`, '');
+        getTranscriptCardFields(transcript.bot).forEach(([label, value]) => {
+            lines.push(`**${label}:** ${value.includes('\n') ? `\n\n${value}` : value}`, '');
+        });
+        lines.push('---', '');
+    }
+
+    transcript.messages.forEach(message => {
+        lines.push(`**${message.name}** · *${formatDate(message.timestamp)}*`, '', keepMarkdownLineBreaks(message.text), '');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * @param {Object} transcript Transcript
+ * @returns {string} Plain text
+ */
+function writeTextTranscript(transcript) {
+    const range = describeTranscriptRange(transcript);
+    const lines = [
+        transcript.title,
+        `Chat with ${transcript.bot.name}, exported ${formatDate(transcript.exportedAt)}${range ? ` (${range})` : ''}`,
+        ''
+    ];
+
+    if (transcript.includeCard) {
+        lines.push(`About ${transcript.bot.name}`, '');
+        getTranscriptCardFields(transcript.bot).forEach(([label, value]) => {
+            lines.push(`${label}: ${value}`);
+        });
+        lines.push('', '----------------------------------------', '');
+    }
+
+    transcript.messages.forEach(message => {
+        lines.push(`[${formatDate(message.timestamp)}] ${message.name}:`, message.text, '');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * @param {Object} transcript Transcript
+ * @returns {string} JSON
+ */
+function writeJsonTranscript(transcript) {
+    const data = {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        exportedAt: new Date(transcript.exportedAt).toISOString(),
+        bot: { id: transcript.bot.id, name: transcript.bot.name },
+        thread: { id: transcript.threadId, title: transcript.title },
+        range: { from: transcript.from, to: transcript.to, total: transcript.total },
+        messages: transcript.messages.map(message => {
+            const entry = {
+                number: message.number,
+                sender: message.sender,
+                name: message.name,
+                text: message.text,
+                timestamp: new Date(message.timestamp).toISOString()
+            };
+            if (message.offline) entry.offline = true;
+            if (message.edited) entry.edited = true;
+            return entry;
+        })
+    };
+    if (transcript.includeCard) {
+        data.card = window.cardService.botToCard(transcript.bot, { includeImage: true });
+    }
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * @param {Object} transcript Transcript
+ * @returns {string} Standalone HTML page
+ */
+function writeHtmlTranscript(transcript) {
+    const { bot } = transcript;
+    const range = describeTranscriptRange(transcript);
+
+    // Only inline images survive the file being moved; others get an initial
+    const avatar = (bot.image || '').startsWith('data:')
+        ? `<img src="${escapeHtml(bot.image)}" alt="" class="avatar">`
+        : `<span class="avatar">${escapeHtml(bot.name.charAt(0).toUpperCase())}</span>`;
+
+    const card = !transcript.includeCard ? '' : `
+        <section class="card">
+            <h3>About ${escapeHtml(bot.name)}</h3>
+            <dl>
+                ${getTranscriptCardFields(bot).map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+            </dl>
+        </section>`;
+
+    const messages = transcript.messages.map(message => `
+            <div class="message ${message.sender === 'user' ? 'user' : 'bot'}">
+                <div class="message-name">${escapeHtml(message.name)}</div>
+                <div class="message-text">${formatMessage(message.text)}</div>
+                <div class="message-time">${message.edited ? 'edited &middot; ' : ''}${escapeHtml(formatDate(message.timestamp))}</div>
+            </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(transcript.title)} - ${escapeHtml(bot.name)}</title>
+<style>
+* { margin: 0; padding: 0; box-sizing: border-box; }
+body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #000; color: #fff; line-height: 1.6; padding: 20px; }
+.chat { max-width: 800px; margin: 0 auto; background: #0a0a0a; border: 1px solid #1e1e1e; border-radius: 10px; overflow: hidden; }
+.chat-header { display: flex; align-items: center; gap: 15px; padding: 15px 20px; background: #1e1e1e; }
+.chat-header h1 { font-size: 1.2rem; }
+.chat-header p { color: #b3b3b3; font-size: 0.8rem; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; object-fit: cover; flex-shrink: 0; display: flex; align-items: center; justify-content: center; background: #7f3eff; font-weight: 600; }
+.card { padding: 15px 20px; border-bottom: 1px solid #1e1e1e; }
+.card h3 { margin-bottom: 10px; font-size: 1rem; }
+.card dt { color: #b3b3b3; font-size: 0.8rem; margin-top: 8px; }
+.card dd { white-space: pre-wrap; }
+.messages { display: flex; flex-direction: column; gap: 15px; padding: 20px; }
+.message { max-width: 70%; padding: 12px 15px; border-radius: 10px; }
+.message.user { align-self: flex-end; background: #ff3e7f; border-bottom-right-radius: 0; }
+.message.bot { align-self: flex-start; background: #1e1e1e; border-bottom-left-radius: 0; }
+.message-name { font-size: 0.75rem; font-weight: 600; opacity: 0.8; }
+.message-time { font-size: 0.7rem; color: rgba(255, 255, 255, 0.7); margin-top: 5px; text-align: right; }
+.code-block { background: #1a1a1a; border: 1px solid #333; border-radius: 8px; padding: 16px; margin: 12px 0; overflow-x: auto; font-family: 'Courier New', monospace; font-size: 14px; }
+.code-block code { white-space: pre; display: block; color: #e6e6e6; }
+.inline-code { background: #2a2a2a; color: #ff6b6b; padding: 2px 6px; border-radius: 4px; font-family: 'Courier New', monospace; font-size: 0.9em; border: 1px solid #444; }
+footer { max-width: 800px; margin: 10px auto 0; color: #b3b3b3; font-size: 0.75rem; text-align: center; }
+</style>
+</head>
+<body>
+    <div class="chat">
+        <header class="chat-header">
+            ${avatar}
+            <div>
+                <h1>${escapeHtml(bot.name)}</h1>
+                <p>${escapeHtml(transcript.title)}${range ? ` &middot; ${range}` : ''}</p>
+            </div>
+        </header>${card}
+        <main class="messages">${messages}
+        </main>
+    </div>
+    <footer>Exported from Crave.ai on ${escapeHtml(formatDate(transcript.exportedAt))}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for a transcript: "<bot>-<thread title>.<extension>"
+ * @param {Object} transcript Transcript
+ * @param {string} extension File extension without the dot
+ * @returns {string} File name
+ */
+function getTranscriptFileName(transcript, extension) {
+    const slug = `${transcript.bot.name} ${transcript.title}`.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'chat';
+    return `${slug}.${extension}`;
+}
+
+/**
+ * Write a chat thread out as a file
+ * @param {string} format markdown, html, text or json
+ * @param {Object} options
+ * @param {Object} options.bot Bot the chat is with
+ * @param {string} options.threadId Thread ID
+ * @param {string} options.title Thread title
+ * @param {Array} options.history Chat history of the thread
+ * @param {number} [options.from] First message to include, counting from 1
+ * @param {number} [options.to] Last message to include
+ * @param {string} options.userName Name to show for the user's messages
+ * @param {boolean} [options.includeCard] Add the bot's details (its full character card in JSON)
+ * @returns {{blob: Blob, fileName: string}} File
+ * @throws {Error} If the format is unknown or the range is empty
+ */
+function exportTranscript(format, options) {
+    const writer = TRANSCRIPT_FORMATS[format];
+    if (!writer) throw new Error(`Unknown transcript format: ${format}`);
+
+    const transcript = buildTranscript(options);
+    if (transcript.messages.length === 0) throw new Error('There are no messages in that range');
+
+    return {
+        blob: new Blob([writer.write(transcript)], { type: `${writer.type};charset=utf-8` }),
+        fileName: getTranscriptFileName(transcript, writer.extension)
+    };
+}
+
+// Export functions
+window.transcriptService = {
+    exportTranscript
+};